@@ -0,0 +1,208 @@
+// --- ADMIN DASHBOARD ---
+// Marketplace numbers from GET /api/admin/analytics/*, drawn as plain CSS bar
+// charts. Uses the login saved by the main site (script.js); only admins get data.
+// Event names come from sellers, so every value is set with textContent.
+
+const API_URL = '/api';
+const $ = (selector) => document.querySelector(selector);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// --- AUTH ---
+
+// Same storage keys as saveAuth() in script.js
+async function refreshAuthToken() {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) return false;
+    try {
+        const res = await fetch(`${API_URL}/auth/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken })
+        });
+        if (!res.ok) return false;
+        const data = await res.json();
+        localStorage.setItem('token', data.token);
+        localStorage.setItem('refreshToken', data.refreshToken);
+        localStorage.setItem('user', JSON.stringify(data.user));
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+// GETs an admin endpoint, renewing the access token once if it has expired
+async function adminGet(path) {
+    const send = () => fetch(`${API_URL}${path}`, {
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+    });
+    let res = await send();
+    if (res.status === 401 && await refreshAuthToken()) {
+        res = await send();
+    }
+    const data = await res.json().catch(() => ({}));
+    if (res.status === 401) throw new Error("Please log in on the main site first.");
+    if (res.status === 403) throw new Error("Only admins can see this page.");
+    if (!res.ok) throw new Error(data.message || "Could not load the numbers.");
+    return data;
+}
+
+// --- RENDERING HELPERS ---
+
+const money = (amount, currency = 'INR') =>
+    (amount || 0).toLocaleString(undefined, { style: 'currency', currency, maximumFractionDigits: 0 });
+
+const percent = (rate) => (rate === null || rate === undefined ? '–' : `${Math.round(rate * 100)}%`);
+
+function element(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined) el.textContent = text;
+    return el;
+}
+
+function renderCards(container, cards) {
+    container.innerHTML = '';
+    for (const [label, value] of cards) {
+        const card = element('div', 'admin-card');
+        card.appendChild(element('p', 'admin-card-value', value));
+        card.appendChild(element('p', 'admin-card-label', label));
+        container.appendChild(card);
+    }
+}
+
+// One horizontal bar per row: label, bar sized to `value` / max, and a caption
+function renderBars(container, rows) {
+    container.innerHTML = '';
+    if (rows.length === 0) {
+        container.appendChild(element('p', 'form-hint', 'Nothing in this range.'));
+        return;
+    }
+    for (const row of rows) {
+        const line = element('div', 'admin-bar-row');
+        line.appendChild(element('span', 'admin-bar-label', row.label));
+        const track = element('div', 'admin-bar-track');
+        const bar = element('div', 'admin-bar');
+        bar.style.width = `${Math.round(Math.min(1, row.value) * 100)}%`;
+        track.appendChild(bar);
+        line.appendChild(track);
+        line.appendChild(element('span', 'admin-bar-caption', row.caption));
+        container.appendChild(line);
+    }
+}
+
+// Two columns per day (listings created, purchases completed), scaled to the busiest day
+function renderDailyChart(container, days) {
+    container.innerHTML = '';
+    const max = Math.max(1, ...days.map(day => Math.max(day.listingsCreated, day.sales)));
+    for (const day of days) {
+        const column = element('div', 'admin-day');
+        column.title = `${day.date}: ${day.listingsCreated} listed, ${day.sales} sold (${day.nightsSold} nights)`;
+        const bars = element('div', 'admin-day-bars');
+        for (const [className, value] of [['admin-key-created', day.listingsCreated], ['admin-key-sold', day.sales]]) {
+            const bar = element('div', `admin-day-bar ${className}`);
+            bar.style.height = `${(value / max) * 100}%`;
+            bars.appendChild(bar);
+        }
+        column.appendChild(bars);
+        column.appendChild(element('span', 'admin-day-label', day.date.slice(5)));
+        container.appendChild(column);
+    }
+}
+
+const sellThroughRows = (groups, key) => groups.map(group => ({
+    label: group[key],
+    value: group.rate || 0,
+    caption: `${percent(group.rate)} of ${group.listings} (${percent(group.nightRate)} of nights)`
+}));
+
+function renderPrices(tbody, prices) {
+    tbody.innerHTML = '';
+    for (const row of prices) {
+        const tr = document.createElement('tr');
+        const cells = [
+            row.eventName,
+            row.date || '–',
+            row.askingMedian === null ? '–' : money(row.askingMedian),
+            row.askingCount,
+            row.soldMedian === null ? '–' : money(row.soldMedian),
+            row.soldCount
+        ];
+        for (const cell of cells) tr.appendChild(element('td', '', String(cell)));
+        tbody.appendChild(tr);
+    }
+    if (prices.length === 0) {
+        const tr = document.createElement('tr');
+        const td = element('td', 'form-hint', 'Nothing in this range.');
+        td.colSpan = 6;
+        tr.appendChild(td);
+        tbody.appendChild(tr);
+    }
+}
+
+// --- LOADING ---
+
+async function loadDashboard() {
+    const errorEl = $('#admin-error');
+    errorEl.textContent = '';
+    const range = `?from=${$('#range-from').value}&to=${$('#range-to').value}`;
+    try {
+        const [overview, revenue, daily, sellThrough, boosts, prices] = await Promise.all([
+            adminGet('/admin/analytics/overview'),
+            adminGet(`/admin/analytics/revenue${range}`),
+            adminGet(`/admin/analytics/daily${range}`),
+            adminGet(`/admin/analytics/sell-through${range}`),
+            adminGet(`/admin/analytics/boosts${range}`),
+            adminGet(`/admin/analytics/prices${range}`)
+        ]);
+        $('#admin-dashboard').classList.remove('hidden');
+
+        const statuses = overview.listingsByStatus;
+        renderCards($('#overview-cards'), [
+            ['Users', overview.users],
+            ['Buyers', overview.buyers],
+            ['Repeat buyers', overview.repeatBuyers],
+            ['On sale', (statuses.available || 0) + (statuses.reserved || 0)],
+            ['Waiting for review', statuses.pending_review || 0],
+            ['Open reports', overview.openReports]
+        ]);
+
+        renderCards($('#revenue-cards'), [
+            ['Total', money(revenue.total, revenue.currency)],
+            ['Listing fees', money(revenue.listingFees, revenue.currency)],
+            ['Boosts', money(revenue.boosts, revenue.currency)],
+            ['Contact unlocks', money(revenue.contactUnlocks, revenue.currency)],
+            ['Unlock fees in escrow', money(revenue.contactUnlocksInEscrow, revenue.currency)]
+        ]);
+
+        renderDailyChart($('#daily-chart'), daily.days);
+        renderBars($('#sell-through-city'), sellThroughRows(sellThrough.byCity, 'city'));
+        renderBars($('#sell-through-pass-type'), sellThroughRows(sellThrough.byPassType, 'passType'));
+
+        $('#boost-uptake').textContent =
+            `${boosts.boostedListings} of ${boosts.listings} new listings were boosted (${percent(boosts.uptakeRate)}).`;
+        const maxBoostRevenue = Math.max(1, ...boosts.byTier.map(tier => tier.revenue));
+        renderBars($('#boost-tiers'), boosts.byTier.map(tier => ({
+            label: tier.tier,
+            value: tier.revenue / maxBoostRevenue,
+            caption: `${tier.purchases} bought, ${tier.days} days, ${money(tier.revenue, revenue.currency)}`
+        })));
+
+        renderPrices($('#prices-table'), prices.prices);
+    } catch (err) {
+        console.error("Dashboard Error:", err);
+        errorEl.textContent = err.message;
+    }
+}
+
+// The last 30 days by default, like the API
+const localDay = (date) => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+$('#range-to').value = localDay(new Date());
+$('#range-from').value = localDay(new Date(Date.now() - 29 * DAY_MS));
+
+$('#range-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    loadDashboard();
+});
+
+loadDashboard();
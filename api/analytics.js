@@ -0,0 +1,218 @@
+// --- ANALYTICS ---
+
+/**
+ * Aggregation pipelines for the admin dashboard (GET /api/admin/analytics/*).
+ *
+ * Each builder takes a { from, to } range of Dates (to is exclusive) and
+ * returns a pipeline; the routes in index.js run them and shape the results.
+ * Days are counted at config.analytics.utcOffset, so a purchase at 11pm in
+ * India lands on that day and not the next.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * Turns ?from=YYYY-MM-DD&to=YYYY-MM-DD into Dates. Both days are included;
+ * without them the range is the last 30 days.
+ * Returns { range: { from, to } } or { error }.
+ */
+function parseRange(query, utcOffset) {
+    const startOf = (day) => {
+        const date = new Date(`${day}T00:00:00${utcOffset}`);
+        // "2026-02-31" would roll over into March
+        const sameDay = !Number.isNaN(date.getTime()) &&
+            new Date(date.getTime() + offsetMs(utcOffset)).toISOString().slice(0, 10) === day;
+        return sameDay ? date : new Date(NaN);
+    };
+    const today = new Date(Date.now() + offsetMs(utcOffset)).toISOString().slice(0, 10);
+
+    const to = new Date(startOf(query.to || today).getTime() + DAY_MS);
+    const from = query.from ? startOf(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+        return { error: "Dates must be real days in the form YYYY-MM-DD." };
+    }
+    if (from >= to) {
+        return { error: "The start date must not be after the end date." };
+    }
+    if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+        return { error: `The range can be at most ${MAX_RANGE_DAYS} days.` };
+    }
+    return { range: { from, to } };
+}
+
+// Every day in the range, so days without activity still show up on a chart
+function daysInRange({ from, to }, utcOffset) {
+    const days = [];
+    for (let time = from.getTime(); time < to.getTime(); time += DAY_MS) {
+        days.push(new Date(time + offsetMs(utcOffset)).toISOString().slice(0, 10));
+    }
+    return days;
+}
+
+// "+05:30" -> 19800000
+function offsetMs(utcOffset) {
+    const [, sign, hours, minutes] = /^([+-])(\d{2}):(\d{2})$/.exec(utcOffset);
+    return (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes)) * 60 * 1000;
+}
+
+const inRange = (field, { from, to }) => ({ [field]: { $gte: from, $lt: to } });
+
+const dayOf = (field, utcOffset) => ({ $dateToString: { format: '%Y-%m-%d', date: field, timezone: utcOffset } });
+
+// Every night of a listing. Listings saved before nights were sold separately
+// only have availableDates.
+const LISTING_DATES = {
+    $cond: [{ $gt: [{ $size: { $ifNull: ['$nights', []] } }, 0] }, '$nights.date', { $ifNull: ['$availableDates', []] }]
+};
+
+// Listings created per day: [{ _id: day, listings }]
+const listingsPerDay = (range, utcOffset) => [
+    { $match: inRange('createdAt', range) },
+    { $group: { _id: dayOf('$createdAt', utcOffset), listings: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+];
+
+// Completed purchases per day, with the nights and the value sold:
+// [{ _id: day, sales, nights, value }]
+const salesPerDay = (range, utcOffset) => [
+    { $match: { status: 'completed', ...inRange('updatedAt', range) } }, // A completed purchase is never updated again
+    {
+        $group: {
+            _id: dayOf('$updatedAt', utcOffset),
+            sales: { $sum: 1 },
+            nights: { $sum: { $max: [1, { $size: { $ifNull: ['$dates', []] } }] } },
+            value: { $sum: '$amount' },
+        }
+    },
+    { $sort: { _id: 1 } },
+];
+
+// Of the listings created in the range, how many sold at least one night,
+// grouped by `key`
+const sellThroughGroup = (key) => [
+    {
+        $group: {
+            _id: `$${key}`,
+            listings: { $sum: 1 },
+            sold: { $sum: { $cond: [{ $or: [{ $eq: ['$status', 'sold'] }, { $gt: ['$nightsSold', 0] }] }, 1, 0] } },
+            nightsListed: { $sum: '$nightsListed' },
+            nightsSold: { $sum: '$nightsSold' },
+        }
+    },
+    { $sort: { listings: -1 } },
+];
+
+// { byCity: [...], byPassType: [...] }, see sellThroughGroup()
+const sellThrough = (range) => [
+    { $match: inRange('createdAt', range) },
+    {
+        $project: {
+            city: 1,
+            passType: 1,
+            status: 1,
+            nightsListed: { $size: LISTING_DATES },
+            nightsSold: { $size: { $filter: { input: { $ifNull: ['$nights', []] }, cond: { $eq: ['$$this.status', 'sold'] } } } },
+        }
+    },
+    { $facet: { byCity: sellThroughGroup('city'), byPassType: sellThroughGroup('passType') } },
+];
+
+// Asking prices (per night) of the listings created in the range, per event and
+// night: [{ _id: { event, date }, eventName, prices }]
+const askingPrices = (range) => [
+    { $match: inRange('createdAt', range) },
+    { $project: { event: { $ifNull: ['$eventId', '$eventName'] }, eventName: 1, price: 1, dates: LISTING_DATES } },
+    { $unwind: '$dates' },
+    { $group: { _id: { event: '$event', date: '$dates' }, eventName: { $first: '$eventName' }, prices: { $push: '$price' } } },
+];
+
+// Prices paid per night in purchases completed in the range, in the same shape
+// as askingPrices(). Purchases from before nights were sold separately have no
+// dates and count under date null.
+const soldPrices = (range) => [
+    { $match: { status: 'completed', ...inRange('updatedAt', range) } },
+    { $lookup: { from: 'listings', localField: 'listingId', foreignField: '_id', as: 'listing' } },
+    { $unwind: '$listing' },
+    {
+        $project: {
+            event: { $ifNull: ['$listing.eventId', '$listing.eventName'] },
+            eventName: '$listing.eventName',
+            dates: 1,
+            price: { $divide: ['$amount', { $max: [1, { $size: { $ifNull: ['$dates', []] } }] }] },
+        }
+    },
+    { $unwind: { path: '$dates', preserveNullAndEmptyArrays: true } },
+    { $group: { _id: { event: '$event', date: '$dates' }, eventName: { $first: '$eventName' }, prices: { $push: '$price' } } },
+];
+
+// Boost receipts in the range per tier: [{ _id: tier, purchases, days, revenue }]
+const boostsByTier = (range) => [
+    { $match: inRange('createdAt', range) },
+    { $group: { _id: '$tier', purchases: { $sum: 1 }, days: { $sum: '$days' }, revenue: { $sum: '$fee' } } },
+    { $sort: { revenue: -1 } },
+];
+
+// Of the listings created in the range, how many were ever boosted:
+// [{ listings, boosted }]
+const boostUptake = (range) => [
+    { $match: inRange('createdAt', range) },
+    { $lookup: { from: 'boosts', localField: '_id', foreignField: 'listingId', as: 'boosts' } },
+    { $group: { _id: null, listings: { $sum: 1 }, boosted: { $sum: { $cond: [{ $gt: [{ $size: '$boosts' }, 0] }, 1, 0] } } } },
+];
+
+// Listing fees charged for listings created in the range: [{ revenue, listings }].
+// Listings from before the fee was recorded count as 0.
+const listingFeeRevenue = (range) => [
+    { $match: inRange('createdAt', range) },
+    { $group: { _id: null, revenue: { $sum: { $ifNull: ['$listingFee', 0] } }, listings: { $sum: 1 } } },
+];
+
+// Buyers' service fees per status: earned on purchases completed in the range,
+// and held in escrow right now (`heldStatuses`): [{ _id: status, revenue, purchases }]
+const serviceFeeRevenue = (range, heldStatuses) => [
+    { $match: { $or: [{ status: 'completed', ...inRange('updatedAt', range) }, { status: { $in: heldStatuses } }] } },
+    { $group: { _id: '$status', revenue: { $sum: '$serviceFee' }, purchases: { $sum: 1 } } },
+];
+
+// How many users bought something, and how many came back for more
+// (from User.purchaseHistory): [{ users, buyers, repeatBuyers }]
+const buyerCounts = () => [
+    { $project: { purchases: { $size: { $ifNull: ['$purchaseHistory', []] } } } },
+    {
+        $group: {
+            _id: null,
+            users: { $sum: 1 },
+            buyers: { $sum: { $cond: [{ $gt: ['$purchases', 0] }, 1, 0] } },
+            repeatBuyers: { $sum: { $cond: [{ $gt: ['$purchases', 1] }, 1, 0] } },
+        }
+    },
+];
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// sold / total, rounded to 3 places, or null when there is nothing to divide
+const rate = (part, total) => (total > 0 ? Math.round((part / total) * 1000) / 1000 : null);
+
+module.exports = {
+    parseRange,
+    daysInRange,
+    listingsPerDay,
+    salesPerDay,
+    sellThrough,
+    askingPrices,
+    soldPrices,
+    boostsByTier,
+    boostUptake,
+    listingFeeRevenue,
+    serviceFeeRevenue,
+    buyerCounts,
+    median,
+    rate,
+};
@@ -0,0 +1,281 @@
+// --- CONFIGURATION ---
+
+/**
+ * Every setting the API needs is read from process.env here, once, at startup.
+ * Nothing else in the API should touch process.env directly.
+ *
+ * All problems are collected and reported together, and the module throws
+ * before the app is created. A bad deploy then fails immediately with a clear
+ * message instead of surfacing later as a silent connection or auth error.
+ *
+ * See .env.example for the full list of variables.
+ */
+
+const problems = [];
+
+function readString(name, { required = false, defaultValue } = {}) {
+    const raw = process.env[name];
+    if (raw === undefined || raw.trim() === '') {
+        if (required) problems.push(`${name} is required.`);
+        return defaultValue;
+    }
+    return raw.trim();
+}
+
+function readInt(name, { defaultValue, min, max }) {
+    const raw = readString(name);
+    if (raw === undefined) return defaultValue;
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < min || value > max) {
+        problems.push(`${name} must be a whole number between ${min} and ${max} (got "${raw}").`);
+        return defaultValue;
+    }
+    return value;
+}
+
+// Accepts the same shorthand jsonwebtoken does: "3h", "30m", "7d" or plain seconds
+function readDuration(name, { defaultValue }) {
+    const raw = readString(name);
+    if (raw === undefined) return defaultValue;
+    if (!/^\d+[smhd]?$/.test(raw)) {
+        problems.push(`${name} must be a duration like "3h", "30m", "7d" or a number of seconds (got "${raw}").`);
+        return defaultValue;
+    }
+    return /^\d+$/.test(raw) ? Number(raw) : raw;
+}
+
+function readList(name, { defaultValue }) {
+    const raw = readString(name);
+    if (raw === undefined) return defaultValue;
+    return raw.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function readIntList(name, { defaultValue, min, max }) {
+    const raw = readString(name);
+    if (raw === undefined) return defaultValue;
+    const values = raw.split(',').map(item => Number(item.trim()));
+    if (values.some(value => !Number.isInteger(value) || value < min || value > max)) {
+        problems.push(`${name} must be a comma-separated list of whole numbers between ${min} and ${max} (got "${raw}").`);
+        return defaultValue;
+    }
+    return [...new Set(values)].sort((a, b) => a - b);
+}
+
+function readBoolean(name, { defaultValue }) {
+    const raw = readString(name);
+    if (raw === undefined) return defaultValue;
+    if (raw !== 'true' && raw !== 'false') {
+        problems.push(`${name} must be "true" or "false" (got "${raw}").`);
+        return defaultValue;
+    }
+    return raw === 'true';
+}
+
+const env = readString('NODE_ENV', { defaultValue: 'development' });
+
+const mongodbUri = readString('MONGODB_URI', { required: true });
+if (mongodbUri && !/^mongodb(\+srv)?:\/\//.test(mongodbUri)) {
+    problems.push('MONGODB_URI must start with mongodb:// or mongodb+srv://.');
+}
+
+const jwtSecret = readString('JWT_SECRET', { required: true });
+if (jwtSecret && jwtSecret.length < 32) {
+    problems.push('JWT_SECRET must be at least 32 characters long.');
+}
+
+// Listing ranking: every listing starts at `normal`, and each boost tier has its own level
+const priority = {
+    normal: readInt('PRIORITY_NORMAL', { defaultValue: 1, min: 0, max: 1000 }),
+    boosted: readInt('PRIORITY_BOOSTED', { defaultValue: 10, min: 0, max: 1000 }),
+    premium: readInt('PRIORITY_PREMIUM', { defaultValue: 20, min: 0, max: 1000 }),
+};
+
+const config = {
+    env,
+    isProduction: env === 'production',
+
+    mongodbUri,
+
+    auth: {
+        jwtSecret,
+        // Access tokens are short-lived; the client renews them with a refresh token
+        tokenExpiresIn: readDuration('JWT_EXPIRES_IN', { defaultValue: '15m' }),
+        refreshTokenTtlDays: readInt('REFRESH_TOKEN_TTL_DAYS', { defaultValue: 30, min: 1, max: 365 }),
+        bcryptRounds: readInt('BCRYPT_ROUNDS', { defaultValue: 10, min: 4, max: 15 }),
+        emailVerificationTtlHours: readInt('EMAIL_VERIFICATION_TTL_HOURS', { defaultValue: 24, min: 1, max: 720 }),
+        passwordResetTtlMinutes: readInt('PASSWORD_RESET_TTL_MINUTES', { defaultValue: 60, min: 5, max: 1440 }),
+        // This many wrong passwords within failureWindowMinutes locks the account for lockMinutes
+        maxLoginFailures: readInt('LOGIN_MAX_FAILURES', { defaultValue: 5, min: 1, max: 100 }),
+        loginFailureWindowMinutes: readInt('LOGIN_FAILURE_WINDOW_MINUTES', { defaultValue: 15, min: 1, max: 1440 }),
+        loginLockMinutes: readInt('LOGIN_LOCK_MINUTES', { defaultValue: 15, min: 1, max: 1440 }),
+        // Codes texted to verify a phone number: how long one is valid and how many guesses it allows
+        phoneCodeTtlMinutes: readInt('PHONE_CODE_TTL_MINUTES', { defaultValue: 10, min: 1, max: 60 }),
+        phoneCodeMaxAttempts: readInt('PHONE_CODE_MAX_ATTEMPTS', { defaultValue: 5, min: 1, max: 20 }),
+        maxPhoneNumbers: readInt('MAX_PHONE_NUMBERS', { defaultValue: 5, min: 1, max: 20 }),
+    },
+
+    // Request limits (see api/rateLimit.js). The memory store only counts within
+    // one process, so serverless deployments use the shared mongo store.
+    rateLimit: {
+        store: readString('RATE_LIMIT_STORE', { defaultValue: env === 'production' ? 'mongo' : 'memory' }),
+        // Login, signup and password reset requests, per IP address and per email address
+        auth: {
+            perIp: readInt('AUTH_RATE_LIMIT_PER_IP', { defaultValue: 30, min: 1, max: 10000 }),
+            perAccount: readInt('AUTH_RATE_LIMIT_PER_ACCOUNT', { defaultValue: 10, min: 1, max: 10000 }),
+            windowMinutes: readInt('AUTH_RATE_LIMIT_WINDOW_MINUTES', { defaultValue: 15, min: 1, max: 1440 }),
+        },
+        // Seller phone numbers revealed, per user and per IP address in 24 hours
+        contact: {
+            perUser: readInt('CONTACT_UNLOCKS_PER_DAY', { defaultValue: 20, min: 1, max: 10000 }),
+            perIp: readInt('CONTACT_UNLOCKS_PER_IP_PER_DAY', { defaultValue: 60, min: 1, max: 10000 }),
+        },
+        // Verification codes texted per user in an hour (each one costs an SMS)
+        phoneCodesPerHour: readInt('PHONE_CODES_PER_HOUR', { defaultValue: 5, min: 1, max: 100 }),
+    },
+
+    mail: {
+        transport: readString('MAIL_TRANSPORT', { defaultValue: 'console' }),
+        from: readString('MAIL_FROM', { defaultValue: 'GarbaPass <no-reply@garbapass.local>' }),
+        fileDir: readString('MAIL_FILE_DIR', { defaultValue: '/tmp/garbapass-mail' }),
+        // Lets a production deploy print mail (reset and verification links included) to the log
+        allowConsole: readBoolean('ALLOW_CONSOLE_MAIL', { defaultValue: false }),
+    },
+
+    sms: {
+        sender: readString('SMS_SENDER', { defaultValue: 'console' }),
+        from: readString('SMS_FROM', { defaultValue: 'GARBAP' }),
+        // Lets a production deploy print texts (verification codes included) to the log
+        allowConsole: readBoolean('ALLOW_CONSOLE_SMS', { defaultValue: false }),
+    },
+
+    // Public address of the site, used to build links in emails
+    appUrl: readString('APP_URL', { defaultValue: 'http://localhost:3000' }).replace(/\/+$/, ''),
+
+    // '*' allows every origin (the default, same as a bare cors())
+    corsOrigins: readList('CORS_ORIGINS', { defaultValue: ['*'] }),
+
+    priority,
+
+    // Fees charged through the payment provider, in `payments.currency`.
+    // contactUnlock is the buyer's service fee on top of the pass price.
+    fees: {
+        listing: readInt('LISTING_FEE', { defaultValue: 25, min: 0, max: 100000 }),
+        contactUnlock: readInt('CONTACT_UNLOCK_FEE', { defaultValue: 10, min: 0, max: 100000 }),
+    },
+
+    // Boosts a seller can buy: a tier for one of the durations. The price is
+    // the tier's daily fee times the number of days.
+    boosts: {
+        durationsDays: readIntList('BOOST_DURATIONS_DAYS', { defaultValue: [1, 3, 7], min: 1, max: 30 }),
+        tiers: {
+            standard: {
+                label: 'Boost',
+                priority: priority.boosted,
+                dailyFee: readInt('BOOST_FEE', { defaultValue: 10, min: 0, max: 100000 }),
+            },
+            premium: {
+                label: 'Premium Boost',
+                priority: priority.premium,
+                dailyFee: readInt('PREMIUM_BOOST_FEE', { defaultValue: 25, min: 0, max: 100000 }),
+            },
+        },
+    },
+
+    offers: {
+        // An unanswered offer or counter-offer lapses after this long
+        ttlHours: readInt('OFFER_TTL_HOURS', { defaultValue: 48, min: 1, max: 720 }),
+        // How long an accepted offer holds the listing for the buyer to pay
+        holdHours: readInt('OFFER_HOLD_HOURS', { defaultValue: 24, min: 1, max: 168 }),
+    },
+
+    holds: {
+        // How long a pass is held for a buyer who starts a purchase, to pay for it
+        minutes: readInt('HOLD_MINUTES', { defaultValue: 15, min: 1, max: 1440 }),
+        // Run the hold sweeper on a timer (long-running servers). 0 turns it off;
+        // serverless deployments call GET /api/cron/sweep instead.
+        sweepIntervalSeconds: readInt('HOLD_SWEEP_INTERVAL_SECONDS', { defaultValue: 0, min: 0, max: 86400 }),
+    },
+
+    // New listings scoring at least reviewScore (see api/fraud.js) wait for a
+    // moderator instead of going on sale. More than burstLimit listings from one
+    // seller within burstWindowMinutes counts as a burst.
+    fraud: {
+        reviewScore: readInt('FRAUD_REVIEW_SCORE', { defaultValue: 50, min: 1, max: 1000 }),
+        burstLimit: readInt('FRAUD_BURST_LIMIT', { defaultValue: 5, min: 1, max: 1000 }),
+        burstWindowMinutes: readInt('FRAUD_BURST_WINDOW_MINUTES', { defaultValue: 60, min: 1, max: 10080 }),
+    },
+
+    moderation: {
+        // Accounts with these emails are always admins, so the first admin can
+        // sign in and hand out roles (PUT /api/admin/users/:id/role)
+        adminEmails: readList('ADMIN_EMAILS', { defaultValue: [] }).map(email => email.toLowerCase()),
+        // A listing reported by this many different users goes to the review queue
+        reportThreshold: readInt('REPORT_REVIEW_THRESHOLD', { defaultValue: 3, min: 1, max: 1000 }),
+    },
+
+    analytics: {
+        // The admin dashboard counts days at this offset from UTC
+        utcOffset: readString('ANALYTICS_UTC_OFFSET', { defaultValue: '+05:30' }),
+    },
+
+    // Shared secret for the scheduled jobs endpoint (Vercel sends it as a Bearer token)
+    cronSecret: readString('CRON_SECRET'),
+
+    notifications: {
+        // Where alerts go besides the in-app feed (see api/notifier.js). Empty
+        // keeps them in the feed only.
+        channels: readList('NOTIFICATION_CHANNELS', { defaultValue: [] }),
+        maxSavedSearches: readInt('MAX_SAVED_SEARCHES', { defaultValue: 20, min: 1, max: 1000 }),
+    },
+
+    messaging: {
+        // A message stream stays open this long, then the client reconnects.
+        // Keep it under the hosting function timeout (10s on Vercel's free plan).
+        streamSeconds: readInt('MESSAGE_STREAM_SECONDS', { defaultValue: 8, min: 1, max: 300 }),
+        // How often an open stream checks for new messages
+        streamPollSeconds: readInt('MESSAGE_STREAM_POLL_SECONDS', { defaultValue: 2, min: 1, max: 60 }),
+    },
+
+    payments: {
+        provider: readString('PAYMENT_PROVIDER', { defaultValue: 'mock' }),
+        currency: readString('PAYMENT_CURRENCY', { defaultValue: 'INR' }),
+        // Lets a production deploy (Vercel always sets NODE_ENV=production) run on the mock provider
+        allowMock: readBoolean('ALLOW_MOCK_PAYMENTS', { defaultValue: false }),
+    },
+};
+
+if (config.priority.boosted <= config.priority.normal) {
+    problems.push('PRIORITY_BOOSTED must be greater than PRIORITY_NORMAL.');
+}
+if (config.priority.premium <= config.priority.boosted) {
+    problems.push('PRIORITY_PREMIUM must be greater than PRIORITY_BOOSTED.');
+}
+
+if (!/^[+-]\d{2}:\d{2}$/.test(config.analytics.utcOffset)) {
+    problems.push(`ANALYTICS_UTC_OFFSET must look like "+05:30" (got "${config.analytics.utcOffset}").`);
+}
+
+if (config.isProduction && !config.cronSecret) {
+    problems.push('CRON_SECRET is required in production.');
+}
+
+// The mock provider only logs, so escrow would move as if money had changed hands
+if (config.isProduction && config.payments.provider === 'mock' && !config.payments.allowMock) {
+    problems.push('PAYMENT_PROVIDER must name a real payment provider in production (mock only logs payments); set ALLOW_MOCK_PAYMENTS=true to run on mock anyway.');
+}
+
+// The console transport logs every reset and verification link in full
+if (config.isProduction && config.mail.transport === 'console' && !config.mail.allowConsole) {
+    problems.push('MAIL_TRANSPORT must name a real transport in production (console prints reset links to the log); set ALLOW_CONSOLE_MAIL=true to use it anyway.');
+}
+
+// The console sender logs every phone verification code
+if (config.isProduction && config.sms.sender === 'console' && !config.sms.allowConsole) {
+    problems.push('SMS_SENDER must name a real sender in production (console prints verification codes to the log); set ALLOW_CONSOLE_SMS=true to use it anyway.');
+}
+
+if (problems.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+}
+
+module.exports = Object.freeze(config);
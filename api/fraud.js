@@ -0,0 +1,61 @@
+// --- FRAUD DETECTION ---
+
+/**
+ * Scores a new or edited listing for signs that one pass is being sold more
+ * than once. The signals are counted by screenListing() in index.js from data
+ * we already store; this module only weighs them, so the rules can be read and
+ * tuned in one place.
+ *
+ * A listing scoring config.fraud.reviewScore or more goes to the review queue
+ * (status 'pending_review') instead of going on sale.
+ */
+
+/**
+ * Each signal adds `weight` for every occurrence, up to `max`.
+ *   serialListed   other live listings with the same pass number
+ *   serialSold     listings with the same pass number that were already sold
+ *   sharedPhone    other accounts using the listing's phone number
+ *   nearDuplicate  the seller's live listings for the same event, pass type and
+ *                  night(s) at about the same price
+ *   burst          1 when the seller created more listings than allowed in the
+ *                  burst window
+ */
+const SIGNALS = {
+    serialListed: { weight: 60, max: 60, reason: (n) => `The same pass number is on ${n} other listing(s).` },
+    serialSold: { weight: 60, max: 60, reason: () => "This pass number was already sold on GarbaPass." },
+    sharedPhone: { weight: 25, max: 50, reason: (n) => `The phone number is used by ${n} other account(s).` },
+    nearDuplicate: { weight: 20, max: 40, reason: (n) => `The seller has ${n} near-identical listing(s).` },
+    burst: { weight: 20, max: 20, reason: () => "The seller created many listings in a short time." },
+};
+
+// Prices within this fraction of each other count as "about the same"
+const NEAR_PRICE_RATIO = 0.1;
+
+// "ab-12 345/c" -> "AB12345C", so spacing and punctuation can't hide a match
+const normalizeSerial = (serial) => String(serial).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+function nearPriceRange(price) {
+    return { $gte: price * (1 - NEAR_PRICE_RATIO), $lte: price * (1 + NEAR_PRICE_RATIO) };
+}
+
+/**
+ * Returns { score, reasons } for signal counts like { sharedPhone: 2, burst: 1 }.
+ * Unknown signals are ignored.
+ */
+function scoreListing(counts) {
+    let score = 0;
+    const reasons = [];
+    for (const [name, signal] of Object.entries(SIGNALS)) {
+        const count = counts[name] || 0;
+        if (count <= 0) continue;
+        score += Math.min(count * signal.weight, signal.max);
+        reasons.push(signal.reason(count));
+    }
+    return { score, reasons };
+}
+
+module.exports = {
+    normalizeSerial,
+    nearPriceRange,
+    scoreListing,
+};
@@ -3,23 +3,75 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const cors = require('cors');
+const crypto = require('crypto');
+const config = require('./config');
+const { createMailer, emails } = require('./mailer');
+const { createNotifier } = require('./notifier');
+const { createPaymentProvider } = require('./payments');
+const { createRateLimitStore, createRateLimiter, tooManyRequests } = require('./rateLimit');
+const { createSmsSender, texts } = require('./sms');
+const {
+    validateRequest, signupSchema, loginSchema, refreshSchema,
+    forgotPasswordSchema, resetPasswordSchema, verifyEmailSchema,
+    listingSchema, listingFilterSchema, boostSchema, eventFilterSchema,
+    offerSchema, counterOfferSchema, offerFilterSchema,
+    messageSchema, startThreadSchema, messagesQuerySchema, sharePhoneSchema,
+    purchaseSchema, transactionFilterSchema, disputeSchema, reviewSchema,
+    listingReportSchema, userReportSchema, reportFilterSchema, reportActionSchema,
+    moderationReasonSchema, moderationListingFilterSchema, roleSchema, auditFilterSchema, analyticsRangeSchema,
+    savedSearchSchema, savedSearchUpdateSchema, watchlistSchema, notificationFilterSchema,
+    profileUpdateSchema, phoneNumberSchema, verifyPhoneSchema, changePasswordSchema, deleteAccountSchema,
+    splitList, DATES, BOOST_TIERS, OFFER_STATUSES, TRANSACTION_STATUSES,
+    LISTING_REPORT_REASONS, USER_REPORT_REASONS, ROLES
+} = require('./validation');
+const {
+    TEXT_INDEX_WEIGHTS, buildTextSearch, normalizeEventName, relevanceRankExpression, searchWords
+} = require('./search');
+const { normalizeSerial, nearPriceRange, scoreListing } = require('./fraud');
+const { TEXT_LIMITS, plainText } = require('./sanitize');
+const analytics = require('./analytics');
+const {
+    LISTING_SORTS, sortSpec, encodeCursor, decodeCursor, keysetFilter, parseLimit
+} = require('./pagination');
 
 const app = express();
-app.use(cors());
+app.set('trust proxy', 1); // Vercel sits in front of the app; req.ip should be the client's address
+app.use(cors({
+    origin: config.corsOrigins.includes('*') ? '*' : config.corsOrigins,
+    exposedHeaders: ['Retry-After'] // So the frontend can tell how long a 429 lasts
+}));
 app.use(express.json());
 
 // --- MONGODB CONNECTION ---
-// !!! IMPORTANT: Replace this with your own MongoDB Atlas connection string
-const MONGODB_URI =process.env.MONGODB_URI;
-const JWT_SECRET = "your-jwt-secret-key-for-college-project"; // Change this to a random string
-
-mongoose.connect(MONGODB_URI, {
+// The connection string and secrets come from the environment (see api/config.js)
+mongoose.connect(config.mongodbUri, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
 .then(() => console.log('MongoDB connected...'))
 .catch(err => console.error('MongoDB connection error:', err));
 
+// --- MAILER ---
+// Console transport by default; see api/mailer.js to plug in a real provider
+const mailer = createMailer(config.mail);
+
+// --- NOTIFIER ---
+// In-app feed only by default; see api/notifier.js to add email or Web Push
+const notifier = createNotifier(config.notifications, { mailer });
+
+// --- PAYMENTS ---
+// Mock provider by default; see api/payments.js to plug in a real gateway
+const payments = createPaymentProvider(config.payments);
+
+// --- SMS ---
+// Console sender by default; see api/sms.js to plug in a real gateway
+const sms = createSmsSender(config.sms);
+
+// --- RATE LIMITING ---
+// Memory store in development, MongoDB in production; see api/rateLimit.js
+const rateLimitStore = createRateLimitStore(config.rateLimit, { mongoose });
+const rateLimit = createRateLimiter(rateLimitStore);
+
 // --- DATA STRUCTURES ---
 
 /**
@@ -38,7 +90,8 @@ mongoose.connect(MONGODB_URI, {
 
 /**
  * Priority Queue (Max-Heap) for sorting listings
- * This ensures "boosted" listings (higher priority) are always at the top.
+ * This ensures "boosted" listings (higher priority) are always at the top,
+ * with the higher boost tier first.
  */
 class PriorityQueue {
     constructor() {
@@ -51,13 +104,26 @@ class PriorityQueue {
     rightChild(i) { return 2 * i + 2; }
 
     // Compare listings:
-    // 1. Higher priority wins
-    // 2. If priority is equal, newer createdAt timestamp wins
+    // 1. Higher priority (boost tier) wins
+    // 2. Between boosts of the same tier, the one bought first wins, so a boost
+    //    isn't pushed down by every boost bought after it
+    // 3. Otherwise, newer createdAt timestamp wins
+    // 4. Then the higher _id, so listings created together keep a fixed order
+    // Keep in step with LISTING_SORTS.recommended in api/pagination.js.
     compare(a, b) {
         if (a.priority !== b.priority) {
             return a.priority > b.priority;
         }
-        return a.createdAt > b.createdAt;
+        // No boost time sorts first, as it does in MongoDB
+        const aBoostedAt = a.boostedAt ? a.boostedAt.getTime() : -Infinity;
+        const bBoostedAt = b.boostedAt ? b.boostedAt.getTime() : -Infinity;
+        if (aBoostedAt !== bBoostedAt) {
+            return aBoostedAt < bBoostedAt;
+        }
+        if (a.createdAt.getTime() !== b.createdAt.getTime()) {
+            return a.createdAt > b.createdAt;
+        }
+        return String(a._id) > String(b._id);
     }
 
     swap(i, j) {
@@ -115,251 +181,744 @@ class PriorityQueue {
 const UserSchema = new mongoose.Schema({
     email: { type: String, required: true, unique: true, index: true },
     passwordHash: { type: String, required: true },
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: Date,
+    displayName: String, // Optional, shown on the public profile; plainText()'d on save
     phoneNumbers: { type: [String], required: true }, // Array/List
+    verifiedPhoneNumbers: [String], // The phoneNumbers confirmed by an SMS code; only these can go on a listing
     listingsHistory: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Listing' }], // Array/List
     purchaseHistory: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Listing' }], // Array/List
+    watchlist: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Listing' }], // Array/List, oldest first
+    role: { type: String, default: 'user', enum: ROLES }, // See effectiveRole()
+    suspendedAt: { type: Date, default: null }, // A suspended account can't log in or use its tokens
+    suspendedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    suspensionReason: String,
+    // Wrong passwords in a row; see config.auth.maxLoginFailures
+    failedLoginCount: { type: Number, default: 0 },
+    lastFailedLoginAt: Date,
+    lockedUntil: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now }, // Missing on accounts from before it was added; see memberSince()
+    deletedAt: { type: Date, default: null }, // Set by anonymizeUser(); the account can never log in again
+});
+
+UserSchema.index({ watchlist: 1 }); // A listing's watchers, see notifyWatchers()
+
+UserSchema.pre('validate', function (next) {
+    if (this.isModified('displayName')) this.displayName = plainText(this.displayName, { maxLength: TEXT_LIMITS.displayName }) || undefined;
+    next();
 });
 
 const User = mongoose.model('User', UserSchema);
 
+// config.moderation.adminEmails are admins whatever their stored role, once
+// they have verified the address. Otherwise anyone could sign up with (or change
+// their email to) an admin's address before the admin does.
+const effectiveRole = (user) =>
+    user.emailVerified && config.moderation.adminEmails.includes(String(user.email).toLowerCase()) ? 'admin' : user.role || 'user';
+
+// When the account was opened. Older accounts have no createdAt, but their
+// ObjectId carries the time they were created.
+const memberSince = (user) => user.createdAt || user._id.getTimestamp();
+
+// `events` Collection
+// The catalog of real events. Listings point at one, so spelling differences
+// between sellers don't split an event into several.
+const EventSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    aliases: [String], // Other names people use, e.g. "UWB Garba"
+    city: { type: String, required: true, index: true },
+    venue: String,
+    dates: [{ type: String, enum: DATES }], // Nights the event runs
+    status: { type: String, default: 'approved', enum: ['approved', 'pending', 'rejected'], index: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // Set for events suggested by a seller
+    normalizedNames: { type: [String], index: true }, // normalizeEventName() of name + aliases, kept up to date on save
+    createdAt: { type: Date, default: Date.now },
+});
+
+// Seller-suggested events are created from typed-in names (see api/sanitize.js)
+EventSchema.pre('validate', function (next) {
+    if (this.isModified('name')) this.name = plainText(this.name, { maxLength: TEXT_LIMITS.eventName });
+    if (this.isModified('aliases')) this.aliases = (this.aliases || []).map(alias => plainText(alias, { maxLength: TEXT_LIMITS.eventName }));
+    if (this.isModified('venue')) this.venue = plainText(this.venue, { maxLength: TEXT_LIMITS.eventName });
+    next();
+});
+
+EventSchema.pre('save', function (next) {
+    if (this.isModified('name') || this.isModified('aliases')) {
+        this.normalizedNames = [...new Set([this.name, ...(this.aliases || [])].map(normalizeEventName).filter(Boolean))];
+    }
+    next();
+});
+
+const Event = mongoose.model('Event', EventSchema);
+
 // `listings` Collection
+// A listing can cover several nights, and each night is sold on its own: a
+// season-pass holder can sell nights 3 and 4 and keep the rest on sale.
+// `price` is per night.
+const NightSchema = new mongoose.Schema({
+    date: { type: String, required: true, enum: DATES },
+    status: { type: String, default: 'available', enum: ['available', 'sold'] },
+    transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' }, // The purchase that bought it
+}, { _id: false });
+
 const ListingSchema = new mongoose.Schema({
     sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
-    eventName: { type: String, required: true },
+    eventId: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', index: true },
+    eventName: { type: String, required: true }, // Copy of the event's name, for search and display
     city: { type: String, required: true, index: true },
     passType: { type: String, required: true, index: true }, // Male, Female, Couple, etc.
-    status: { type: String, default: 'available', index: true }, // available, sold
-    price: { type: Number, required: true },
-    sellerPhoneNumber: { type: String, required: true },
-    availableDates: { type: [String], required: true }, // Array/List
-    tags: [String], // Array/List
+    status: { type: String, default: 'available', index: true }, // available, reserved, sold (every night), withdrawn, pending_review, hidden
+    reservedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // The buyer a 'reserved' listing is held for
+    reservedUntil: Date, // null while the buyer's payment is held in escrow
+    price: { type: Number, required: true }, // Per night
+    feePaymentId: String, // Provider payment for the listing (and boost) fee
+    listingFee: Number, // config.fees.listing when it was created; missing on older listings
+    sellerPhoneNumber: { type: String, index: true }, // Required by the routes; removed when the seller deletes their account
+    serialNumber: { type: String, index: true, sparse: true }, // Number printed on the pass, normalizeSerial()'d on save
+    fraud: { // Set by screenListing()
+        score: Number,
+        reasons: [String],
+        checkedAt: Date,
+        clearedScore: Number, // The score a moderator approved; only a higher one is queued again
+        clearedAt: Date,
+    },
+    moderation: { // Set while a moderator has hidden the listing
+        hiddenAt: Date,
+        hiddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        reason: String, // Shown to the seller
+    },
+    nights: [NightSchema], // Set with setOpenNights() and sellNights()
+    availableDates: { type: [{ type: String, enum: DATES }], required: true }, // Nights still on sale, kept up to date on save
+    tags: { type: [String], index: true }, // Array/List, stored lowercase
     description: String,
     createdAt: { type: Date, default: Date.now, index: true },
-    priority: { type: Number, default: 1 }, // 1 for normal, 10 for boosted
+    priority: { type: Number, default: config.priority.normal }, // config.priority.normal, or the running boost's tier priority
+    boostTier: String, // The running boost (see applyBoost()); unset when it lapses
+    boostedAt: Date,
+    boostExpiresAt: Date,
+    soonestNight: { type: Number }, // Earliest night in availableDates (1-9), kept up to date on save
 });
 
-const Listing = mongoose.model('Listing', ListingSchema);
+// Indexes that match the sort modes in api/pagination.js
+ListingSchema.index({ status: 1, priority: -1, boostedAt: 1, createdAt: -1, _id: -1 });
+ListingSchema.index({ status: 1, price: 1, _id: 1 });
+ListingSchema.index({ status: 1, soonestNight: 1, priority: -1, _id: 1 });
+ListingSchema.index({ status: 1, reservedUntil: 1 }); // Used by sweepExpiredHolds()
+ListingSchema.index({ boostExpiresAt: 1 }, { sparse: true }); // Used by expireBoosts()
 
-// --- AUTH MIDDLEWARE ---
-// Middleware to verify JWT token
-const authMiddleware = (req, res, next) => {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer <token>
+// Text index for ?q= search (see api/search.js)
+ListingSchema.index(
+    { eventName: 'text', description: 'text', city: 'text', tags: 'text' },
+    { name: 'listing_text_search', weights: TEXT_INDEX_WEIGHTS }
+);
 
-    if (token == null) {
-        return res.status(401).json({ message: "No token, authorization denied." });
-    }
+// "Day 3" -> 3, "Full Season" -> 1 (a season pass is good from the first night)
+const nightNumber = (date) => (date === 'Full Season' ? 1 : parseInt(String(date).replace(/\D/g, ''), 10));
 
-    try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        req.user = decoded; // Add user payload to request
-        next();
-    } catch (e) {
-        res.status(400).json({ message: "Token is not valid." });
+// Free text is stored as plain text (see api/sanitize.js). This runs before
+// validation, so a field that is empty once cleaned still fails `required`.
+ListingSchema.pre('validate', function (next) {
+    if (this.isModified('eventName')) {
+        this.eventName = plainText(this.eventName, { maxLength: TEXT_LIMITS.eventName });
     }
-};
+    if (this.isModified('description')) {
+        this.description = plainText(this.description, { maxLength: TEXT_LIMITS.description, multiline: true });
+    }
+    if (this.isModified('tags')) {
+        this.tags = (this.tags || []).map(tag => plainText(tag, { maxLength: TEXT_LIMITS.tag }));
+    }
+    next();
+});
 
-// --- API ENDPOINTS ---
+ListingSchema.pre('save', function (next) {
+    // Tags are matched case-insensitively by the tag filter
+    if (this.isModified('tags')) {
+        this.tags = [...new Set((this.tags || []).map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    }
+    if (this.isModified('serialNumber') && this.serialNumber) {
+        this.serialNumber = normalizeSerial(this.serialNumber);
+    }
+    if (this.isModified('nights')) {
+        this.availableDates = this.nights.filter(night => night.status === 'available').map(night => night.date);
+    }
+    if (this.isModified('availableDates')) {
+        const nights = (this.availableDates || []).map(nightNumber).filter(Number.isFinite);
+        this.soonestNight = nights.length > 0 ? Math.min(...nights) : undefined;
+    }
+    next();
+});
 
-// 1. AUTH ENDPOINTS
+// Lets the frontend show a "Boosted" badge without knowing the priority values
+ListingSchema.virtual('isBoosted').get(function () {
+    return this.priority > config.priority.normal && !boostLapsed(this);
+});
+// A hold whose time ran out, which only a write (releaseExpiredHold) clears.
+// Reads treat it as released already, so they never have to wait for that write.
+const holdExpired = (listing, now = new Date()) =>
+    listing.status === 'reserved' && Boolean(listing.reservedUntil) && listing.reservedUntil <= now;
 
-// POST /api/auth/signup
-app.post('/api/auth/signup', async (req, res) => {
-    try {
-        const { email, password, phoneNumber } = req.body;
-        if (!email || !password || !phoneNumber) {
-            return res.status(400).json({ message: "Please provide email, password, and phone number." });
+// The fraud score stays server-side; see PRIVATE_LISTING_FIELDS
+ListingSchema.set('toJSON', {
+    virtuals: true,
+    transform: (doc, ret) => {
+        delete ret.fraud;
+        if (holdExpired(doc)) {
+            ret.status = 'available';
+            delete ret.reservedBy;
+            delete ret.reservedUntil;
         }
-
-        let user = await User.findOne({ email });
-        if (user) {
-            return res.status(400).json({ message: "User already exists." });
+        if (boostLapsed(doc)) {
+            ret.priority = config.priority.normal;
+            delete ret.boostTier;
+            delete ret.boostedAt;
+            delete ret.boostExpiresAt;
         }
+        return ret;
+    }
+});
 
-        // HASH TABLE (Password Hashing)
-        const salt = await bcrypt.genSalt(10);
-        const passwordHash = await bcrypt.hash(password, salt);
+const Listing = mongoose.model('Listing', ListingSchema);
 
-        user = new User({
-            email,
-            passwordHash,
-            phoneNumbers: [phoneNumber]
-        });
+// Statuses buyers can see. A reserved listing is shown "on hold", but only the
+// buyer it is held for can buy it.
+const LISTED_STATUSES = ['available', 'reserved'];
 
-        await user.save();
+// Never sent by the public listing endpoints. The phone number reaches a buyer
+// only when the seller shares it in a conversation. The pass number would let
+// anyone copy a real pass, and the fraud score would tell a cheat what to change.
+const PRIVATE_LISTING_FIELDS = { sellerPhoneNumber: 0, feePaymentId: 0, listingFee: 0, serialNumber: 0, fraud: 0 };
 
-        // Generate token
-        const payload = { id: user.id, email: user.email };
-        const token = jwt.sign(payload, JWT_SECRET, { expiresIn: '3h' });
+const isOpenTo = (listing, userId) =>
+    listing.status === 'available' ||
+    (listing.status === 'reserved' && String(listing.reservedBy) === userId);
 
-        res.status(201).json({ token, user: { id: user.id, email: user.email } });
-    } catch (err) {
-        console.error(err);
-        res.status(500).json({ message: "Server Error" });
-    }
+// Listings saved before nights were sold separately only have availableDates
+const listingNights = (listing) =>
+    listing.nights && listing.nights.length > 0
+        ? listing.nights
+        : (listing.availableDates || []).map(date => ({ date, status: 'available' }));
+
+const openNights = (listing) =>
+    listingNights(listing).filter(night => night.status === 'available').map(night => night.date);
+
+const sortNights = (dates) => [...dates].sort((a, b) => DATES.indexOf(a) - DATES.indexOf(b));
+
+/**
+ * The nights a buyer asked for, or every night still on sale when they didn't
+ * say which. Returns null if any of them is sold or not part of the listing.
+ */
+function pickNights(listing, dates) {
+    const open = openNights(listing);
+    if (!dates || dates.length === 0) return open.length > 0 ? open : null;
+    const picked = [...new Set(dates)];
+    return picked.every(date => open.includes(date)) ? sortNights(picked) : null;
+}
+
+// Replaces the nights on sale with `dates`. Nights already sold stay sold.
+function setOpenNights(listing, dates) {
+    const sold = listingNights(listing).filter(night => night.status === 'sold');
+    const soldDates = sold.map(night => night.date);
+    const open = [...new Set(dates)].filter(date => !soldDates.includes(date));
+    listing.nights = [
+        ...sold.map(({ date, status, transactionId }) => ({ date, status, transactionId })),
+        ...open.map(date => ({ date, status: 'available' }))
+    ].sort((a, b) => DATES.indexOf(a.date) - DATES.indexOf(b.date));
+}
+
+// `boosts` Collection
+// One document per boost a seller bought: the receipt. The boost that is running
+// is copied onto the listing (boostTier, boostedAt, boostExpiresAt), which is
+// what the listing sorts use.
+const BoostSchema = new mongoose.Schema({
+    listingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Listing', required: true, index: true },
+    sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    tier: { type: String, required: true, enum: BOOST_TIERS },
+    days: { type: Number, required: true },
+    fee: { type: Number, required: true },
+    currency: { type: String, required: true },
+    paymentId: String, // Shared with the listing fee when bought with a new listing
+    expiresAt: { type: Date, required: true }, // When the listing's boost ends, including this purchase
+    createdAt: { type: Date, default: Date.now },
 });
 
-// POST /api/auth/login
-app.post('/api/auth/login', async (req, res) => {
-    try {
-        const { email, password } = req.body;
-        if (!email || !password) {
-            return res.status(400).json({ message: "Please provide email and password." });
-        }
+const Boost = mongoose.model('Boost', BoostSchema);
 
-        const user = await User.findOne({ email });
-        if (!user) {
-            return res.status(400).json({ message: "Invalid credentials." });
-        }
+// `sessions` Collection
+// One document per logged-in device. The refresh token itself is never stored,
+// only its SHA-256 hash, so a database leak does not hand out live sessions.
+const SessionSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    refreshTokenHash: { type: String, required: true },
+    userAgent: String,
+    ip: String,
+    createdAt: { type: Date, default: Date.now },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true, expires: 0 }, // TTL index: Mongo deletes the session once it expires
+    revokedAt: { type: Date, default: null },
+});
 
-        // HASH TABLE (Password Comparison)
-        const isMatch = await bcrypt.compare(password, user.passwordHash);
-        if (!isMatch) {
-            return res.status(400).json({ message: "Invalid credentials." });
-        }
+const Session = mongoose.model('Session', SessionSchema);
 
-        // Generate token
-        const payload = { id: user.id, email: user.email };
-        const token = jwt.sign(payload, JWT_SECRET, { expiresIn: '3h' });
+// `usertokens` Collection
+// Single-use links sent by email (verify address, reset password).
+// As with sessions, only a hash of the token is stored.
+const UserTokenSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    purpose: { type: String, required: true, enum: ['verify_email', 'reset_password'] },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true, expires: 0 }, // TTL index
+    usedAt: { type: Date, default: null },
+});
 
-        res.status(200).json({ token, user: { id: user.id, email: user.email } });
-    } catch (err) {
-        console.error(err);
-        res.status(500).json({ message: "Server Error" });
-    }
+const UserToken = mongoose.model('UserToken', UserTokenSchema);
+
+// `phonecodes` Collection
+// The SMS code that confirms a phone number, one per user and number. Only a
+// hash of the code is stored, and it stops working after a few wrong tries.
+const PhoneCodeSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    phoneNumber: { type: String, required: true },
+    codeHash: { type: String, required: true },
+    attempts: { type: Number, default: 0 }, // Wrong codes entered; see config.auth.phoneCodeMaxAttempts
+    expiresAt: { type: Date, required: true, expires: 0 }, // TTL index
 });
 
-// 2. LISTING ENDPOINTS
+PhoneCodeSchema.index({ userId: 1, phoneNumber: 1 }, { unique: true });
 
-// GET /api/listings
-// This is the main endpoint for discovery, filtering, and sorting.
-app.get('/api/listings', async (req, res) => {
-    try {
-        // HASH TABLE (for Filters)
-        // We build a dynamic filter object based on query parameters.
-        const filterQuery = { status: 'available' };
-        
-        if (req.query.city) {
-            filterQuery.city = req.query.city;
-        }
-        if (req.query.passType) {
-            filterQuery.passType = req.query.passType;
-        }
-        if (req.query.date) {
-            // This checks if the date is in the 'availableDates' array
-            filterQuery.availableDates = req.query.date;
-        }
-        if (req.query.q) {
-            // Simple regex search for event name
-            filterQuery.eventName = { $regex: req.query.q, $options: 'i' };
-        }
+const PhoneCode = mongoose.model('PhoneCode', PhoneCodeSchema);
 
-        // 1. Fetch filtered results from MongoDB
-        const listings = await Listing.find(filterQuery);
+// `offers` Collection
+// A buyer's price offer on a listing. The seller accepts, rejects or counters;
+// the buyer can accept a counter or withdraw. Unanswered offers lapse after
+// config.offers.ttlHours. An accepted offer reserves the listing for the buyer
+// for config.offers.holdHours, at the agreed price, so they can pay for it.
+// Offers still open when the listing is sold or withdrawn become 'closed'.
+// Who may do what is in OFFER_ACTIONS.
 
-        // 2. Insert into Priority Queue (Max-Heap) for sorting
-        const pq = new PriorityQueue();
-        for (const listing of listings) {
-            pq.insert(listing);
-        }
+// Still waiting on someone
+const OPEN_OFFER_STATUSES = ['pending', 'countered'];
 
-        // 3. Extract from Priority Queue to get sorted list
-        const sortedListings = [];
-        while (!pq.isEmpty()) {
-            sortedListings.push(pq.extractMax());
-        }
+const OfferSchema = new mongoose.Schema({
+    listingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Listing', required: true, index: true },
+    buyerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    dates: [{ type: String, enum: DATES }], // The nights the offer is for
+    amount: { type: Number, required: true }, // What the buyer offered, for all those nights
+    counterAmount: Number, // What the seller asked for instead
+    acceptedAmount: Number, // The agreed price, used by the transaction
+    message: String,
+    status: { type: String, default: 'pending', enum: OFFER_STATUSES },
+    expiresAt: { type: Date, required: true }, // When the open offer lapses, or the accepted hold ends
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now },
+});
 
-        res.status(200).json(sortedListings);
-    } catch (err) {
-        console.error(err);
-        res.status(500).json({ message: "Server Error" });
+// Used by expireStaleOffers()
+OfferSchema.index({ status: 1, expiresAt: 1 });
+
+// An open offer past expiresAt reads as expired before expireStaleOffers() writes it
+const offerLapsed = (offer, now = new Date()) =>
+    OPEN_OFFER_STATUSES.includes(offer.status) && offer.expiresAt <= now;
+
+OfferSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        if (offerLapsed(doc)) ret.status = 'expired';
+        return ret;
     }
 });
 
-// GET /api/listings/event-names (for Trie)
-app.get('/api/listings/event-names', async (req, res) => {
+const Offer = mongoose.model('Offer', OfferSchema);
+
+// `threads` Collection
+// One conversation per listing and buyer. Each side has its own unread counter.
+// The seller's phone number is copied in only while they choose to share it.
+const ThreadSchema = new mongoose.Schema({
+    listingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Listing', required: true },
+    buyerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    unread: {
+        buyer: { type: Number, default: 0 },
+        seller: { type: Number, default: 0 },
+    },
+    sharedPhoneNumber: String, // Set while the seller shares their number with this buyer
+    lastMessagePreview: String,
+    lastMessageAt: { type: Date, default: Date.now },
+    createdAt: { type: Date, default: Date.now },
+});
+
+ThreadSchema.index({ listingId: 1, buyerId: 1 }, { unique: true });
+
+const Thread = mongoose.model('Thread', ThreadSchema);
+
+// `messages` Collection
+const MessageSchema = new mongoose.Schema({
+    threadId: { type: mongoose.Schema.Types.ObjectId, ref: 'Thread', required: true },
+    senderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    recipientId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    body: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now },
+});
+
+MessageSchema.index({ threadId: 1, _id: 1 });
+MessageSchema.index({ recipientId: 1, createdAt: 1 }); // New messages for the live stream
+
+const Message = mongoose.model('Message', MessageSchema);
+
+// `transactions` Collection
+// Escrow for one pass purchase. The buyer pays the price plus the service fee
+// up front; the provider holds it until the buyer confirms the handover, and only
+// then is the price paid out to the seller. The seller's phone number is only
+// released to a buyer who has paid.
+//
+//   requested -> paid -> contact_released -> completed
+// A request can be cancelled before payment, a payment refunded, and after the
+// contact is released either side can open a dispute.
+const TRANSACTION_TRANSITIONS = {
+    requested: ['paid', 'cancelled'],
+    paid: ['contact_released', 'refunded'],
+    contact_released: ['completed', 'refunded', 'disputed'],
+    disputed: ['completed', 'refunded'],
+};
+
+// The buyer's money is held in these states
+const HELD_TRANSACTION_STATUSES = ['paid', 'contact_released', 'disputed'];
+// Not finished yet: one of these per buyer and listing at a time
+const OPEN_TRANSACTION_STATUSES = ['requested', ...HELD_TRANSACTION_STATUSES];
+
+const TransactionSchema = new mongoose.Schema({
+    listingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Listing', required: true, index: true },
+    buyerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    dates: [{ type: String, enum: DATES }], // The nights being bought
+    amount: { type: Number, required: true }, // Pass price, paid out to the seller on completion
+    serviceFee: { type: Number, default: 0 }, // config.fees.contactUnlock at the time of the request
+    currency: { type: String, required: true },
+    status: { type: String, default: 'requested', enum: TRANSACTION_STATUSES, index: true },
+    paymentProvider: String,
+    paymentId: String,
+    refundId: String,
+    payoutId: String,
+    disputeReason: String,
+    history: [{
+        _id: false,
+        status: String,
+        at: { type: Date, default: Date.now },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // null when the server did it
+    }],
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now },
+});
+
+TransactionSchema.index({ listingId: 1, buyerId: 1, status: 1 });
+
+const Transaction = mongoose.model('Transaction', TransactionSchema);
+
+// `reviews` Collection
+// A buyer with a completed purchase rates the seller once per listing.
+const ReviewSchema = new mongoose.Schema({
+    sellerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    buyerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    listingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Listing', required: true },
+    transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction', required: true }, // The purchase that earned it
+    rating: { type: Number, required: true, min: 1, max: 5 },
+    comment: String,
+    createdAt: { type: Date, default: Date.now },
+});
+
+ReviewSchema.index({ listingId: 1, buyerId: 1 }, { unique: true }); // Once per listing
+ReviewSchema.index({ sellerId: 1, createdAt: -1 }); // A seller's reviews, newest first
+
+const Review = mongoose.model('Review', ReviewSchema);
+
+// `reports` Collection
+// A user flags a listing or another user. For a listing report, `userId` is the
+// listing's seller, so a moderator sees every report against a seller together.
+const ReportSchema = new mongoose.Schema({
+    reporterId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    targetType: { type: String, required: true, enum: ['listing', 'user'] },
+    listingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Listing', default: null },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    reason: { type: String, required: true, enum: [...new Set([...LISTING_REPORT_REASONS, ...USER_REPORT_REASONS])] },
+    details: String,
+    status: { type: String, default: 'open', enum: ['open', 'resolved', 'dismissed'], index: true },
+    closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    closedAt: Date,
+    note: String, // The moderator's note when closing it
+    createdAt: { type: Date, default: Date.now },
+});
+
+// One open report per reporter and target
+ReportSchema.index(
+    { reporterId: 1, targetType: 1, listingId: 1, userId: 1 },
+    { unique: true, partialFilterExpression: { status: 'open' } }
+);
+ReportSchema.index({ status: 1, createdAt: -1 }); // The moderation queue
+
+const Report = mongoose.model('Report', ReportSchema);
+
+// `auditlogs` Collection
+// One entry per moderation action, never updated or deleted.
+const AuditLogSchema = new mongoose.Schema({
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    action: { type: String, required: true }, // e.g. 'listing.hide', 'user.suspend'
+    targetType: { type: String, required: true, enum: ['listing', 'user', 'report', 'event'] },
+    targetId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+    reason: String,
+    details: mongoose.Schema.Types.Mixed,
+    createdAt: { type: Date, default: Date.now, index: true },
+});
+
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+
+// `savedsearches` Collection
+// A buyer's saved filter bar, with the same names as the GET /api/listings query.
+// An empty list or a null price means "any". See savedSearchMatchQuery().
+const SavedSearchSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    name: { type: String, required: true },
+    city: [String],
+    passType: [String],
+    date: [String],
+    tags: [String], // Lowercase, like listing tags
+    minPrice: { type: Number, default: null },
+    maxPrice: { type: Number, default: null },
+    q: String,
+    qTerms: [String], // buildTextSearch(q) as a list of words
+    alerts: { type: Boolean, default: false }, // Also send matches through the notifier
+    lastMatchedAt: Date,
+    createdAt: { type: Date, default: Date.now },
+});
+
+const SavedSearch = mongoose.model('SavedSearch', SavedSearchSchema);
+
+// `notifications` Collection
+// The in-app feed (GET /api/notifications). Every alert is written here, whether
+// or not it is also sent by email or push.
+const NOTIFICATION_TYPES = ['saved_search_match', 'watch_price_drop', 'watch_reserved', 'watch_sold'];
+
+const NotificationSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    type: { type: String, required: true, enum: NOTIFICATION_TYPES },
+    title: { type: String, required: true },
+    body: String,
+    listingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Listing' },
+    savedSearchId: { type: mongoose.Schema.Types.ObjectId, ref: 'SavedSearch' },
+    readAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now },
+});
+
+NotificationSchema.index({ userId: 1, _id: -1 }); // A user's feed, newest first
+NotificationSchema.index({ userId: 1, readAt: 1 }); // Unread count
+
+const Notification = mongoose.model('Notification', NotificationSchema);
+
+// --- SESSION HELPERS ---
+
+/**
+ * Hash Table (for Refresh Tokens)
+ * A refresh token looks like "<sessionId>.<secret>". The session id finds the
+ * document directly; the secret is checked against the stored SHA-256 digest.
+ * Every refresh rotates the secret, so a stolen token works at most once.
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshTokenExpiry = () =>
+    new Date(Date.now() + config.auth.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+// Signs a short-lived access token and builds the refresh token for a session
+function issueTokens(user, session, secret) {
+    const payload = { id: user.id, email: user.email, sid: session.id };
+    const token = jwt.sign(payload, config.auth.jwtSecret, { expiresIn: config.auth.tokenExpiresIn });
+    return { token, refreshToken: `${session.id}.${secret}` };
+}
+
+// Creates a new session (one per login/signup) and returns its tokens
+async function startSession(user, req) {
+    const secret = crypto.randomBytes(32).toString('hex');
+    const session = await Session.create({
+        userId: user._id,
+        refreshTokenHash: hashToken(secret),
+        userAgent: req.get('user-agent'),
+        ip: req.ip,
+        expiresAt: refreshTokenExpiry(),
+    });
+    return issueTokens(user, session, secret);
+}
+
+// --- EMAIL TOKEN HELPERS ---
+
+// Creates a new single-use token. Older unused tokens for the same purpose are
+// deleted, so only the most recent email link works.
+async function createUserToken(userId, purpose, ttlMs) {
+    const token = crypto.randomBytes(32).toString('hex');
+    await UserToken.deleteMany({ userId, purpose, usedAt: null });
+    await UserToken.create({
+        userId,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMs),
+    });
+    return token;
+}
+
+// Marks a token as used and returns it, or returns null if it is unknown,
+// expired or already used. The update is atomic, so a link works only once.
+function consumeUserToken(token, purpose) {
+    const now = new Date();
+    return UserToken.findOneAndUpdate(
+        { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+        { usedAt: now },
+        { new: true }
+    );
+}
+
+// Sending mail must never fail the request that triggered it
+async function sendVerificationEmail(user) {
     try {
-        // Get all unique event names and their listing IDs
-        const events = await Listing.aggregate([
-            { $match: { status: 'available' } },
-            { $group: {
-                _id: "$eventName", // Group by event name
-                listingIds: { $addToSet: "$_id" } // Collect unique listing IDs
-            }}
-        ]);
-        
-        // Format for the Trie on the frontend
-        const eventMap = events.map(e => ({
-            name: e._id,
-            ids: e.listingIds
-        }));
-        
-        res.status(200).json(eventMap);
+        const token = await createUserToken(
+            user._id, 'verify_email', config.auth.emailVerificationTtlHours * 60 * 60 * 1000
+        );
+        const link = `${config.appUrl}/?verify=${token}`;
+        await mailer.send({ to: user.email, ...emails.verifyEmail(link) });
     } catch (err) {
-        console.error(err);
-        res.status(500).json({ message: "Server Error" });
+        console.error("Verification Email Error:", err);
     }
+}
+
+// The user fields the frontend keeps in localStorage
+const publicUser = (user) => ({
+    id: user.id, email: user.email, emailVerified: user.emailVerified, role: effectiveRole(user), displayName: user.displayName || null
 });
 
+const suspendedResponse = (res) =>
+    res.status(403).json({ message: "This account has been suspended.", code: 'account_suspended' });
 
-// POST /api/listings (Create Listing)
-app.post('/api/listings', authMiddleware, async (req, res) => {
-    try {
-        const { 
-            eventName, city, passType, price, sellerPhoneNumber, 
-            availableDates, description, tags, isBoosted 
-        } = req.body;
-        
-        // Validation
-        if (!eventName || !city || !passType || !price || !sellerPhoneNumber || !availableDates) {
-            return res.status(400).json({ message: "Please fill all required fields." });
-        }
+const lockedResponse = (res, lockedUntil) =>
+    tooManyRequests(res, lockedUntil, "This account is locked after too many wrong passwords.", 'account_locked');
 
-        const newListing = new Listing({
-            sellerId: req.user.id,
-            eventName,
-            city,
-            passType,
-            price,
-            sellerPhoneNumber,
-            availableDates,
-            description,
-            tags: tags || [],
-            priority: isBoosted ? 10 : 1, // Set priority based on boost
-            createdAt: new Date()
-        });
+// Counts a wrong password. Failures further apart than the failure window start
+// the count again. Returns the lock's end once the count reaches the maximum.
+// The update is atomic, so parallel guesses can't slip past the count.
+async function recordFailedLogin(user) {
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - config.auth.loginFailureWindowMinutes * 60 * 1000);
+    const updated = await User.findOneAndUpdate(
+        { _id: user._id },
+        [{
+            $set: {
+                failedLoginCount: {
+                    $cond: [{ $gt: ['$lastFailedLoginAt', windowStart] }, { $add: [{ $ifNull: ['$failedLoginCount', 0] }, 1] }, 1]
+                },
+                lastFailedLoginAt: now,
+            }
+        }],
+        { new: true }
+    );
+    if (!updated || updated.failedLoginCount < config.auth.maxLoginFailures) return null;
 
-        const savedListing = await newListing.save();
-        
-        // Add to user's listing history
-        await User.findByIdAndUpdate(
-            req.user.id,
-            { $push: { listingsHistory: savedListing._id } }
-        );
+    const lockedUntil = new Date(now.getTime() + config.auth.loginLockMinutes * 60 * 1000);
+    await User.updateOne({ _id: user._id }, { lockedUntil, failedLoginCount: 0 });
+    return lockedUntil;
+}
 
-        res.status(201).json(savedListing);
-    } catch (err) {
-        console.error(err);
-        res.status(500).json({ message: "Server Error" });
+// --- AUTH MIDDLEWARE ---
+// Middleware to verify JWT token
+// Answers 401 with a `code` so the client knows whether a refresh can help, and
+// 403 'account_suspended' for a suspended account. Sets req.user.role.
+const authMiddleware = async (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1]; // Bearer <token>
+
+    if (token == null) {
+        return res.status(401).json({ message: "No token, authorization denied.", code: 'token_missing' });
     }
-});
 
-// GET /api/listings/my-listings
-app.get('/api/listings/my-listings', authMiddleware, async (req, res) => {
+    let decoded;
     try {
-        const listings = await Listing.find({ sellerId: req.user.id }).sort({ createdAt: -1 });
-        res.status(200).json(listings);
+        decoded = jwt.verify(token, config.auth.jwtSecret);
+    } catch (e) {
+        if (e.name === 'TokenExpiredError') {
+            return res.status(401).json({ message: "Token has expired.", code: 'token_expired' });
+        }
+        return res.status(401).json({ message: "Token is not valid.", code: 'token_invalid' });
+    }
+
+    try {
+        // A revoked session (logout, "sign out this device") stops working immediately,
+        // even if its access token has not expired yet.
+        const [session, user] = decoded.sid && mongoose.isValidObjectId(decoded.sid)
+            ? await Promise.all([
+                Session.findOne({ _id: decoded.sid, userId: decoded.id, revokedAt: null }),
+                User.findById(decoded.id).select('email emailVerified role suspendedAt')
+            ])
+            : [null, null];
+        if (!session || !user) {
+            return res.status(401).json({ message: "Session has ended. Please login again.", code: 'session_revoked' });
+        }
+        // Checked on every request, so a suspension takes effect at once
+        if (user.suspendedAt) {
+            return suspendedResponse(res);
+        }
+
+        req.user = { ...decoded, role: effectiveRole(user) }; // Add user payload to request
+        next();
     } catch (err) {
-        console.error(err);
+        console.error("Auth Error:", err);
         res.status(500).json({ message: "Server Error" });
     }
+};
+
+// --- ROLE MIDDLEWARE ---
+// Each role can do everything the roles before it can.
+// Must run after authMiddleware.
+const requireRole = (role) => (req, res, next) => {
+    if (ROLES.indexOf(req.user.role) < ROLES.indexOf(role)) {
+        return res.status(403).json({ message: "You are not allowed to do that.", code: 'forbidden' });
+    }
+    next();
+};
+
+// --- RATE LIMIT MIDDLEWARE ---
+const AUTH_WINDOW_MS = config.rateLimit.auth.windowMinutes * 60 * 1000;
+const CONTACT_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const emailKey = (req) => (typeof req.body?.email === 'string' ? req.body.email.trim() : null);
+
+// Per IP address, plus per account when `accountKey` is given, so one address
+// can't try many accounts and many addresses can't gang up on one account
+const authRateLimit = (name, accountKey) => rateLimit(name, [
+    { by: 'ip', key: (req) => req.ip, limit: config.rateLimit.auth.perIp, windowMs: AUTH_WINDOW_MS },
+    ...(accountKey ? [{ by: 'account', key: accountKey, limit: config.rateLimit.auth.perAccount, windowMs: AUTH_WINDOW_MS }] : []),
+], "Too many attempts.");
+
+// Caps how many sellers' contacts one user (or one address) can reveal a day.
+// Run through passesRateLimit() once the reveal is known to be a new one.
+const contactRateLimit = rateLimit('contact', [
+    { by: 'user', key: (req) => req.user.id, limit: config.rateLimit.contact.perUser, windowMs: CONTACT_WINDOW_MS },
+    { by: 'ip', key: (req) => req.ip, limit: config.rateLimit.contact.perIp, windowMs: CONTACT_WINDOW_MS },
+], "You have revealed the most seller contacts allowed for today.");
+
+// Runs a rate limiter inside a handler, for routes where only some requests
+// count. Resolves true if the request may go on; otherwise the 429 has been sent.
+const passesRateLimit = (limiter, req, res) => new Promise((resolve, reject) => {
+    limiter(req, res, () => resolve(true)).then(() => resolve(false), reject);
 });
 
-app.put('/api/listings/:id/sold', authMiddleware, async (req, res) => {
-    try {
-        const listing = await Listing.findById(req.params.id);
+// Every verification code is an SMS we pay for. Must run after authMiddleware.
+const phoneCodeRateLimit = rateLimit('phone-code', [
+    { by: 'user', key: (req) => req.user.id, limit: config.rateLimit.phoneCodesPerHour, windowMs: 60 * 60 * 1000 },
+], "Too many codes sent.");
 
+// --- OWNERSHIP MIDDLEWARE ---
+// Loads the listing named by :id and checks that the logged-in user owns it.
+// Must run after authMiddleware. The loaded listing is attached as req.listing.
+const listingOwnerMiddleware = async (req, res, next) => {
+    try {
         // Check 1: Does the listing exist?
+        const listing = mongoose.isValidObjectId(req.params.id)
+            ? await Listing.findById(req.params.id)
+            : null;
         if (!listing) {
             return res.status(404).json({ message: "Listing not found." });
         }
@@ -368,51 +927,3699 @@ app.put('/api/listings/:id/sold', authMiddleware, async (req, res) => {
         if (listing.sellerId.toString() !== req.user.id) {
             return res.status(403).json({ message: "User not authorized to modify this listing." });
         }
-        
-        // Check 3: Is the listing already sold?
-        if (listing.status === 'sold') {
-            return res.status(400).json({ message: "Listing is already marked as sold." });
-        }
 
-        // Update the status and save
+        req.listing = listing;
+        next();
+    } catch (err) {
+        console.error("Listing Ownership Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+// --- PARTY MIDDLEWARE ---
+// For documents shared by one buyer and one seller (offers, threads, transactions).
+// Loads the document named by :id if the logged-in user is its buyer or seller.
+// Anyone else gets a 404, so ids can't be probed. Must run after authMiddleware.
+// Sets req[key] and req.partyRole ('buyer' or 'seller').
+const partyMiddleware = (Model, key, label) => async (req, res, next) => {
+    try {
+        const doc = mongoose.isValidObjectId(req.params.id)
+            ? await Model.findById(req.params.id)
+            : null;
+        const role = !doc ? null
+            : doc.buyerId.toString() === req.user.id ? 'buyer'
+            : doc.sellerId.toString() === req.user.id ? 'seller'
+            : null;
+        if (!role) {
+            return res.status(404).json({ message: `${label} not found.` });
+        }
+
+        req[key] = doc;
+        req.partyRole = role;
+        next();
+    } catch (err) {
+        console.error(`${label} Lookup Error:`, err);
+        res.status(500).json({ message: "Server Error" });
+    }
+};
+
+const offerPartyMiddleware = partyMiddleware(Offer, 'offer', 'Offer');
+const threadPartyMiddleware = partyMiddleware(Thread, 'thread', 'Conversation');
+const transactionPartyMiddleware = partyMiddleware(Transaction, 'transaction', 'Transaction');
+
+// --- EVENT CATALOG HELPERS ---
+
+/**
+ * Finds the catalog event for a listing.
+ * - With an eventId, that event must exist and not be rejected.
+ * - With only an eventName, it is matched against every event's name and aliases
+ *   in that city (after normalizeEventName). If nothing matches, a new event is
+ *   created with status 'pending' so a moderator can approve or merge it.
+ * Returns { event } or { error: { status, field, message } }.
+ */
+async function resolveEvent({ eventId, eventName, city }, userId) {
+    if (eventId) {
+        const event = mongoose.isValidObjectId(eventId) ? await Event.findById(eventId) : null;
+        if (!event || event.status === 'rejected') {
+            return { error: { status: 400, field: 'eventId', message: "That event is not in the catalog." } };
+        }
+        return { event };
+    }
+
+    const name = plainText(eventName || '', { maxLength: TEXT_LIMITS.eventName });
+    const normalized = normalizeEventName(name);
+    if (!normalized) {
+        return { error: { status: 400, field: 'eventName', message: "Please choose an event." } };
+    }
+
+    const existing = await Event.findOne({
+        normalizedNames: normalized,
+        city,
+        status: { $ne: 'rejected' }
+    }).sort({ status: 1 }); // 'approved' sorts before 'pending'
+    if (existing) {
+        return { event: existing };
+    }
+
+    const event = await Event.create({ name, city, status: 'pending', createdBy: userId });
+    return { event };
+}
+
+const eventErrorResponse = (res, error) =>
+    res.status(error.status).json({
+        message: error.message,
+        errors: [{ field: error.field, code: 'event', message: error.message }]
+    });
+
+// --- LISTING QUERY HELPERS ---
+
+/**
+ * Fetches one page of listings matching `filterQuery`, ordered by query.sort.
+ * Used by GET /api/listings and GET /api/events/:id/listings.
+ * Returns { listings, nextCursor }, or null if query.cursor is malformed.
+ */
+async function findListingsPage(filterQuery, query) {
+    // A search is ranked by relevance unless another order is asked for
+    const textSearch = Boolean(filterQuery.$text);
+    let sortMode = query.sort || (textSearch ? 'relevance' : 'recommended');
+    if (sortMode === 'relevance' && !textSearch) {
+        sortMode = 'recommended';
+    }
+    const sortKeys = LISTING_SORTS[sortMode];
+    const limit = parseLimit(query.limit);
+
+    // Continue after the last listing of the previous page
+    let cursorFilter = null;
+    if (query.cursor) {
+        const cursorValues = decodeCursor(query.cursor, sortKeys);
+        if (!cursorValues) {
+            return null;
+        }
+        cursorFilter = keysetFilter(cursorValues, sortKeys);
+    }
+
+    // 1. Fetch one page (plus one extra to know if there is a next page) from MongoDB
+    const rankedByBoost = sortKeys.some(([field]) => field === 'priority');
+    const aggregated = sortMode === 'relevance' || rankedByBoost;
+    let page;
+    if (aggregated) {
+        // The search rank is computed per listing, and a boost that ran out ranks
+        // as none before expireBoosts() writes it, so these need an aggregation
+        const pipeline = [{ $match: filterQuery }];
+        if (sortMode === 'relevance') pipeline.push({ $addFields: { searchRank: relevanceRankExpression() } });
+        if (rankedByBoost) pipeline.push({ $addFields: currentBoostFields() });
+        if (cursorFilter) pipeline.push({ $match: cursorFilter });
+        pipeline.push({ $sort: sortSpec(sortKeys) }, { $limit: limit + 1 }, { $project: PRIVATE_LISTING_FIELDS });
+        page = await Listing.aggregate(pipeline);
+    } else {
+        const findQuery = cursorFilter ? { $and: [filterQuery, cursorFilter] } : filterQuery;
+        page = await Listing.find(findQuery).select(PRIVATE_LISTING_FIELDS).sort(sortSpec(sortKeys)).limit(limit + 1);
+    }
+    const hasMore = page.length > limit;
+    let listings = hasMore ? page.slice(0, limit) : page;
+    // The cursor is the last listing in MongoDB's order, which the next page's
+    // query continues from, not the last one after the heap below
+    const nextCursor = hasMore ? encodeCursor(page[limit - 1], sortKeys) : null;
+
+    if (sortMode === 'recommended') {
+        // 2. Insert the page into the Priority Queue (Max-Heap)
+        // The heap only ever holds one page, never the whole collection.
+        const pq = new PriorityQueue();
+        for (const listing of listings) {
+            pq.insert(listing);
+        }
+
+        // 3. Extract from Priority Queue to get sorted list
+        listings = [];
+        while (!pq.isEmpty()) {
+            listings.push(pq.extractMax());
+        }
+    }
+
+    if (aggregated) {
+        // Turn the plain aggregation results back into documents (for isBoosted etc.)
+        listings = listings.map(doc => Listing.hydrate(doc));
+    }
+
+    return { listings, nextCursor };
+}
+
+// --- TRANSACTION HELPERS ---
+
+const canTransition = (from, to) => (TRANSACTION_TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Moves a transaction from the status it was loaded with to `to`.
+ * The old status is part of the update filter, so when two requests race
+ * (say "complete" and "refund") only one of them wins. Returns the updated
+ * transaction, or null if someone else moved it first.
+ */
+function transitionTransaction(transaction, to, actorId, updates = {}) {
+    const now = new Date();
+    return Transaction.findOneAndUpdate(
+        { _id: transaction._id, status: transaction.status },
+        {
+            $set: { ...updates, status: to, updatedAt: now },
+            $push: { history: { status: to, at: now, by: actorId } }
+        },
+        { new: true }
+    );
+}
+
+/**
+ * For transitions that move money out of escrow (refund, payout). The transition
+ * is claimed first, so the money cannot move twice; then the provider is called.
+ * If the provider fails, the transaction goes back to its old status and the
+ * error is rethrown, so the action can be retried.
+ * `moveMoney` resolves to the fields to record, e.g. { refundId }.
+ */
+async function settleTransaction(transaction, to, actorId, moveMoney) {
+    const claimed = await transitionTransaction(transaction, to, actorId);
+    if (!claimed) return null;
+    try {
+        claimed.set(await moveMoney());
+        return await claimed.save();
+    } catch (err) {
+        await Transaction.updateOne(
+            { _id: claimed._id, status: to },
+            { $set: { status: transaction.status }, $pop: { history: 1 } }
+        );
+        throw err;
+    }
+}
+
+// Gives the buyer back everything they paid, and ends their hold on the listing
+async function refundTransaction(transaction, actorId) {
+    const refunded = await settleTransaction(transaction, 'refunded', actorId, async () => {
+        const { refundId } = await payments.refund({
+            paymentId: transaction.paymentId,
+            amount: transaction.amount + transaction.serviceFee
+        });
+        return { refundId };
+    });
+    if (refunded) {
+        await releaseHold(transaction.listingId, transaction.buyerId);
+    }
+    return refunded;
+}
+
+// Cancels a purchase that was never paid, and ends the buyer's hold on the listing
+async function cancelTransaction(transaction, actorId) {
+    const cancelled = await transitionTransaction(transaction, 'cancelled', actorId);
+    if (cancelled) {
+        await releaseHold(transaction.listingId, transaction.buyerId);
+    }
+    return cancelled;
+}
+
+// Matches offers and transactions that include any of `dates`. Ones saved
+// without dates were for the whole listing, so they always match.
+const overlapsNights = (dates) => ({ $or: [{ dates: { $in: dates } }, { 'dates.0': { $exists: false } }] });
+
+// Cancels or refunds the open transactions on a listing, except `keepId`.
+// Used when the listing is withdrawn or sold to someone else; with `dates`, only
+// the ones for any of those nights. Disputes are left alone. Failures are
+// logged, not thrown: the seller can still refund by hand.
+async function closeListingTransactions(listingId, keepId = null, dates = null) {
+    const others = await Transaction.find({
+        listingId,
+        _id: { $ne: keepId },
+        status: { $in: ['requested', 'paid', 'contact_released'] },
+        ...(dates ? overlapsNights(dates) : {})
+    });
+    for (const other of others) {
+        try {
+            if (other.status === 'requested') {
+                await transitionTransaction(other, 'cancelled', null);
+            } else {
+                await refundTransaction(other, null);
+            }
+        } catch (err) {
+            console.error(`Could not close transaction ${other.id}:`, err);
+        }
+    }
+}
+
+/**
+ * Marks the nights bought in `transaction` sold and ends the buyer's hold. The
+ * listing is sold once no night is left; otherwise the rest go back on sale.
+ * Returns the nights sold.
+ */
+async function sellNights(transaction) {
+    const listing = await Listing.findById(transaction.listingId);
+    if (!listing) return null;
+
+    const dates = transaction.dates.length > 0 ? transaction.dates : openNights(listing);
+    listing.nights = listingNights(listing).map(({ date, status, transactionId }) => (
+        dates.includes(date)
+            ? { date, status: 'sold', transactionId: transaction._id }
+            : { date, status, transactionId }
+    ));
+
+    if (!listing.nights.some(night => night.status === 'available')) {
         listing.status = 'sold';
+    } else if (listing.status === 'reserved' && String(listing.reservedBy) === String(transaction.buyerId)) {
+        listing.status = 'available';
+    }
+    if (listing.status !== 'reserved') {
+        listing.reservedBy = undefined;
+        listing.reservedUntil = undefined;
+    }
+    await listing.save();
+    if (listing.status === 'sold') {
+        await notifyWatchers(listing, 'watch_sold', { exceptUserId: transaction.buyerId });
+    }
+    return listing.status === 'sold' ? null : dates;
+}
+
+/**
+ * The buyer has the pass: pay the price out to the seller, mark the nights
+ * sold, refund every other buyer who was waiting on them and close their offers.
+ */
+async function completeTransaction(transaction, actorId) {
+    const completed = await settleTransaction(transaction, 'completed', actorId, async () => {
+        const { payoutId } = await payments.payout({
+            paymentId: transaction.paymentId,
+            amount: transaction.amount,
+            reference: `listing:${transaction.listingId}`
+        });
+        return { payoutId };
+    });
+    if (!completed) return null;
+
+    // null once the whole listing is sold: everything else on it closes
+    const soldDates = await sellNights(completed);
+    await User.updateOne({ _id: transaction.buyerId }, { $addToSet: { purchaseHistory: transaction.listingId } });
+    await closeListingTransactions(transaction.listingId, transaction._id, soldDates);
+    await closeListingOffers(transaction.listingId, soldDates);
+    return completed;
+}
+
+// An offer, thread or transaction as its buyer or seller sees it, with which of the two they are
+const partyJSON = (doc, userId) => ({
+    ...doc.toJSON(),
+    role: doc.buyerId.toString() === userId ? 'buyer' : 'seller'
+});
+
+// 409 for an action the current status does not allow, or a lost race
+const transitionErrorResponse = (res, status) =>
+    res.status(409).json({
+        message: status
+            ? `This transaction is ${status.replace('_', ' ')}, so that is not possible.`
+            : "This transaction was just updated. Please refresh and try again.",
+        code: 'invalid_transition'
+    });
+
+const paymentFailedResponse = (res, err) => {
+    console.error("Payment Provider Error:", err);
+    return res.status(402).json({ message: "The payment could not be processed. Please try again.", code: 'payment_failed' });
+};
+
+// Gives back a charge the request ended up not using. A failed refund is logged
+// with the payment id, to be refunded by hand, and never fails the request.
+async function refundUnusedCharge(paymentId, amount) {
+    try {
+        await payments.refund({ paymentId, amount });
+    } catch (err) {
+        console.error(`Refund Error (payment ${paymentId}):`, err);
+    }
+}
+
+// --- OFFER HELPERS ---
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+// Moves an offer from the status it was loaded with to `to`, with the same
+// race guard as transitionTransaction(). Returns the updated offer or null.
+function transitionOffer(offer, to, updates = {}) {
+    return Offer.findOneAndUpdate(
+        { _id: offer._id, status: offer.status },
+        { $set: { ...updates, status: to, updatedAt: new Date() } },
+        { new: true }
+    );
+}
+
+// Closes the offers on a listing that was sold or withdrawn; with `dates`,
+// only the ones for any of those nights
+const closeListingOffers = (listingId, dates = null) =>
+    Offer.updateMany(
+        { listingId, status: { $in: [...OPEN_OFFER_STATUSES, 'accepted'] }, ...(dates ? overlapsNights(dates) : {}) },
+        { $set: { status: 'closed', updatedAt: new Date() } }
+    );
+
+// Expires offers nobody answered in time. Accepted offers end with their
+// listing's hold (see releaseHold()).
+const expireStaleOffers = () =>
+    Offer.updateMany(
+        { status: { $in: OPEN_OFFER_STATUSES }, expiresAt: { $lte: new Date() } },
+        { $set: { status: 'expired', updatedAt: new Date() } }
+    );
+
+// Offers in any of `statuses` as they read now: a lapsed open offer counts as
+// 'expired' (see offerLapsed()), whether or not the sweep has written it yet
+function offerStatusFilter(statuses) {
+    const now = new Date();
+    const open = statuses.filter(status => OPEN_OFFER_STATUSES.includes(status));
+    const branches = [
+        { status: { $in: statuses.filter(status => !open.includes(status)) } },
+        { status: { $in: open }, expiresAt: { $gt: now } },
+    ];
+    if (statuses.includes('expired')) {
+        branches.push({ status: { $in: OPEN_OFFER_STATUSES }, expiresAt: { $lte: now } });
+    }
+    return { $or: branches };
+}
+
+// Who may take each action on an offer, and from which statuses
+const OFFER_ACTIONS = {
+    accept: { seller: ['pending'], buyer: ['countered'] },
+    reject: { seller: ['pending'] },
+    counter: { seller: ['pending'] },
+    withdraw: { buyer: ['pending', 'countered'] },
+};
+
+// Checks that the logged-in party may take `action` on req.offer right now.
+// Sends the error response and returns false if not.
+async function offerActionAllowed(req, res, action) {
+    const offer = req.offer;
+    if (OPEN_OFFER_STATUSES.includes(offer.status) && offer.expiresAt <= new Date()) {
+        await transitionOffer(offer, 'expired');
+        res.status(409).json({ message: "This offer has expired.", code: 'offer_expired' });
+        return false;
+    }
+    if (!(OFFER_ACTIONS[action][req.partyRole] || []).includes(offer.status)) {
+        res.status(409).json({ message: `You cannot ${action} an offer that is ${offer.status}.`, code: 'invalid_transition' });
+        return false;
+    }
+    return true;
+}
+
+// 409 when another request changed the offer first
+const offerConflictResponse = (res) =>
+    res.status(409).json({ message: "This offer was just updated. Please refresh and try again.", code: 'invalid_transition' });
+
+// 409 when nights asked for have been sold (or were never on the listing)
+const nightsUnavailableResponse = (res) =>
+    res.status(409).json({ message: "Some of those nights are no longer on sale.", code: 'nights_unavailable' });
+
+// 409 for a listing the user can't make offers on or buy right now
+const listingUnavailableResponse = (res, listing) =>
+    res.status(409).json({
+        message: listing && listing.status === 'reserved'
+            ? "This pass is on hold for another buyer."
+            : "This pass is no longer available.",
+        code: 'listing_unavailable'
+    });
+
+// --- HOLD HELPERS ---
+
+/**
+ * A listing is 'reserved' for one buyer while they buy it: for
+ * config.holds.minutes after they start a purchase, for config.offers.holdHours
+ * after the seller accepts their offer, and with no end (reservedUntil: null)
+ * once their payment is held in escrow. The hold covers the whole listing, even
+ * when the buyer is buying only some of its nights.
+ */
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+/**
+ * Reserves a listing for `buyerId` until `until` (null: until the escrow settles).
+ * A buyer's existing hold is only ever extended, never shortened.
+ * Returns the updated listing, or null if it is sold, withdrawn or held for
+ * someone else (including by a request that got there first).
+ */
+async function holdListing(listing, buyerId, until) {
+    if (!isOpenTo(listing, String(buyerId))) return null;
+
+    let reservedUntil = until;
+    if (listing.status === 'reserved' && until !== null) {
+        reservedUntil = listing.reservedUntil === null ? null : new Date(Math.max(listing.reservedUntil, until));
+    }
+
+    const held = await Listing.findOneAndUpdate(
+        { _id: listing._id, status: listing.status, reservedBy: listing.reservedBy || null },
+        { $set: { status: 'reserved', reservedBy: buyerId, reservedUntil } },
+        { new: true }
+    );
+    // Watchers hear about a new hold, not about one being extended
+    if (held && listing.status !== 'reserved') {
+        await notifyWatchers(held, 'watch_reserved', { exceptUserId: buyerId });
+    }
+    return held;
+}
+
+/**
+ * Puts a listing held for `buyerId` back on sale. The buyer's accepted offer
+ * ends with the hold. With `expiredBy`, only a hold that ran out by then is
+ * released, so a payment that just extended it wins.
+ */
+async function releaseHold(listingId, buyerId, expiredBy = null) {
+    const filterQuery = { _id: listingId, status: 'reserved', reservedBy: buyerId };
+    if (expiredBy) {
+        filterQuery.reservedUntil = { $lte: expiredBy };
+    }
+    const released = await Listing.updateOne(filterQuery, {
+        $set: { status: 'available' },
+        $unset: { reservedBy: 1, reservedUntil: 1 }
+    });
+    if (released.modifiedCount > 0) {
+        await Offer.updateMany(
+            { listingId, buyerId, status: 'accepted' },
+            { $set: { status: 'expired', updatedAt: new Date() } }
+        );
+    }
+    return released.modifiedCount > 0;
+}
+
+// Releases `listing`'s hold if it ran out by `now`, cancelling the unpaid
+// purchase that started it. Returns true if this call released it.
+async function releaseExpiredHold(listing, now = new Date()) {
+    if (!holdExpired(listing, now)) return false;
+    if (!await releaseHold(listing._id, listing.reservedBy, now)) return false;
+    const unpaid = await Transaction.find({ listingId: listing._id, buyerId: listing.reservedBy, status: 'requested' });
+    for (const transaction of unpaid) {
+        await transitionTransaction(transaction, 'cancelled', null);
+    }
+    return true;
+}
+
+// Loads a listing for a request that is about to hold it. A hold that has run
+// out is released first, so the pass is back on sale the moment it ends
+// instead of at the next sweep.
+async function findListingToHold(listingId) {
+    if (!mongoose.isValidObjectId(listingId)) return null;
+    const listing = await Listing.findById(listingId);
+    return listing && await releaseExpiredHold(listing) ? Listing.findById(listingId) : listing;
+}
+
+/**
+ * The sweeper: releases every hold whose time ran out and expires unanswered
+ * offers. Runs from GET /api/cron/sweep when something calls it, and from a
+ * timer when HOLD_SWEEP_INTERVAL_SECONDS is set. It is housekeeping only:
+ * reads already treat lapsed holds and offers as ended (holdExpired(),
+ * offerLapsed()), and requests that hold a listing go through
+ * findListingToHold().
+ */
+async function sweepExpiredHolds() {
+    const now = new Date();
+    await expireStaleOffers();
+
+    const expired = await Listing.find({ status: 'reserved', reservedUntil: { $lte: now } });
+    let releasedCount = 0;
+    for (const listing of expired) {
+        if (await releaseExpiredHold(listing, now)) releasedCount++;
+    }
+    return releasedCount;
+}
+
+// --- BOOST HELPERS ---
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Everything a seller can buy, for GET /api/config: one entry per tier and duration
+const boostProducts = () =>
+    Object.entries(config.boosts.tiers).flatMap(([tier, { label, dailyFee }]) =>
+        config.boosts.durationsDays.map(days => ({ tier, label, days, fee: dailyFee * days })));
+
+// The price of a boost, or null if that tier or duration is not on sale
+function boostPrice(tier, days) {
+    const product = config.boosts.tiers[tier];
+    if (!product || !config.boosts.durationsDays.includes(days)) return null;
+    return product.dailyFee * days;
+}
+
+const boostProductErrorResponse = (res) => {
+    const message = `Choose a boost length of ${config.boosts.durationsDays.join(', ')} day(s).`;
+    return res.status(400).json({ message, errors: [{ field: 'boostDays', code: 'enum', message }] });
+};
+
+const boostRunning = (listing) => Boolean(listing.boostExpiresAt && listing.boostExpiresAt > new Date());
+
+/**
+ * The listing fields for buying `days` of a `tier` boost. A running boost of the
+ * same tier is extended and keeps its place in the queue (boostedAt); anything
+ * else starts now. Callers check that no other tier is running.
+ */
+function boostFields(listing, tier, days) {
+    const now = new Date();
+    const extending = boostRunning(listing) && listing.boostTier === tier;
+    const from = extending ? listing.boostExpiresAt : now;
+    return {
+        priority: config.boosts.tiers[tier].priority,
+        boostTier: tier,
+        boostedAt: extending ? listing.boostedAt : now,
+        boostExpiresAt: new Date(from.getTime() + days * DAY_MS)
+    };
+}
+
+// Listings boosted before boosts had a duration lose theirs once the longest
+// duration on sale has passed since they were created
+const legacyBoostCutoff = (now) => new Date(now - Math.max(...config.boosts.durationsDays) * DAY_MS);
+
+// A boost whose time ran out, which only expireBoosts() clears. Reads rank and
+// show the listing as unboosted already, so they never wait for that write.
+function boostLapsed(listing, now = new Date()) {
+    return listing.boostExpiresAt
+        ? listing.boostExpiresAt <= now
+        : listing.priority > config.priority.normal && listing.createdAt <= legacyBoostCutoff(now);
+}
+
+// The ranking fields as they read now (see boostLapsed), for an aggregation
+function currentBoostFields(now = new Date()) {
+    const lapsed = { $cond: [
+        { $eq: [{ $type: '$boostExpiresAt' }, 'date'] },
+        { $lte: ['$boostExpiresAt', now] },
+        { $and: [{ $gt: ['$priority', config.priority.normal] }, { $lte: ['$createdAt', legacyBoostCutoff(now)] }] }
+    ] };
+    return {
+        priority: { $cond: [lapsed, config.priority.normal, '$priority'] },
+        boostedAt: { $cond: [lapsed, '$$REMOVE', '$boostedAt'] },
+    };
+}
+
+/**
+ * Puts listings whose boost ran out (see boostLapsed) back to normal priority.
+ * Housekeeping for GET /api/cron/sweep and the timer.
+ */
+function expireBoosts() {
+    const now = new Date();
+    return Listing.updateMany(
+        { $or: [
+            { boostExpiresAt: { $lte: now } },
+            { boostExpiresAt: null, priority: { $gt: config.priority.normal }, createdAt: { $lte: legacyBoostCutoff(now) } }
+        ] },
+        { $set: { priority: config.priority.normal }, $unset: { boostTier: 1, boostedAt: 1, boostExpiresAt: 1 } }
+    );
+}
+
+// The scheduled jobs: GET /api/cron/sweep and the optional timer run these
+async function runScheduledJobs() {
+    const released = await sweepExpiredHolds();
+    const { modifiedCount: boostsExpired } = await expireBoosts();
+    return { released, boostsExpired };
+}
+
+// --- FRAUD HELPERS ---
+
+/**
+ * Counts the fraud signals for `listing` (see api/fraud.js) and records its
+ * score. A listing about to go on sale that scores config.fraud.reviewScore or
+ * more is put in the review queue (status 'pending_review') instead.
+ * The listing is changed but not saved.
+ */
+async function screenListing(listing) {
+    const others = { _id: { $ne: listing._id } };
+    const live = { status: { $in: [...LISTED_STATUSES, 'pending_review'] } };
+    const serialNumber = listing.serialNumber && normalizeSerial(listing.serialNumber);
+
+    const [serialListed, serialSold, phoneListers, phoneUsers, nearDuplicate, recentCount] = await Promise.all([
+        serialNumber ? Listing.countDocuments({ ...others, ...live, serialNumber }) : 0,
+        serialNumber ? Listing.countDocuments({ ...others, serialNumber, status: 'sold' }) : 0,
+        Listing.distinct('sellerId', { sellerPhoneNumber: listing.sellerPhoneNumber, sellerId: { $ne: listing.sellerId } }),
+        User.distinct('_id', { phoneNumbers: listing.sellerPhoneNumber, _id: { $ne: listing.sellerId } }),
+        Listing.countDocuments({
+            ...others,
+            ...live,
+            sellerId: listing.sellerId,
+            eventId: listing.eventId || null,
+            passType: listing.passType,
+            availableDates: { $in: openNights(listing) }, // Not yet updated from `nights` before the save
+            price: nearPriceRange(listing.price)
+        }),
+        Listing.countDocuments({
+            ...others,
+            sellerId: listing.sellerId,
+            createdAt: { $gte: new Date(Date.now() - config.fraud.burstWindowMinutes * 60 * 1000) }
+        })
+    ]);
+    const sharedPhone = new Set([...phoneListers, ...phoneUsers].map(String)).size;
+
+    const { score, reasons } = scoreListing({
+        serialListed,
+        serialSold,
+        sharedPhone,
+        nearDuplicate,
+        burst: recentCount >= config.fraud.burstLimit ? 1 : 0 // This listing makes one more
+    });
+    const clearedScore = listing.fraud ? listing.fraud.clearedScore : undefined;
+    listing.fraud = { score, reasons, checkedAt: new Date(), clearedScore, clearedAt: listing.fraud ? listing.fraud.clearedAt : undefined };
+    const cleared = clearedScore !== undefined && score <= clearedScore; // A moderator already approved this much
+    if (score >= config.fraud.reviewScore && !cleared && listing.status === 'available') {
+        listing.status = 'pending_review';
+    }
+    return listing;
+}
+
+// --- MODERATION HELPERS ---
+
+// Listing statuses a moderator can hide: everything a buyer can see or is about to
+const HIDEABLE_STATUSES = [...LISTED_STATUSES, 'pending_review'];
+
+// Records a moderation action in the audit log
+const recordAudit = (req, action, targetType, targetId, { reason, details } = {}) =>
+    AuditLog.create({ actorId: req.user.id, action, targetType, targetId, reason, details });
+
+/**
+ * Takes a listing off sale on a moderator's word. As with a withdrawal, buyers
+ * who already paid are refunded and open offers are closed. Only a moderator
+ * can put it back (POST /api/moderation/listings/:id/restore).
+ */
+async function hideListing(listing, moderatorId, reason) {
+    listing.status = 'hidden';
+    listing.reservedBy = undefined;
+    listing.reservedUntil = undefined;
+    listing.moderation = { hiddenAt: new Date(), hiddenBy: moderatorId, reason };
+    await listing.save();
+
+    await closeListingTransactions(listing._id);
+    await closeListingOffers(listing._id);
+    return listing;
+}
+
+// The moderation queue shows a listing's fraud score, which toJSON leaves out
+const moderationListingJSON = (listing) => ({ ...listing.toJSON(), fraud: listing.fraud });
+
+// --- SAVED SEARCH HELPERS ---
+
+// The filters of a saved search as a GET /api/listings query string, which the
+// frontend applies to the filter bar
+function savedSearchQuery(search) {
+    const params = new URLSearchParams();
+    for (const field of ['city', 'passType', 'date', 'tags']) {
+        if (search[field].length > 0) params.set(field, search[field].join(','));
+    }
+    if (search.minPrice !== null) params.set('minPrice', String(search.minPrice));
+    if (search.maxPrice !== null) params.set('maxPrice', String(search.maxPrice));
+    if (search.q) params.set('q', search.q);
+    return params.toString();
+}
+
+const savedSearchJSON = (search) => ({
+    id: search.id,
+    name: search.name,
+    query: savedSearchQuery(search),
+    alerts: search.alerts,
+    lastMatchedAt: search.lastMatchedAt || null,
+    createdAt: search.createdAt
+});
+
+// "Couple, Ahmedabad, Day 6" for a search saved without a name
+function defaultSearchName(search) {
+    const parts = [...search.passType, ...search.city, ...search.date];
+    if (search.q) parts.unshift(`"${search.q}"`);
+    if (search.maxPrice !== null) parts.push(`up to ₹${search.maxPrice}`);
+    return (parts.join(', ') || 'All passes').slice(0, 60);
+}
+
+// An empty list in a saved search matches any value
+const anyOf = (field, values) => ({ $or: [{ [field]: { $size: 0 } }, { [field]: { $in: values } }] });
+
+/**
+ * The saved searches (of other users) a listing satisfies. This applies the
+ * filters of GET /api/listings the other way round: the listing is fixed and
+ * the searches are queried. A search's words match whole words of the listing's
+ * event name, description, city or tags.
+ */
+function savedSearchMatchQuery(listing) {
+    const words = searchWords([listing.eventName, listing.description, listing.city, ...listing.tags].join(' '));
+    return {
+        userId: { $ne: listing.sellerId },
+        $and: [
+            anyOf('city', [listing.city]),
+            anyOf('passType', [listing.passType]),
+            anyOf('date', openNights(listing)),
+            anyOf('qTerms', words),
+            { tags: { $not: { $elemMatch: { $nin: listing.tags } } } }, // Every tag asked for
+            { $or: [{ minPrice: null }, { minPrice: { $lte: listing.price } }] },
+            { $or: [{ maxPrice: null }, { maxPrice: { $gte: listing.price } }] },
+        ]
+    };
+}
+
+/**
+ * Tells everyone whose saved search matches a listing that has just gone on
+ * sale: one notification per user, however many of their searches match.
+ * Users who turned on alerts for one of those searches also get it through the
+ * notifier. Never fails the request that put the listing on sale.
+ */
+async function notifySavedSearches(listing) {
+    try {
+        const searches = await SavedSearch.find(savedSearchMatchQuery(listing)).sort({ createdAt: 1 });
+        if (searches.length === 0) return;
+        // A listing restored after a report-triggered review was already announced
+        const notified = new Set((await Notification.distinct('userId', { listingId: listing._id })).map(String));
+
+        // The user's oldest matching search names the notification
+        const matches = new Map();
+        for (const search of searches) {
+            if (notified.has(search.userId.toString())) continue;
+            const match = matches.get(search.userId.toString()) || { search, alerts: false };
+            match.alerts = match.alerts || search.alerts;
+            matches.set(search.userId.toString(), match);
+        }
+        if (matches.size === 0) return;
+
+        const title = `New ${listing.passType} pass: ${listing.eventName}`;
+        const body = `${listing.city}, ${openNights(listing).join(', ')} at ₹${listing.price} a night.`;
+        await Notification.insertMany([...matches.values()].map(({ search }) => ({
+            userId: search.userId,
+            type: 'saved_search_match',
+            title,
+            body: `${body} Matches your saved search "${search.name}".`,
+            listingId: listing._id,
+            savedSearchId: search._id
+        })));
+        await SavedSearch.updateMany({ _id: { $in: searches.map(search => search._id) } }, { lastMatchedAt: new Date() });
+
+        const alertUserIds = [...matches.entries()].filter(([, match]) => match.alerts).map(([userId]) => userId);
+        if (alertUserIds.length > 0 && notifier.channels.length > 0) {
+            const users = await User.find({ _id: { $in: alertUserIds }, suspendedAt: null });
+            const link = `${config.appUrl}/?listing=${listing._id}`;
+            await Promise.all(users.map(user => notifier.send(user, { type: 'saved_search_match', title, body, link })));
+        }
+    } catch (err) {
+        console.error("Saved Search Alert Error:", err);
+    }
+}
+
+// --- WATCHLIST HELPERS ---
+
+const MAX_WATCHLIST = 100;
+
+// What watchers are told, per notification type
+const WATCH_NOTIFICATIONS = {
+    watch_price_drop: (listing, { previousPrice }) => ({
+        title: `Price drop: ${listing.eventName}`,
+        body: `The ${listing.passType} pass in ${listing.city} you're watching is now ₹${listing.price} a night (was ₹${previousPrice}).`
+    }),
+    watch_reserved: (listing) => ({
+        title: `On hold: ${listing.eventName}`,
+        body: `A buyer is paying for the ${listing.passType} pass in ${listing.city} you're watching. It goes back on sale if they don't finish.`
+    }),
+    watch_sold: (listing) => ({
+        title: `Sold: ${listing.eventName}`,
+        body: `The ${listing.passType} pass in ${listing.city} you were watching has sold.`
+    }),
+};
+
+/**
+ * Adds a notification to the feed of everyone watching a listing, except its
+ * seller and `exceptUserId` (the buyer whose action triggered it). Never fails
+ * the request that changed the listing.
+ */
+async function notifyWatchers(listing, type, { exceptUserId, ...details } = {}) {
+    try {
+        const excluded = [listing.sellerId, exceptUserId].filter(Boolean);
+        const watchers = await User.find({ watchlist: listing._id, _id: { $nin: excluded } }).select('_id');
+        if (watchers.length === 0) return;
+
+        const { title, body } = WATCH_NOTIFICATIONS[type](listing, details);
+        await Notification.insertMany(watchers.map(watcher => ({
+            userId: watcher._id, type, title, body, listingId: listing._id
+        })));
+    } catch (err) {
+        console.error("Watchlist Alert Error:", err);
+    }
+}
+
+// A watched listing as its watcher sees it. Listings taken off the site
+// (withdrawn, in review, hidden) keep only what identifies them.
+function watchlistItemJSON(listing) {
+    if ([...LISTED_STATUSES, 'sold'].includes(listing.status)) {
+        return listing.toJSON();
+    }
+    const { _id, eventName, city, passType } = listing;
+    return { _id, eventName, city, passType, status: 'unavailable' };
+}
+
+// --- PHONE NUMBER HELPERS ---
+
+// Salted with the user and number, so a code can't be tried against another number
+const phoneCodeHash = (userId, phoneNumber, code) => hashToken(`${userId}:${phoneNumber}:${code}`);
+
+// Texts a new 6-digit code for `phoneNumber`. It replaces any code sent before,
+// and the count of wrong tries starts again.
+async function sendPhoneCode(userId, phoneNumber) {
+    const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+    const minutes = config.auth.phoneCodeTtlMinutes;
+    await PhoneCode.findOneAndUpdate(
+        { userId, phoneNumber },
+        { codeHash: phoneCodeHash(userId, phoneNumber, code), attempts: 0, expiresAt: minutesFromNow(minutes) },
+        { upsert: true }
+    );
+    await sms.send({ to: phoneNumber, text: texts.phoneCode(code, minutes) });
+}
+
+/**
+ * Checks a code the user typed in and counts the try, atomically, so parallel
+ * guesses can't get past config.auth.phoneCodeMaxAttempts.
+ * Returns 'verified' (the code is then used up), 'invalid' or 'expired' (also
+ * for a code that has had too many wrong tries, or was never sent).
+ */
+async function checkPhoneCode(userId, phoneNumber, code) {
+    const phoneCode = await PhoneCode.findOneAndUpdate(
+        { userId, phoneNumber, expiresAt: { $gt: new Date() }, attempts: { $lt: config.auth.phoneCodeMaxAttempts } },
+        { $inc: { attempts: 1 } },
+        { new: true }
+    );
+    if (!phoneCode) return 'expired';
+
+    const presented = Buffer.from(phoneCodeHash(userId, phoneNumber, code));
+    const stored = Buffer.from(phoneCode.codeHash);
+    if (presented.length !== stored.length || !crypto.timingSafeEqual(presented, stored)) {
+        return 'invalid';
+    }
+    await PhoneCode.deleteOne({ _id: phoneCode._id });
+    return 'verified';
+}
+
+// 502 when the SMS gateway fails. The number is kept, so the user can ask for another code.
+const smsFailedResponse = (res, err) => {
+    console.error("SMS Error:", err);
+    return res.status(502).json({ message: "We couldn't send a text to that number. Please try again.", code: 'sms_failed' });
+};
+
+// 400 for a listing phone number the seller hasn't verified. Buyers call the
+// number on the listing, so it has to be one the seller has proved is theirs.
+const unverifiedPhoneResponse = (res) => {
+    const message = "Use one of your verified phone numbers. Add and verify numbers under Account.";
+    return res.status(400).json({ message, errors: [{ field: 'sellerPhoneNumber', code: 'unverified', message }] });
+};
+
+// --- ACCOUNT HELPERS ---
+
+// The account as its owner sees it (GET /api/users/me)
+const accountJSON = (user) => ({
+    ...publicUser(user),
+    phoneNumbers: user.phoneNumbers.map(number => ({
+        number,
+        verified: (user.verifiedPhoneNumbers || []).includes(number)
+    })),
+    createdAt: memberSince(user),
+});
+
+/**
+ * Deletes an account. The user document is kept, so the other side of old
+ * purchases, reviews and conversations still points at something, but
+ * everything that identifies the person is removed:
+ *   - live listings are withdrawn, closing their unpaid purchases and offers,
+ *     and no listing keeps the phone or pass number
+ *   - unpaid purchases are cancelled, holds released and open offers withdrawn
+ *   - the phone number shared in conversations is taken back
+ *   - sessions end; codes, saved searches and notifications are deleted
+ *   - the email, phone numbers, name, histories and watchlist are wiped
+ * The caller checks first that no payment is held in escrow for or by the user.
+ */
+async function anonymizeUser(user) {
+    const userId = user._id;
+
+    const live = await Listing.find({ sellerId: userId, status: { $in: [...LISTED_STATUSES, 'pending_review'] } });
+    for (const listing of live) {
+        await Listing.updateOne({ _id: listing._id }, {
+            $set: { status: 'withdrawn' },
+            $unset: { reservedBy: 1, reservedUntil: 1 }
+        });
+        await closeListingTransactions(listing._id);
+        await closeListingOffers(listing._id);
+    }
+    await Listing.updateMany({ sellerId: userId }, { $unset: { sellerPhoneNumber: 1, serialNumber: 1 } });
+
+    // Cancelling a purchase releases its hold; an accepted offer's hold has no purchase yet
+    const unpaid = await Transaction.find({ buyerId: userId, status: 'requested' });
+    for (const transaction of unpaid) {
+        await cancelTransaction(transaction, user.id);
+    }
+    const held = await Listing.find({ status: 'reserved', reservedBy: userId }).select('_id');
+    for (const listing of held) {
+        await releaseHold(listing._id, userId);
+    }
+    await Offer.updateMany(
+        { buyerId: userId, status: { $in: OPEN_OFFER_STATUSES } },
+        { $set: { status: 'withdrawn', updatedAt: new Date() } }
+    );
+
+    await Thread.updateMany({ sellerId: userId }, { $unset: { sharedPhoneNumber: 1 } });
+    await Promise.all([
+        Session.updateMany({ userId, revokedAt: null }, { revokedAt: new Date() }),
+        UserToken.deleteMany({ userId }),
+        PhoneCode.deleteMany({ userId }),
+        SavedSearch.deleteMany({ userId }),
+        Notification.deleteMany({ userId }),
+    ]);
+
+    // updateOne, not save(): the schema requires a phone number
+    await User.updateOne({ _id: userId }, {
+        $set: {
+            email: `deleted-${user.id}@deleted.invalid`, // Frees the address for a new signup
+            passwordHash: crypto.randomBytes(32).toString('hex'), // Not a bcrypt hash, so no password matches it
+            emailVerified: false,
+            phoneNumbers: [],
+            verifiedPhoneNumbers: [],
+            listingsHistory: [],
+            purchaseHistory: [],
+            watchlist: [],
+            deletedAt: new Date(),
+        },
+        $unset: { displayName: 1, emailVerifiedAt: 1 }
+    });
+}
+
+// --- MESSAGING HELPERS ---
+
+const PREVIEW_LENGTH = 80;
+
+// Finds the buyer's conversation about a listing, starting one if needed
+const findOrStartThread = (listing, buyerId) =>
+    Thread.findOneAndUpdate(
+        { listingId: listing._id, buyerId },
+        { $setOnInsert: { sellerId: listing.sellerId, lastMessageAt: new Date(), createdAt: new Date() } },
+        { upsert: true, new: true }
+    );
+
+async function sendMessage(thread, senderId, body) {
+    const senderRole = thread.buyerId.toString() === senderId ? 'buyer' : 'seller';
+    const otherRole = senderRole === 'buyer' ? 'seller' : 'buyer';
+    const message = await Message.create({
+        threadId: thread._id,
+        senderId,
+        recipientId: thread[`${otherRole}Id`],
+        body
+    });
+    await Thread.updateOne({ _id: thread._id }, {
+        $set: { lastMessageAt: message.createdAt, lastMessagePreview: body.slice(0, PREVIEW_LENGTH) },
+        $inc: { [`unread.${otherRole}`]: 1 }
+    });
+    return message;
+}
+
+// Total unread messages across all of a user's conversations
+async function unreadCount(userId) {
+    const id = new mongoose.Types.ObjectId(userId);
+    const [result] = await Thread.aggregate([
+        { $match: { $or: [{ buyerId: id }, { sellerId: id }] } },
+        { $group: {
+            _id: null,
+            count: { $sum: { $cond: [{ $eq: ['$buyerId', id] }, '$unread.buyer', '$unread.seller'] } }
+        }}
+    ]);
+    return result ? result.count : 0;
+}
+
+// A thread as one side sees it: their own unread count, and the phone number only if shared
+function threadJSON(thread, userId) {
+    const { unread, sharedPhoneNumber, ...rest } = partyJSON(thread, userId);
+    return {
+        ...rest,
+        unread: unread[rest.role],
+        phoneShared: Boolean(sharedPhoneNumber),
+        phoneNumber: sharedPhoneNumber || null
+    };
+}
+
+// --- API ENDPOINTS ---
+
+// 1. AUTH ENDPOINTS
+
+// POST /api/auth/signup
+app.post('/api/auth/signup', authRateLimit('signup'), validateRequest(signupSchema), async (req, res) => {
+    try {
+        const { email, password, phoneNumber } = req.body;
+
+        let user = await User.findOne({ email });
+        if (user) {
+            return res.status(400).json({ message: "User already exists." });
+        }
+
+        // HASH TABLE (Password Hashing)
+        const salt = await bcrypt.genSalt(config.auth.bcryptRounds);
+        const passwordHash = await bcrypt.hash(password, salt);
+
+        user = new User({
+            email,
+            passwordHash,
+            phoneNumbers: [phoneNumber]
+        });
+
+        await user.save();
+        await sendVerificationEmail(user);
+
+        // Generate tokens
+        const tokens = await startSession(user, req);
+
+        res.status(201).json({ ...tokens, user: publicUser(user) });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// POST /api/auth/login
+app.post('/api/auth/login', authRateLimit('login', emailKey), validateRequest(loginSchema), async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        const user = await User.findOne({ email });
+        if (!user) {
+            return res.status(400).json({ message: "Invalid credentials." });
+        }
+        if (user.lockedUntil > new Date()) {
+            return lockedResponse(res, user.lockedUntil);
+        }
+
+        // HASH TABLE (Password Comparison)
+        const isMatch = await bcrypt.compare(password, user.passwordHash);
+        if (!isMatch) {
+            const lockedUntil = await recordFailedLogin(user);
+            if (lockedUntil) {
+                return lockedResponse(res, lockedUntil);
+            }
+            return res.status(400).json({ message: "Invalid credentials." });
+        }
+        if (user.suspendedAt) {
+            return suspendedResponse(res);
+        }
+        if (user.failedLoginCount || user.lockedUntil) {
+            await User.updateOne({ _id: user._id }, { failedLoginCount: 0, lockedUntil: null });
+        }
+
+        // Generate tokens
+        const tokens = await startSession(user, req);
+
+        res.status(200).json({ ...tokens, user: publicUser(user) });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// POST /api/auth/refresh
+// Trades a refresh token for a new access token. The refresh token is rotated.
+app.post('/api/auth/refresh', validateRequest(refreshSchema), async (req, res) => {
+    try {
+        const [sessionId, secret] = req.body.refreshToken.split('.');
+        const invalid = () => res.status(401).json({ message: "Refresh token is not valid.", code: 'refresh_invalid' });
+
+        if (!secret || !mongoose.isValidObjectId(sessionId)) {
+            return invalid();
+        }
+
+        const session = await Session.findById(sessionId);
+        if (!session || session.revokedAt || session.expiresAt < new Date()) {
+            return invalid();
+        }
+
+        // An old (already rotated) secret means the token was copied. End the session.
+        const presented = Buffer.from(hashToken(secret));
+        const stored = Buffer.from(session.refreshTokenHash);
+        if (presented.length !== stored.length || !crypto.timingSafeEqual(presented, stored)) {
+            session.revokedAt = new Date();
+            await session.save();
+            return invalid();
+        }
+
+        const user = await User.findById(session.userId);
+        if (!user) {
+            return invalid();
+        }
+        if (user.suspendedAt) {
+            return suspendedResponse(res);
+        }
+
+        const newSecret = crypto.randomBytes(32).toString('hex');
+        session.refreshTokenHash = hashToken(newSecret);
+        session.lastUsedAt = new Date();
+        session.expiresAt = refreshTokenExpiry();
+        session.userAgent = req.get('user-agent') || session.userAgent;
+        session.ip = req.ip;
+        await session.save();
+
+        res.status(200).json({ ...issueTokens(user, session, newSecret), user: publicUser(user) });
+    } catch (err) {
+        console.error("Refresh Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// POST /api/auth/logout
+// Revokes the current session on the server, so its tokens stop working.
+app.post('/api/auth/logout', authMiddleware, async (req, res) => {
+    try {
+        await Session.updateOne({ _id: req.user.sid }, { revokedAt: new Date() });
+        res.status(200).json({ message: "Logged out." });
+    } catch (err) {
+        console.error("Logout Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// GET /api/auth/sessions
+// Lists the user's active devices. The current one is flagged.
+app.get('/api/auth/sessions', authMiddleware, async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            userId: req.user.id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort({ lastUsedAt: -1 });
+
+        res.status(200).json(sessions.map(session => ({
+            id: session.id,
+            userAgent: session.userAgent,
+            ip: session.ip,
+            createdAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt,
+            current: session.id === req.user.sid
+        })));
+    } catch (err) {
+        console.error("List Sessions Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// DELETE /api/auth/sessions/:id
+// Signs out one device.
+app.delete('/api/auth/sessions/:id', authMiddleware, async (req, res) => {
+    try {
+        const session = mongoose.isValidObjectId(req.params.id)
+            ? await Session.findOne({ _id: req.params.id, userId: req.user.id, revokedAt: null })
+            : null;
+        if (!session) {
+            return res.status(404).json({ message: "Session not found." });
+        }
+
+        session.revokedAt = new Date();
+        await session.save();
+
+        res.status(200).json({ message: "Session revoked." });
+    } catch (err) {
+        console.error("Revoke Session Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// GET /api/auth/verify-email?token=...
+// The emailed link opens the site, which calls this with the token.
+app.get('/api/auth/verify-email', validateRequest(verifyEmailSchema, { source: 'query' }), async (req, res) => {
+    try {
+        const userToken = await consumeUserToken(req.query.token, 'verify_email');
+        if (!userToken) {
+            return res.status(400).json({ message: "This verification link is invalid or has expired." });
+        }
+
+        const user = await User.findByIdAndUpdate(
+            userToken.userId,
+            { emailVerified: true, emailVerifiedAt: new Date() },
+            { new: true }
+        );
+        if (!user) {
+            return res.status(400).json({ message: "This verification link is invalid or has expired." });
+        }
+
+        res.status(200).json({ message: "Email verified.", user: publicUser(user) });
+    } catch (err) {
+        console.error("Verify Email Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// POST /api/auth/resend-verification
+app.post('/api/auth/resend-verification', authMiddleware, authRateLimit('resend-verification', (req) => req.user.id), async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ message: "User not found." });
+        }
+        if (user.emailVerified) {
+            return res.status(400).json({ message: "Email is already verified." });
+        }
+
+        await sendVerificationEmail(user);
+        res.status(200).json({ message: "Verification email sent." });
+    } catch (err) {
+        console.error("Resend Verification Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// POST /api/auth/forgot-password
+// Always answers the same way, so it can't be used to check which emails have accounts.
+app.post('/api/auth/forgot-password', authRateLimit('forgot-password', emailKey), validateRequest(forgotPasswordSchema), async (req, res) => {
+    try {
+        const user = await User.findOne({ email: req.body.email });
+        if (user) {
+            const minutes = config.auth.passwordResetTtlMinutes;
+            const token = await createUserToken(user._id, 'reset_password', minutes * 60 * 1000);
+            const link = `${config.appUrl}/?reset=${token}`;
+            try {
+                await mailer.send({ to: user.email, ...emails.resetPassword(link, minutes) });
+            } catch (err) {
+                console.error("Reset Email Error:", err);
+            }
+        }
+
+        res.status(200).json({ message: "If that email has an account, a reset link is on its way." });
+    } catch (err) {
+        console.error("Forgot Password Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// POST /api/auth/reset-password
+app.post('/api/auth/reset-password', authRateLimit('reset-password'), validateRequest(resetPasswordSchema), async (req, res) => {
+    try {
+        const userToken = await consumeUserToken(req.body.token, 'reset_password');
+        if (!userToken) {
+            return res.status(400).json({ message: "This reset link is invalid or has expired." });
+        }
+
+        // HASH TABLE (Password Hashing)
+        const salt = await bcrypt.genSalt(config.auth.bcryptRounds);
+        const passwordHash = await bcrypt.hash(req.body.password, salt);
+
+        // Opening the emailed link also proves the user owns the address
+        const user = await User.findByIdAndUpdate(
+            userToken.userId,
+            // ...and unlocks an account locked by wrong passwords
+            { passwordHash, emailVerified: true, emailVerifiedAt: new Date(), failedLoginCount: 0, lockedUntil: null },
+            { new: true }
+        );
+        if (!user) {
+            return res.status(400).json({ message: "This reset link is invalid or has expired." });
+        }
+
+        // Sign out every device that used the old password
+        await Session.updateMany({ userId: user._id, revokedAt: null }, { revokedAt: new Date() });
+
+        res.status(200).json({ message: "Password updated. Please login with your new password." });
+    } catch (err) {
+        console.error("Reset Password Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// GET /api/config
+// Public, non-secret settings the frontend needs (fees shown on buttons, hold length, boosts on sale)
+app.get('/api/config', (req, res) => {
+    res.status(200).json({ fees: config.fees, holdMinutes: config.holds.minutes, boosts: boostProducts() });
+});
+
+// 2. LISTING ENDPOINTS
+
+// GET /api/listings
+// This is the main endpoint for discovery, filtering, and sorting.
+// Query: city, passType, date, tags, minPrice, maxPrice, ids, q, sort (see LISTING_SORTS), limit, cursor.
+// Returns { listings, nextCursor }; nextCursor is null on the last page.
+app.get('/api/listings', validateRequest(listingFilterSchema, { source: 'query' }), async (req, res) => {
+    try {
+        // HASH TABLE (for Filters)
+        // We build a dynamic filter object based on query parameters.
+        // city, passType, date and tags accept comma-separated lists.
+        const filterQuery = { status: { $in: LISTED_STATUSES } };
+        
+        if (req.query.city) {
+            filterQuery.city = { $in: splitList(req.query.city) };
+        }
+        if (req.query.passType) {
+            filterQuery.passType = { $in: splitList(req.query.passType) };
+        }
+        if (req.query.date) {
+            // This checks if any of the dates is in the 'availableDates' array,
+            // which only holds the nights still on sale
+            filterQuery.availableDates = { $in: splitList(req.query.date) };
+        }
+        if (req.query.ids) {
+            // A picked autocomplete suggestion: exactly the listings stored in the Trie
+            filterQuery._id = { $in: splitList(req.query.ids) };
+        }
+        if (req.query.tags) {
+            // Tags narrow the search: the listing must have every tag asked for
+            filterQuery.tags = { $all: splitList(req.query.tags).map(tag => tag.toLowerCase()) };
+        }
+        if (req.query.minPrice || req.query.maxPrice) {
+            const minPrice = req.query.minPrice ? Number(req.query.minPrice) : null;
+            const maxPrice = req.query.maxPrice ? Number(req.query.maxPrice) : null;
+            if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+                return res.status(400).json({
+                    message: "Minimum price cannot be more than maximum price.",
+                    errors: [{ field: 'minPrice', code: 'max', message: "Minimum price cannot be more than maximum price." }]
+                });
+            }
+            filterQuery.price = {};
+            if (minPrice !== null) filterQuery.price.$gte = minPrice;
+            if (maxPrice !== null) filterQuery.price.$lte = maxPrice;
+        }
+        // Full-text search over eventName, description, city and tags.
+        // The text is reduced to plain words first, so it is never run as a pattern.
+        const textSearch = req.query.q ? buildTextSearch(req.query.q) : null;
+        if (textSearch) {
+            filterQuery.$text = { $search: textSearch };
+        }
+
+        const page = await findListingsPage(filterQuery, req.query);
+        if (!page) {
+            return res.status(400).json({ message: "Invalid cursor." });
+        }
+
+        res.status(200).json(page);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// GET /api/listings/event-names (for Trie)
+// One entry per event name and city, with the available listing IDs and their count,
+// most passes first.
+app.get('/api/listings/event-names', async (req, res) => {
+    try {
+        // Get all unique event names (per city) and their listing IDs
+        const events = await Listing.aggregate([
+            { $match: { status: { $in: LISTED_STATUSES } } },
+            { $group: {
+                _id: { name: "$eventName", city: "$city" }, // Group by event name and city
+                listingIds: { $addToSet: "$_id" } // Collect unique listing IDs
+            }},
+            { $addFields: { count: { $size: "$listingIds" } } },
+            { $sort: { count: -1, "_id.name": 1 } }
+        ]);
+        
+        // Format for the Trie on the frontend
+        const eventMap = events.map(e => ({
+            name: e._id.name,
+            city: e._id.city,
+            count: e.count,
+            ids: e.listingIds
+        }));
+        
+        res.status(200).json(eventMap);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+
+// POST /api/listings (Create Listing)
+app.post('/api/listings', authMiddleware, validateRequest(listingSchema), async (req, res) => {
+    try {
+        const { 
+            eventId, eventName, passType, price, sellerPhoneNumber, 
+            availableDates, serialNumber, description, tags, boostTier, boostDays
+        } = req.body;
+
+        // Only verified accounts can sell, so nobody can list under someone else's email
+        const seller = await User.findById(req.user.id);
+        if (!seller) {
+            return res.status(404).json({ message: "User not found." });
+        }
+        if (!seller.emailVerified) {
+            return res.status(403).json({ message: "Please verify your email before creating a listing.", code: 'email_unverified' });
+        }
+        if (!(seller.verifiedPhoneNumbers || []).includes(sellerPhoneNumber)) {
+            return unverifiedPhoneResponse(res);
+        }
+
+        // Link the listing to a catalog event (or a new one awaiting approval)
+        const { event, error } = await resolveEvent({ eventId, eventName, city: req.body.city }, req.user.id);
+        if (error) {
+            return eventErrorResponse(res, error);
+        }
+
+        // The listing fee (plus the boost, if chosen) is charged before the listing goes live
+        const boostFee = boostTier ? boostPrice(boostTier, boostDays) : 0;
+        if (boostFee === null) {
+            return boostProductErrorResponse(res);
+        }
+        const fee = config.fees.listing + boostFee;
+        let feePaymentId;
+        if (fee > 0) {
+            try {
+                ({ paymentId: feePaymentId } = await payments.charge({
+                    amount: fee,
+                    currency: config.payments.currency,
+                    reference: `listing_fee:${req.user.id}`
+                }));
+            } catch (err) {
+                return paymentFailedResponse(res, err);
+            }
+        }
+
+        const newListing = new Listing({
+            sellerId: req.user.id,
+            eventId: event._id,
+            eventName: event.name,
+            city: event.city,
+            passType,
+            price,
+            sellerPhoneNumber,
+            serialNumber,
+            description,
+            tags: tags || [],
+            feePaymentId,
+            listingFee: config.fees.listing,
+            createdAt: new Date()
+        });
+        setOpenNights(newListing, availableDates);
+        if (boostTier) {
+            newListing.set(boostFields(newListing, boostTier, boostDays)); // Set priority based on boost
+        }
+        let savedListing;
+        try {
+            // A suspicious listing waits in the review queue instead of going on sale
+            await screenListing(newListing);
+
+            savedListing = await newListing.save();
+            if (boostTier) {
+                await Boost.create({
+                    listingId: savedListing._id,
+                    sellerId: req.user.id,
+                    tier: boostTier,
+                    days: boostDays,
+                    fee: boostFee,
+                    currency: config.payments.currency,
+                    paymentId: feePaymentId,
+                    expiresAt: savedListing.boostExpiresAt
+                });
+            }
+        } catch (err) {
+            // The seller paid for a listing they didn't get: take it down and refund the fee
+            if (savedListing) {
+                await Listing.deleteOne({ _id: savedListing._id })
+                    .catch(deleteErr => console.error("Create Listing Cleanup Error:", deleteErr));
+            }
+            if (feePaymentId) await refundUnusedCharge(feePaymentId, fee);
+            throw err;
+        }
+        
+        // Add to user's listing history
+        await User.findByIdAndUpdate(
+            req.user.id,
+            { $push: { listingsHistory: savedListing._id } }
+        );
+
+        // A listing held for review alerts buyers once a moderator lets it through
+        if (savedListing.status === 'available') {
+            await notifySavedSearches(savedListing);
+        }
+
+        res.status(201).json(savedListing);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// GET /api/listings/my-listings
+app.get('/api/listings/my-listings', authMiddleware, async (req, res) => {
+    try {
+        const listings = await Listing.find({ sellerId: req.user.id }).sort({ createdAt: -1 });
+        res.status(200).json(listings);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// PATCH /api/listings/:id (Edit Listing)
+// Only the fields a seller typed in can change. Status, priority and the
+// seller are managed by their own endpoints.
+const EDITABLE_LISTING_FIELDS = [
+    'eventId', 'eventName', 'city', 'passType', 'price', 'sellerPhoneNumber',
+    'availableDates', 'serialNumber', 'description', 'tags'
+];
+
+app.patch('/api/listings/:id', authMiddleware, validateRequest(listingSchema, { partial: true }), listingOwnerMiddleware, async (req, res) => {
+    try {
+        const listing = req.listing;
+
+        if (listing.status === 'sold') {
+            return res.status(400).json({ message: "Sold listings cannot be edited. Relist it first." });
+        }
+        if (listing.status === 'pending_review') {
+            return res.status(400).json({ message: "This listing is being reviewed and cannot be edited until the review is done." });
+        }
+        if (listing.status === 'hidden') {
+            return res.status(400).json({ message: "This listing was hidden by a moderator and cannot be edited." });
+        }
+
+        const updates = {};
+        for (const field of EDITABLE_LISTING_FIELDS) {
+            if (req.body[field] !== undefined) {
+                updates[field] = req.body[field];
+            }
+        }
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({ message: "Nothing to update." });
+        }
+        // The number already on the listing can stay; a new one must be verified
+        if (updates.sellerPhoneNumber && updates.sellerPhoneNumber !== listing.sellerPhoneNumber) {
+            const seller = await User.findById(req.user.id).select('verifiedPhoneNumbers');
+            if (!seller || !(seller.verifiedPhoneNumbers || []).includes(updates.sellerPhoneNumber)) {
+                return unverifiedPhoneResponse(res);
+            }
+        }
+
+        // The dates sent are the nights to keep on sale; sold nights can't change
+        const { availableDates } = updates;
+        delete updates.availableDates;
+        if (availableDates) {
+            const datesChanged = sortNights(new Set(availableDates)).join() !== openNights(listing).join();
+            if (datesChanged && listing.status === 'reserved') {
+                return res.status(409).json({ message: "The nights can't change while the pass is on hold for a buyer.", code: 'listing_unavailable' });
+            }
+            setOpenNights(listing, availableDates);
+            if (listing.nights.every(night => night.status === 'sold')) {
+                const message = "Those nights have all been sold. Keep at least one night that is still on sale.";
+                return res.status(400).json({ message, errors: [{ field: 'availableDates', code: 'sold', message }] });
+            }
+        }
+
+        // A new event or city means the listing may belong to a different catalog event
+        if (updates.eventId || updates.eventName || updates.city) {
+            const { event, error } = await resolveEvent({
+                eventId: updates.eventId,
+                eventName: updates.eventName || listing.eventName,
+                city: updates.city || listing.city
+            }, req.user.id);
+            if (error) {
+                return eventErrorResponse(res, error);
+            }
+            updates.eventId = event._id;
+            updates.eventName = event.name;
+            updates.city = event.city;
+        }
+
+        const previousPrice = listing.price;
+        listing.set(updates);
+        if (listing.status === 'available') {
+            await screenListing(listing);
+        }
+        await listing.save();
+        if (listing.price < previousPrice && LISTED_STATUSES.includes(listing.status)) {
+            await notifyWatchers(listing, 'watch_price_drop', { previousPrice });
+        }
+
+        res.status(200).json(listing);
+    } catch (err) {
+        console.error("Edit Listing Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// DELETE /api/listings/:id (Withdraw Listing)
+// This is a soft delete: the document is kept with status 'withdrawn', so the
+// ObjectId in the seller's listingsHistory (and any buyer's purchaseHistory)
+// still points at a real listing.
+app.delete('/api/listings/:id', authMiddleware, listingOwnerMiddleware, async (req, res) => {
+    try {
+        const listing = req.listing;
+
+        if (listing.status === 'withdrawn') {
+            return res.status(400).json({ message: "Listing is already withdrawn." });
+        }
+        // Withdrawing and relisting must not get around a moderator
+        if (listing.status === 'hidden') {
+            return res.status(400).json({ message: "This listing was hidden by a moderator." });
+        }
+
+        listing.status = 'withdrawn';
+        listing.reservedBy = undefined;
+        listing.reservedUntil = undefined;
+        await listing.save();
+
+        // Buyers who already paid get their money back, and offers are closed
+        await closeListingTransactions(listing._id);
+        await closeListingOffers(listing._id);
+
+        res.status(200).json(listing);
+    } catch (err) {
+        console.error("Withdraw Listing Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// PUT /api/listings/:id/relist
+// Puts a withdrawn listing back on sale. A pass sold through a completed
+// transaction has changed hands and stays sold.
+app.put('/api/listings/:id/relist', authMiddleware, listingOwnerMiddleware, async (req, res) => {
+    try {
+        const listing = req.listing;
+
+        if (LISTED_STATUSES.includes(listing.status)) {
+            return res.status(400).json({ message: "Listing is already on sale." });
+        }
+        if (listing.status === 'pending_review') {
+            return res.status(400).json({ message: "This listing is being reviewed." });
+        }
+        if (listing.status === 'hidden') {
+            return res.status(400).json({ message: "This listing was hidden by a moderator." });
+        }
+        if (listing.status === 'sold' && await Transaction.exists({ listingId: listing._id, status: 'completed' })) {
+            return res.status(400).json({ message: "This pass was sold to a buyer and cannot be relisted." });
+        }
+        if (openNights(listing).length === 0) {
+            return res.status(400).json({ message: "Every night of this pass has been sold." });
+        }
+
+        listing.status = 'available';
+        await screenListing(listing);
+        await listing.save();
+
+        res.status(200).json(listing);
+    } catch (err) {
+        console.error("Relist Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// POST /api/listings/:id/boosts (Boost a Listing)
+// Body: { tier, days }. Charges the boost price (see boostProducts()) and raises
+// the listing's priority until the boost runs out. Buying the tier that is
+// already running extends it; a different tier can be bought once it ends.
+app.post('/api/listings/:id/boosts', authMiddleware, validateRequest(boostSchema), listingOwnerMiddleware, async (req, res) => {
+    try {
+        const listing = req.listing;
+        const { tier, days } = req.body;
+
+        if (!LISTED_STATUSES.includes(listing.status)) {
+            return res.status(400).json({ message: "Only listings on sale can be boosted." });
+        }
+        if (boostRunning(listing) && listing.boostTier !== tier) {
+            return res.status(409).json({
+                message: `This listing already has a ${config.boosts.tiers[listing.boostTier].label} running. You can switch once it ends.`,
+                code: 'boost_running'
+            });
+        }
+        const fee = boostPrice(tier, days);
+        if (fee === null) {
+            return boostProductErrorResponse(res);
+        }
+
+        let paymentId;
+        try {
+            ({ paymentId } = await payments.charge({
+                amount: fee,
+                currency: config.payments.currency,
+                reference: `boost:${listing.id}`
+            }));
+        } catch (err) {
+            return paymentFailedResponse(res, err);
+        }
+
+        // Guarded on the boost it was priced against, so two purchases can't overwrite each other
+        const boosted = await Listing.findOneAndUpdate(
+            { _id: listing._id, boostExpiresAt: listing.boostExpiresAt || null },
+            { $set: boostFields(listing, tier, days) },
+            { new: true }
+        );
+        if (!boosted) {
+            await refundUnusedCharge(paymentId, fee);
+            return res.status(409).json({ message: "This listing's boost was just updated. Please refresh and try again.", code: 'boost_running' });
+        }
+
+        await Boost.create({
+            listingId: listing._id,
+            sellerId: req.user.id,
+            tier,
+            days,
+            fee,
+            currency: config.payments.currency,
+            paymentId,
+            expiresAt: boosted.boostExpiresAt
+        });
+
+        res.status(201).json(boosted);
+    } catch (err) {
+        console.error("Boost Listing Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// GET /api/listings/:id/contact (Get Seller Info)
+// Only for a buyer whose payment for nights of this listing is held in escrow (or completed).
+// The first call moves the transaction from 'paid' to 'contact_released' and opens
+// a conversation with the seller. The phone number is included only if the seller
+// has chosen to share it in that conversation.
+app.get('/api/listings/:id/contact', authMiddleware, async (req, res) => {
+    try {
+        const listing = mongoose.isValidObjectId(req.params.id)
+            ? await Listing.findById(req.params.id)
+            : null;
+        if (!listing) {
+            return res.status(404).json({ message: "Listing not found." });
+        }
+        if (listing.sellerId.toString() === req.user.id) {
+            return res.status(400).json({ message: "This is your own listing." });
+        }
+
+        const transaction = await Transaction.findOne({
+            listingId: listing._id,
+            buyerId: req.user.id,
+            status: { $in: [...HELD_TRANSACTION_STATUSES, 'completed'] }
+        }).sort({ createdAt: -1 });
+        if (!transaction) {
+            return res.status(402).json({ message: "Pay for this pass first to get the seller's contact details.", code: 'payment_required' });
+        }
+        if (transaction.status !== 'completed') {
+            if (listing.status === 'sold') {
+                return res.status(410).json({ message: "This pass has already been sold." });
+            }
+            if (listing.status === 'reserved' && !holdExpired(listing) && String(listing.reservedBy) !== req.user.id) {
+                return listingUnavailableResponse(res, listing);
+            }
+        }
+
+        // Only a new reveal counts against the daily cap, not opening one already unlocked
+        if (transaction.status === 'paid' && !await passesRateLimit(contactRateLimit, req, res)) {
+            return;
+        }
+
+        let current = transaction;
+        if (transaction.status === 'paid') {
+            current = await transitionTransaction(transaction, 'contact_released', req.user.id)
+                || await Transaction.findById(transaction._id);
+        }
+
+        const thread = await findOrStartThread(listing, req.user.id);
+
+        // Return the gated contact info
+        res.status(200).json({
+            threadId: thread.id,
+            phoneNumber: thread.sharedPhoneNumber || null,
+            sellerId: listing.sellerId,
+            transactionId: current.id,
+            transactionStatus: current.status,
+            dates: current.dates
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// 3. EVENT CATALOG ENDPOINTS
+
+// GET /api/events?city=...
+// Approved events with how many passes are available for each.
+app.get('/api/events', validateRequest(eventFilterSchema, { source: 'query' }), async (req, res) => {
+    try {
+        const filterQuery = { status: 'approved' };
+        if (req.query.city) {
+            filterQuery.city = { $in: splitList(req.query.city) };
+        }
+
+        const events = await Event.find(filterQuery).sort({ city: 1, name: 1 });
+
+        // HASH TABLE (eventId -> number of available listings)
+        const counts = await Listing.aggregate([
+            { $match: { status: { $in: LISTED_STATUSES }, eventId: { $in: events.map(e => e._id) } } },
+            { $group: { _id: "$eventId", count: { $sum: 1 } } }
+        ]);
+        const countByEvent = Object.fromEntries(counts.map(c => [c._id.toString(), c.count]));
+
+        res.status(200).json(events.map(event => ({
+            id: event.id,
+            name: event.name,
+            aliases: event.aliases,
+            city: event.city,
+            venue: event.venue,
+            dates: event.dates,
+            availableCount: countByEvent[event.id] || 0
+        })));
+    } catch (err) {
+        console.error("List Events Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// GET /api/events/:id/listings
+// Available listings for one event. Takes the same sort, limit and cursor as GET /api/listings.
+app.get('/api/events/:id/listings', validateRequest(listingFilterSchema, { source: 'query' }), async (req, res) => {
+    try {
+        const event = mongoose.isValidObjectId(req.params.id) ? await Event.findById(req.params.id) : null;
+        if (!event || event.status === 'rejected') {
+            return res.status(404).json({ message: "Event not found." });
+        }
+
+        const page = await findListingsPage({ status: { $in: LISTED_STATUSES }, eventId: event._id }, req.query);
+        if (!page) {
+            return res.status(400).json({ message: "Invalid cursor." });
+        }
+
+        res.status(200).json({ event, ...page });
+    } catch (err) {
+        console.error("Event Listings Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// 4. OFFER ENDPOINTS
+// See OFFER_ACTIONS for who can do what. Every action answers with the updated
+// offer, or 409 if the offer has expired or its status does not allow it.
+
+// POST /api/listings/:id/offers (Make an Offer)
+// Body: { amount, dates?, message? }. The amount is for all the nights in `dates`
+// (every night still on sale if left out). A new offer replaces the buyer's
+// earlier open offer on the same listing.
+app.post('/api/listings/:id/offers', authMiddleware, validateRequest(offerSchema), async (req, res) => {
+    try {
+        const listing = await findListingToHold(req.params.id);
+        if (!listing) {
+            return res.status(404).json({ message: "Listing not found." });
+        }
+        if (listing.sellerId.toString() === req.user.id) {
+            return res.status(400).json({ message: "You cannot make an offer on your own pass." });
+        }
+        if (!isOpenTo(listing, req.user.id)) {
+            return listingUnavailableResponse(res, listing);
+        }
+        if (await Offer.exists({ listingId: listing._id, buyerId: req.user.id, status: 'accepted' })) {
+            return res.status(409).json({ message: "Your offer was already accepted. Buy the pass to finish." });
+        }
+        const dates = pickNights(listing, req.body.dates);
+        if (!dates) {
+            return nightsUnavailableResponse(res);
+        }
+        const askingPrice = listing.price * dates.length;
+        if (req.body.amount >= askingPrice) {
+            const message = `Offer less than the asking price of ₹${askingPrice}, or buy it at that price.`;
+            return res.status(400).json({ message, errors: [{ field: 'amount', code: 'max', message }] });
+        }
+
+        await Offer.updateMany(
+            { listingId: listing._id, buyerId: req.user.id, status: { $in: OPEN_OFFER_STATUSES } },
+            { $set: { status: 'withdrawn', updatedAt: new Date() } }
+        );
+
+        const offer = await Offer.create({
+            listingId: listing._id,
+            buyerId: req.user.id,
+            sellerId: listing.sellerId,
+            dates,
+            amount: req.body.amount,
+            message: req.body.message ? req.body.message.trim() : undefined,
+            expiresAt: hoursFromNow(config.offers.ttlHours)
+        });
+
+        res.status(201).json(partyJSON(offer, req.user.id));
+    } catch (err) {
+        console.error("Create Offer Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// GET /api/offers?role=buyer|seller&status=...
+// Offers inbox: offers the user made (buyer) and received (seller), most recently updated first.
+app.get('/api/offers', authMiddleware, validateRequest(offerFilterSchema, { source: 'query' }), async (req, res) => {
+    try {
+        const filterQuery = req.query.role === 'buyer' ? { buyerId: req.user.id }
+            : req.query.role === 'seller' ? { sellerId: req.user.id }
+            : { $or: [{ buyerId: req.user.id }, { sellerId: req.user.id }] };
+        const statusQuery = req.query.status ? offerStatusFilter(splitList(req.query.status)) : {};
+
+        const offers = await Offer.find({ $and: [filterQuery, statusQuery] })
+            .sort({ updatedAt: -1 })
+            .limit(100)
+            .populate('listingId', 'eventName city passType availableDates nights price status reservedUntil');
+
+        res.status(200).json(offers.map(o => partyJSON(o, req.user.id)));
+    } catch (err) {
+        console.error("List Offers Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// POST /api/offers/:id/accept (Seller on an offer, or Buyer on a counter-offer)
+// Reserves the listing for the buyer at the agreed price for config.offers.holdHours.
+app.post('/api/offers/:id/accept', authMiddleware, offerPartyMiddleware, async (req, res) => {
+    try {
+        const offer = req.offer;
+        if (!await offerActionAllowed(req, res, 'accept')) return;
+
+        const holdUntil = hoursFromNow(config.offers.holdHours);
+        // Reserving first means only one offer can win the listing
+        const current = await findListingToHold(offer.listingId);
+        if (current && !pickNights(current, offer.dates)) {
+            return nightsUnavailableResponse(res);
+        }
+        const listing = current && await holdListing(current, offer.buyerId, holdUntil);
+        if (!listing) {
+            return listingUnavailableResponse(res, current);
+        }
+
+        const accepted = await transitionOffer(offer, 'accepted', {
+            acceptedAmount: offer.status === 'countered' ? offer.counterAmount : offer.amount,
+            expiresAt: holdUntil
+        });
+        if (!accepted) {
+            await releaseHold(listing._id, offer.buyerId);
+            return offerConflictResponse(res);
+        }
+
+        res.status(200).json(partyJSON(accepted, req.user.id));
+    } catch (err) {
+        console.error("Accept Offer Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// POST /api/offers/:id/counter (Seller)
+// Body: { amount } between the buyer's offer and the asking price for the offer's nights.
+app.post('/api/offers/:id/counter', authMiddleware, validateRequest(counterOfferSchema), offerPartyMiddleware, async (req, res) => {
+    try {
+        const offer = req.offer;
+        if (!await offerActionAllowed(req, res, 'counter')) return;
+
+        const listing = await Listing.findById(offer.listingId);
+        if (!listing || listing.status !== 'available') {
+            return listingUnavailableResponse(res, listing);
+        }
+        const dates = pickNights(listing, offer.dates);
+        if (!dates) {
+            return nightsUnavailableResponse(res);
+        }
+        const askingPrice = listing.price * dates.length;
+        if (req.body.amount <= offer.amount || req.body.amount >= askingPrice) {
+            const message = `A counter-offer must be between the offer (₹${offer.amount}) and your asking price (₹${askingPrice}).`;
+            return res.status(400).json({ message, errors: [{ field: 'amount', code: 'range', message }] });
+        }
+
+        const countered = await transitionOffer(offer, 'countered', {
+            counterAmount: req.body.amount,
+            expiresAt: hoursFromNow(config.offers.ttlHours)
+        });
+        if (!countered) {
+            return offerConflictResponse(res);
+        }
+
+        res.status(200).json(partyJSON(countered, req.user.id));
+    } catch (err) {
+        console.error("Counter Offer Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// POST /api/offers/:id/reject (Seller) and /withdraw (Buyer)
+// Neither touches the listing, so they share one handler.
+const OFFER_CLOSING_ACTIONS = { reject: 'rejected', withdraw: 'withdrawn' };
+
+app.post('/api/offers/:id/:action(reject|withdraw)', authMiddleware, offerPartyMiddleware, async (req, res) => {
+    try {
+        const action = req.params.action;
+        if (!await offerActionAllowed(req, res, action)) return;
+
+        const updated = await transitionOffer(req.offer, OFFER_CLOSING_ACTIONS[action]);
+        if (!updated) {
+            return offerConflictResponse(res);
+        }
+
+        res.status(200).json(partyJSON(updated, req.user.id));
+    } catch (err) {
+        console.error("Close Offer Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// 5. MESSAGING ENDPOINTS
+
+// POST /api/listings/:id/threads (Message the Seller)
+// Opens (or returns) the buyer's conversation about a listing, optionally with a first message.
+app.post('/api/listings/:id/threads', authMiddleware, validateRequest(startThreadSchema), async (req, res) => {
+    try {
+        const listing = mongoose.isValidObjectId(req.params.id)
+            ? await Listing.findById(req.params.id)
+            : null;
+        if (!listing) {
+            return res.status(404).json({ message: "Listing not found." });
+        }
+        if (listing.sellerId.toString() === req.user.id) {
+            return res.status(400).json({ message: "This is your own listing." });
+        }
+
+        let thread = await Thread.findOne({ listingId: listing._id, buyerId: req.user.id });
+        if (!thread) {
+            if (!LISTED_STATUSES.includes(listing.status)) {
+                return listingUnavailableResponse(res, listing);
+            }
+            thread = await findOrStartThread(listing, req.user.id);
+        }
+
+        const body = (req.body.body || '').trim();
+        if (body) {
+            await sendMessage(thread, req.user.id, body);
+            thread = await Thread.findById(thread._id);
+        }
+
+        res.status(200).json(threadJSON(thread, req.user.id));
+    } catch (err) {
+        console.error("Start Thread Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// GET /api/threads
+// The user's conversations, most recent first, with the listing's summary.
+app.get('/api/threads', authMiddleware, async (req, res) => {
+    try {
+        const threads = await Thread.find({ $or: [{ buyerId: req.user.id }, { sellerId: req.user.id }] })
+            .sort({ lastMessageAt: -1 })
+            .limit(100)
+            .populate('listingId', 'eventName city passType availableDates price status');
+
+        res.status(200).json(threads.map(t => threadJSON(t, req.user.id)));
+    } catch (err) {
+        console.error("List Threads Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// GET /api/threads/unread-count (for the nav badge when polling)
+app.get('/api/threads/unread-count', authMiddleware, async (req, res) => {
+    try {
+        res.status(200).json({ count: await unreadCount(req.user.id) });
+    } catch (err) {
+        console.error("Unread Count Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// GET /api/threads/stream (Server-Sent Events)
+// Pushes `message` events for new messages to the user and `unread` events with
+// their total unread count. The stream ends with a `reconnect` event after
+// config.messaging.streamSeconds, so it fits in one serverless invocation; the
+// client then opens a new one, or falls back to polling /unread-count.
+app.get('/api/threads/stream', authMiddleware, async (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    // A poll still waiting on the database when the stream ends must not write to it
+    let closed = false;
+    const send = (event, data) => {
+        if (closed || res.writableEnded) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    let since = new Date();
+    let polling = false;
+
+    const poll = async () => {
+        if (polling) return; // The previous check is still running
+        polling = true;
+        try {
+            const messages = await Message.find({ recipientId: req.user.id, createdAt: { $gt: since } })
+                .sort({ createdAt: 1 })
+                .limit(50);
+            if (messages.length > 0) {
+                since = messages[messages.length - 1].createdAt;
+                messages.forEach(message => send('message', message));
+                send('unread', { count: await unreadCount(req.user.id) });
+            }
+        } catch (err) {
+            console.error("Message Stream Error:", err);
+        } finally {
+            polling = false;
+        }
+    };
+
+    const timer = setInterval(poll, config.messaging.streamPollSeconds * 1000);
+    const end = setTimeout(() => {
+        clearInterval(timer);
+        send('reconnect', {});
+        closed = true;
+        res.end();
+    }, config.messaging.streamSeconds * 1000);
+    req.on('close', () => {
+        closed = true;
+        clearInterval(timer);
+        clearTimeout(end);
+    });
+
+    try {
+        send('unread', { count: await unreadCount(req.user.id) });
+    } catch (err) {
+        console.error("Message Stream Error:", err);
+    }
+});
+
+// GET /api/threads/:id/messages?after=<messageId>
+// The latest 100 messages, oldest first, or only those after a message id (for polling).
+// Reading the conversation clears the user's unread count for it.
+app.get('/api/threads/:id/messages', authMiddleware, validateRequest(messagesQuerySchema, { source: 'query' }), threadPartyMiddleware, async (req, res) => {
+    try {
+        const thread = req.thread;
+        const filterQuery = { threadId: thread._id };
+        if (req.query.after) {
+            filterQuery._id = { $gt: req.query.after };
+        }
+
+        const messages = (await Message.find(filterQuery).sort({ _id: -1 }).limit(100)).reverse();
+        await Thread.updateOne({ _id: thread._id }, { $set: { [`unread.${req.partyRole}`]: 0 } });
+        thread.unread[req.partyRole] = 0;
+
+        res.status(200).json({ thread: threadJSON(thread, req.user.id), messages });
+    } catch (err) {
+        console.error("Read Messages Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// POST /api/threads/:id/messages
+app.post('/api/threads/:id/messages', authMiddleware, validateRequest(messageSchema), threadPartyMiddleware, async (req, res) => {
+    try {
+        const body = req.body.body.trim();
+        if (!body) {
+            return res.status(400).json({
+                message: "Message is required.",
+                errors: [{ field: 'body', code: 'required', message: "Message is required." }]
+            });
+        }
+
+        const message = await sendMessage(req.thread, req.user.id, body);
+        res.status(201).json(message);
+    } catch (err) {
+        console.error("Send Message Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// PUT /api/threads/:id/phone (Seller)
+// Body: { share: true | false }. Shares the listing's phone number with this buyer, or stops sharing it.
+app.put('/api/threads/:id/phone', authMiddleware, validateRequest(sharePhoneSchema), threadPartyMiddleware, async (req, res) => {
+    try {
+        const thread = req.thread;
+        if (req.partyRole !== 'seller') {
+            return res.status(403).json({ message: "Only the seller can share their phone number." });
+        }
+
+        if (req.body.share) {
+            const listing = await Listing.findById(thread.listingId);
+            if (!listing) {
+                return res.status(404).json({ message: "Listing not found." });
+            }
+            thread.sharedPhoneNumber = listing.sellerPhoneNumber;
+        } else {
+            thread.sharedPhoneNumber = undefined;
+        }
+        await thread.save();
+
+        res.status(200).json(threadJSON(thread, req.user.id));
+    } catch (err) {
+        console.error("Share Phone Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// 6. TRANSACTION ENDPOINTS
+// See TRANSACTION_TRANSITIONS for the allowed moves. Every action answers with
+// the updated transaction, or 409 if its current status does not allow it.
+
+// POST /api/listings/:id/transactions (Request to Buy)
+// Body: { dates? }. Starts a purchase of those nights (every night still on sale
+// if left out) at the listing's price per night, or of the nights and at the
+// agreed price of the buyer's accepted offer, and holds the listing for
+// config.holds.minutes. If the buyer already has an open transaction for this
+// listing, that one is returned instead (200), updated while it is unpaid.
+app.post('/api/listings/:id/transactions', authMiddleware, validateRequest(purchaseSchema), async (req, res) => {
+    try {
+        const listing = await findListingToHold(req.params.id);
+        if (!listing) {
+            return res.status(404).json({ message: "Listing not found." });
+        }
+        if (listing.sellerId.toString() === req.user.id) {
+            return res.status(400).json({ message: "You cannot buy your own pass." });
+        }
+
+        const existing = await Transaction.findOne({
+            listingId: listing._id,
+            buyerId: req.user.id,
+            status: { $in: OPEN_TRANSACTION_STATUSES }
+        });
+
+        // A buyer whose offer was accepted pays the agreed price for the nights in the offer.
+        // Without dates, an unpaid purchase keeps the nights it was started with.
+        const acceptedOffer = await Offer.findOne({ listingId: listing._id, buyerId: req.user.id, status: 'accepted' });
+        const askedDates = acceptedOffer ? acceptedOffer.dates : req.body.dates || (existing && existing.dates);
+        const dates = pickNights(listing, askedDates);
+        if (!dates) {
+            return nightsUnavailableResponse(res);
+        }
+        const amount = acceptedOffer ? acceptedOffer.acceptedAmount : listing.price * dates.length;
+
+        // Committing to buy holds the pass for this buyer while they pay
+        if (!await holdListing(listing, req.user.id, minutesFromNow(config.holds.minutes))) {
+            return listingUnavailableResponse(res, await Listing.findById(listing._id));
+        }
+
+        if (existing) {
+            if (existing.status === 'requested') {
+                existing.set({ dates, amount, updatedAt: new Date() });
+                await existing.save();
+            }
+            return res.status(200).json(partyJSON(existing, req.user.id));
+        }
+
+        const transaction = await Transaction.create({
+            listingId: listing._id,
+            buyerId: req.user.id,
+            sellerId: listing.sellerId,
+            dates,
+            amount,
+            serviceFee: config.fees.contactUnlock,
+            currency: config.payments.currency,
+            history: [{ status: 'requested', by: req.user.id }]
+        });
+
+        res.status(201).json(partyJSON(transaction, req.user.id));
+    } catch (err) {
+        console.error("Create Transaction Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// GET /api/transactions?role=buyer|seller&status=...
+// The logged-in user's purchases and sales, most recently updated first.
+app.get('/api/transactions', authMiddleware, validateRequest(transactionFilterSchema, { source: 'query' }), async (req, res) => {
+    try {
+        const filterQuery = req.query.role === 'buyer' ? { buyerId: req.user.id }
+            : req.query.role === 'seller' ? { sellerId: req.user.id }
+            : { $or: [{ buyerId: req.user.id }, { sellerId: req.user.id }] };
+        if (req.query.status) {
+            filterQuery.status = { $in: splitList(req.query.status) };
+        }
+
+        const transactions = await Transaction.find(filterQuery)
+            .sort({ updatedAt: -1 })
+            .limit(100)
+            .populate('listingId', 'eventName city passType availableDates nights price status');
+
+        // `reviewed` tells the buyer which sellers they have already rated
+        const listingIds = transactions.filter(t => t.listingId).map(t => t.listingId._id);
+        const reviews = await Review.find({ buyerId: req.user.id, listingId: { $in: listingIds } }).select('listingId');
+        const reviewedListings = new Set(reviews.map(review => review.listingId.toString()));
+
+        res.status(200).json(transactions.map(t => ({
+            ...partyJSON(t, req.user.id),
+            reviewed: Boolean(t.listingId) && reviewedListings.has(t.listingId._id.toString())
+        })));
+    } catch (err) {
+        console.error("List Transactions Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// GET /api/transactions/:id
+app.get('/api/transactions/:id', authMiddleware, transactionPartyMiddleware, (req, res) => {
+    res.status(200).json(partyJSON(req.transaction, req.user.id));
+});
+
+// POST /api/transactions/:id/pay (Buyer)
+// Charges the price plus the service fee through the payment provider and holds it.
+app.post('/api/transactions/:id/pay', authMiddleware, transactionPartyMiddleware, async (req, res) => {
+    try {
+        const transaction = req.transaction;
+        if (req.partyRole !== 'buyer') {
+            return res.status(403).json({ message: "Only the buyer can pay." });
+        }
+        if (!canTransition(transaction.status, 'paid')) {
+            return transitionErrorResponse(res, transaction.status);
+        }
+
+        // Paying holds the listing until the escrow settles
+        const listing = await Listing.findById(transaction.listingId);
+        if (listing && !pickNights(listing, transaction.dates)) {
+            await cancelTransaction(transaction, null);
+            return nightsUnavailableResponse(res);
+        }
+        if (!listing || !await holdListing(listing, transaction.buyerId, null)) {
+            await transitionTransaction(transaction, 'cancelled', null);
+            return listingUnavailableResponse(res, listing);
+        }
+
+        const total = transaction.amount + transaction.serviceFee;
+        let paymentId;
+        try {
+            ({ paymentId } = await payments.charge({
+                amount: total,
+                currency: transaction.currency,
+                reference: `transaction:${transaction.id}`
+            }));
+        } catch (err) {
+            // Give the buyer a few minutes to try again
+            await Listing.updateOne(
+                { _id: listing._id, reservedBy: transaction.buyerId, reservedUntil: null },
+                { $set: { reservedUntil: minutesFromNow(config.holds.minutes) } }
+            );
+            return paymentFailedResponse(res, err);
+        }
+
+        const paid = await transitionTransaction(transaction, 'paid', req.user.id, { paymentId, paymentProvider: payments.name });
+        if (!paid) {
+            // Lost a race (e.g. a double click), so this charge is not needed
+            await refundUnusedCharge(paymentId, total);
+            return transitionErrorResponse(res);
+        }
+
+        res.status(200).json(partyJSON(paid, req.user.id));
+    } catch (err) {
+        console.error("Pay Transaction Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// POST /api/transactions/:id/cancel (Buyer or Seller, before payment)
+app.post('/api/transactions/:id/cancel', authMiddleware, transactionPartyMiddleware, async (req, res) => {
+    try {
+        const transaction = req.transaction;
+        if (!canTransition(transaction.status, 'cancelled')) {
+            return transitionErrorResponse(res, transaction.status);
+        }
+
+        const cancelled = await cancelTransaction(transaction, req.user.id);
+        if (!cancelled) {
+            return transitionErrorResponse(res);
+        }
+
+        res.status(200).json(partyJSON(cancelled, req.user.id));
+    } catch (err) {
+        console.error("Cancel Transaction Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// POST /api/transactions/:id/complete (Buyer)
+// "I have the pass": releases the money to the seller and marks the listing sold.
+app.post('/api/transactions/:id/complete', authMiddleware, transactionPartyMiddleware, async (req, res) => {
+    try {
+        const transaction = req.transaction;
+        if (req.partyRole !== 'buyer') {
+            return res.status(403).json({ message: "Only the buyer can confirm they received the pass." });
+        }
+        if (!canTransition(transaction.status, 'completed')) {
+            return transitionErrorResponse(res, transaction.status);
+        }
+
+        let completed;
+        try {
+            completed = await completeTransaction(transaction, req.user.id);
+        } catch (err) {
+            return paymentFailedResponse(res, err);
+        }
+        if (!completed) {
+            return transitionErrorResponse(res);
+        }
+
+        res.status(200).json(partyJSON(completed, req.user.id));
+    } catch (err) {
+        console.error("Complete Transaction Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// POST /api/transactions/:id/refund
+// The seller can refund at any point before completion. The buyer can only take
+// their money back before the seller's number has been released to them.
+app.post('/api/transactions/:id/refund', authMiddleware, transactionPartyMiddleware, async (req, res) => {
+    try {
+        const transaction = req.transaction;
+        if (!canTransition(transaction.status, 'refunded')) {
+            return transitionErrorResponse(res, transaction.status);
+        }
+        if (req.partyRole === 'buyer' && transaction.status !== 'paid') {
+            return res.status(403).json({ message: "The seller's number has been released. Ask the seller for a refund or open a dispute." });
+        }
+
+        let refunded;
+        try {
+            refunded = await refundTransaction(transaction, req.user.id);
+        } catch (err) {
+            return paymentFailedResponse(res, err);
+        }
+        if (!refunded) {
+            return transitionErrorResponse(res);
+        }
+
+        res.status(200).json(partyJSON(refunded, req.user.id));
+    } catch (err) {
+        console.error("Refund Transaction Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// POST /api/transactions/:id/dispute (Buyer or Seller)
+// Freezes the money until the dispute is settled by a completion or a refund.
+app.post('/api/transactions/:id/dispute', authMiddleware, validateRequest(disputeSchema), transactionPartyMiddleware, async (req, res) => {
+    try {
+        const transaction = req.transaction;
+        if (!canTransition(transaction.status, 'disputed')) {
+            return transitionErrorResponse(res, transaction.status);
+        }
+
+        const disputed = await transitionTransaction(transaction, 'disputed', req.user.id, { disputeReason: req.body.reason.trim() });
+        if (!disputed) {
+            return transitionErrorResponse(res);
+        }
+
+        res.status(200).json(partyJSON(disputed, req.user.id));
+    } catch (err) {
+        console.error("Dispute Transaction Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// 7. REVIEW & PROFILE ENDPOINTS
+
+// POST /api/listings/:id/reviews (Review the Seller)
+// Body: { rating: 1-5, comment? }. Only a buyer with a completed purchase of the
+// listing can review its seller, and only once per listing.
+app.post('/api/listings/:id/reviews', authMiddleware, validateRequest(reviewSchema), async (req, res) => {
+    try {
+        if (!Number.isInteger(req.body.rating)) {
+            const message = "Rating must be a whole number of stars.";
+            return res.status(400).json({ message, errors: [{ field: 'rating', code: 'type', message }] });
+        }
+
+        const transaction = mongoose.isValidObjectId(req.params.id)
+            ? await Transaction.findOne({ listingId: req.params.id, buyerId: req.user.id, status: 'completed' }).sort({ updatedAt: -1 })
+            : null;
+        if (!transaction) {
+            return res.status(403).json({ message: "Only a buyer who completed a purchase of this pass can review its seller.", code: 'purchase_required' });
+        }
+
+        const alreadyReviewed = { message: "You have already reviewed this seller for this pass.", code: 'already_reviewed' };
+        if (await Review.exists({ listingId: transaction.listingId, buyerId: req.user.id })) {
+            return res.status(409).json(alreadyReviewed);
+        }
+
+        let review;
+        try {
+            review = await Review.create({
+                sellerId: transaction.sellerId,
+                buyerId: req.user.id,
+                listingId: transaction.listingId,
+                transactionId: transaction._id,
+                rating: req.body.rating,
+                comment: req.body.comment ? req.body.comment.trim() : undefined
+            });
+        } catch (err) {
+            if (err.code === 11000) { // A second request got there first
+                return res.status(409).json(alreadyReviewed);
+            }
+            throw err;
+        }
+
+        res.status(201).json(review);
+    } catch (err) {
+        console.error("Create Review Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// GET /api/users/:id/profile (Public Seller Profile)
+// What a buyer needs to judge a seller: average rating, completed sales and
+// how long they have been a member, and the name they chose. Never the email or
+// phone number.
+app.get('/api/users/:id/profile', async (req, res) => {
+    try {
+        const user = mongoose.isValidObjectId(req.params.id)
+            ? await User.findById(req.params.id).select('createdAt displayName deletedAt')
+            : null;
+        if (!user) {
+            return res.status(404).json({ message: "User not found." });
+        }
+
+        const [ratings] = await Review.aggregate([
+            { $match: { sellerId: user._id } },
+            { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+        ]);
+        const salesCount = await Transaction.countDocuments({ sellerId: user._id, status: 'completed' });
+
+        res.status(200).json({
+            id: user.id,
+            displayName: user.displayName || null,
+            deleted: Boolean(user.deletedAt), // Its listings and history were anonymized
+            averageRating: ratings ? Math.round(ratings.average * 10) / 10 : null, // null until the first review
+            reviewCount: ratings ? ratings.count : 0,
+            salesCount,
+            memberSince: memberSince(user)
+        });
+    } catch (err) {
+        console.error("User Profile Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// GET /api/users/:id/reviews
+// A seller's 50 most recent reviews. Reviewers are not named.
+app.get('/api/users/:id/reviews', async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: "User not found." });
+        }
+
+        const reviews = await Review.find({ sellerId: req.params.id })
+            .select('rating comment createdAt listingId')
+            .sort({ createdAt: -1 })
+            .limit(50)
+            .populate('listingId', 'eventName city');
+
+        res.status(200).json(reviews);
+    } catch (err) {
+        console.error("List Reviews Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// 8. REPORT ENDPOINTS
+
+const alreadyReported = { message: "You have already reported this. A moderator will look at it.", code: 'already_reported' };
+
+// Creates a report, answering 409 if the reporter has an open one for the same target
+async function createReport(res, fields) {
+    if (await Report.exists({ ...fields.target, reporterId: fields.reporterId, status: 'open' })) {
+        res.status(409).json(alreadyReported);
+        return null;
+    }
+    try {
+        return await Report.create({ ...fields.target, reporterId: fields.reporterId, reason: fields.reason, details: fields.details });
+    } catch (err) {
+        if (err.code === 11000) { // A second request got there first
+            res.status(409).json(alreadyReported);
+            return null;
+        }
+        throw err;
+    }
+}
+
+// POST /api/listings/:id/report (Report a Listing)
+// Body: { reason, details? }. Once config.moderation.reportThreshold users have
+// open reports against a listing on sale, it waits in the review queue.
+app.post('/api/listings/:id/report', authMiddleware, validateRequest(listingReportSchema), async (req, res) => {
+    try {
+        const listing = mongoose.isValidObjectId(req.params.id)
+            ? await Listing.findOne({ _id: req.params.id, status: { $in: LISTED_STATUSES } })
+            : null;
+        if (!listing) {
+            return res.status(404).json({ message: "Listing not found." });
+        }
+        if (listing.sellerId.toString() === req.user.id) {
+            return res.status(400).json({ message: "You cannot report your own listing." });
+        }
+
+        const report = await createReport(res, {
+            target: { targetType: 'listing', listingId: listing._id, userId: listing.sellerId },
+            reporterId: req.user.id,
+            reason: req.body.reason,
+            details: req.body.details ? req.body.details.trim() : undefined
+        });
+        if (!report) return;
+
+        const reporters = await Report.distinct('reporterId', { listingId: listing._id, status: 'open' });
+        if (reporters.length >= config.moderation.reportThreshold) {
+            await Listing.updateOne({ _id: listing._id, status: 'available' }, { status: 'pending_review' });
+        }
+
+        res.status(201).json({ message: "Thanks. A moderator will look at this listing." });
+    } catch (err) {
+        console.error("Report Listing Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// POST /api/users/:id/report (Report a User)
+// Body: { reason, details? }
+app.post('/api/users/:id/report', authMiddleware, validateRequest(userReportSchema), async (req, res) => {
+    try {
+        const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id).select('_id') : null;
+        if (!user) {
+            return res.status(404).json({ message: "User not found." });
+        }
+        if (user.id === req.user.id) {
+            return res.status(400).json({ message: "You cannot report yourself." });
+        }
+
+        const report = await createReport(res, {
+            target: { targetType: 'user', listingId: null, userId: user._id },
+            reporterId: req.user.id,
+            reason: req.body.reason,
+            details: req.body.details ? req.body.details.trim() : undefined
+        });
+        if (!report) return;
+
+        res.status(201).json({ message: "Thanks. A moderator will look at this account." });
+    } catch (err) {
+        console.error("Report User Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// 9. MODERATION ENDPOINTS
+// Moderators work the report and review queues; admins also hand out roles
+// and read the audit log. Every change here is recorded with recordAudit().
+
+const moderator = [authMiddleware, requireRole('moderator')];
+const admin = [authMiddleware, requireRole('admin')];
+
+// GET /api/moderation/reports?status=open&targetType=listing
+// The 100 newest reports, open ones by default.
+app.get('/api/moderation/reports', moderator, validateRequest(reportFilterSchema, { source: 'query' }), async (req, res) => {
+    try {
+        const filterQuery = { status: { $in: req.query.status ? splitList(req.query.status) : ['open'] } };
+        if (req.query.targetType) {
+            filterQuery.targetType = req.query.targetType;
+        }
+
+        const reports = await Report.find(filterQuery)
+            .sort({ createdAt: -1 })
+            .limit(100)
+            .populate('reporterId', 'email')
+            .populate('listingId', 'eventName city status')
+            .populate('userId', 'email suspendedAt');
+
+        res.status(200).json(reports);
+    } catch (err) {
+        console.error("List Reports Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// POST /api/moderation/reports/:id/resolve | /dismiss
+// Body: { note? }. Closes an open report. Acting on what was reported (hiding
+// the listing, suspending the user) is a separate call.
+app.post('/api/moderation/reports/:id/:action(resolve|dismiss)', moderator, validateRequest(reportActionSchema), async (req, res) => {
+    try {
+        const status = req.params.action === 'resolve' ? 'resolved' : 'dismissed';
+        const report = mongoose.isValidObjectId(req.params.id)
+            ? await Report.findOneAndUpdate(
+                { _id: req.params.id, status: 'open' },
+                { status, closedBy: req.user.id, closedAt: new Date(), note: req.body.note ? req.body.note.trim() : undefined },
+                { new: true }
+            )
+            : null;
+        if (!report) {
+            return res.status(404).json({ message: "Open report not found." });
+        }
+
+        await recordAudit(req, `report.${req.params.action}`, 'report', report._id, { reason: report.note });
+        res.status(200).json(report);
+    } catch (err) {
+        console.error("Close Report Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// GET /api/moderation/listings?status=pending_review|hidden
+// The review queue (flagged by screenListing() or by reports), oldest first,
+// with fraud scores. ?status=hidden lists hidden listings instead.
+app.get('/api/moderation/listings', moderator, validateRequest(moderationListingFilterSchema, { source: 'query' }), async (req, res) => {
+    try {
+        const listings = await Listing.find({ status: req.query.status || 'pending_review' })
+            .sort({ createdAt: 1 })
+            .limit(100);
+        res.status(200).json(listings.map(moderationListingJSON));
+    } catch (err) {
+        console.error("Moderation Queue Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// POST /api/moderation/listings/:id/hide
+// Body: { reason }. Takes a listing off sale (see hideListing()).
+// Rejecting a listing in the review queue is the same call.
+app.post('/api/moderation/listings/:id/hide', moderator, validateRequest(moderationReasonSchema), async (req, res) => {
+    try {
+        const listing = mongoose.isValidObjectId(req.params.id) ? await Listing.findById(req.params.id) : null;
+        if (!listing) {
+            return res.status(404).json({ message: "Listing not found." });
+        }
+        if (!HIDEABLE_STATUSES.includes(listing.status)) {
+            return res.status(400).json({ message: `A ${listing.status} listing cannot be hidden.` });
+        }
+
+        const previousStatus = listing.status;
+        const reason = req.body.reason.trim();
+        await hideListing(listing, req.user.id, reason);
+        await recordAudit(req, 'listing.hide', 'listing', listing._id, { reason, details: { previousStatus } });
+
+        res.status(200).json(moderationListingJSON(listing));
+    } catch (err) {
+        console.error("Hide Listing Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// POST /api/moderation/listings/:id/restore
+// Puts a hidden listing back on sale, or approves one in the review queue.
+// An approved fraud score is remembered, so editing the listing doesn't send
+// it straight back to the queue (see screenListing()).
+app.post('/api/moderation/listings/:id/restore', moderator, async (req, res) => {
+    try {
+        const listing = mongoose.isValidObjectId(req.params.id) ? await Listing.findById(req.params.id) : null;
+        if (!listing) {
+            return res.status(404).json({ message: "Listing not found." });
+        }
+        if (!['hidden', 'pending_review'].includes(listing.status)) {
+            return res.status(400).json({ message: "Only hidden listings and listings in review can be restored." });
+        }
+        if (openNights(listing).length === 0) {
+            return res.status(400).json({ message: "Every night of this pass has been sold." });
+        }
+        if (await User.exists({ _id: listing.sellerId, deletedAt: { $ne: null } })) {
+            return res.status(400).json({ message: "The seller has deleted their account." });
+        }
+        if (await User.exists({ _id: listing.sellerId, suspendedAt: { $ne: null } })) {
+            return res.status(400).json({ message: "The seller is suspended. Lift the suspension first." });
+        }
+
+        const previousStatus = listing.status;
+        if (listing.fraud && listing.fraud.score !== undefined) {
+            listing.fraud.clearedScore = listing.fraud.score;
+            listing.fraud.clearedAt = new Date();
+        }
+        listing.status = 'available';
+        listing.moderation = undefined;
         await listing.save();
+        await recordAudit(req, 'listing.restore', 'listing', listing._id, { details: { previousStatus } });
+        if (previousStatus === 'pending_review') {
+            await notifySavedSearches(listing); // Held back when it was created
+        }
+
+        res.status(200).json(moderationListingJSON(listing));
+    } catch (err) {
+        console.error("Restore Listing Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// Loads the user named by :id for a moderator, who may only act on users with
+// a lower role than their own. Answers the request and returns null otherwise.
+async function findModeratedUser(req, res) {
+    const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+    if (!user) {
+        res.status(404).json({ message: "User not found." });
+        return null;
+    }
+    if (ROLES.indexOf(effectiveRole(user)) >= ROLES.indexOf(req.user.role)) {
+        res.status(403).json({ message: "You can only act on users with a lower role than yours.", code: 'forbidden' });
+        return null;
+    }
+    return user;
+}
+
+// POST /api/moderation/users/:id/suspend
+// Body: { reason }. The user's tokens stop working at once (see authMiddleware)
+// and their listings on sale or in review are hidden.
+app.post('/api/moderation/users/:id/suspend', moderator, validateRequest(moderationReasonSchema), async (req, res) => {
+    try {
+        const user = await findModeratedUser(req, res);
+        if (!user) return;
+        if (user.suspendedAt) {
+            return res.status(400).json({ message: "User is already suspended." });
+        }
+
+        const reason = req.body.reason.trim();
+        user.suspendedAt = new Date();
+        user.suspendedBy = req.user.id;
+        user.suspensionReason = reason;
+        await user.save();
+
+        const listings = await Listing.find({ sellerId: user._id, status: { $in: HIDEABLE_STATUSES } });
+        for (const listing of listings) {
+            await hideListing(listing, req.user.id, reason);
+        }
+        await recordAudit(req, 'user.suspend', 'user', user._id, {
+            reason,
+            details: { hiddenListingIds: listings.map(listing => listing._id) }
+        });
+
+        res.status(200).json({ id: user.id, suspendedAt: user.suspendedAt, hiddenListings: listings.length });
+    } catch (err) {
+        console.error("Suspend User Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// POST /api/moderation/users/:id/unsuspend
+// Lets the user log in again. Their hidden listings stay hidden until a
+// moderator restores them.
+app.post('/api/moderation/users/:id/unsuspend', moderator, async (req, res) => {
+    try {
+        const user = await findModeratedUser(req, res);
+        if (!user) return;
+        if (!user.suspendedAt) {
+            return res.status(400).json({ message: "User is not suspended." });
+        }
+
+        user.suspendedAt = null;
+        user.suspendedBy = undefined;
+        user.suspensionReason = undefined;
+        await user.save();
+        await recordAudit(req, 'user.unsuspend', 'user', user._id);
+
+        res.status(200).json({ id: user.id, suspendedAt: null });
+    } catch (err) {
+        console.error("Unsuspend User Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// GET /api/moderation/events
+// Events suggested by sellers (see resolveEvent()) that wait for approval, oldest first
+app.get('/api/moderation/events', moderator, async (req, res) => {
+    try {
+        const events = await Event.find({ status: 'pending' }).sort({ createdAt: 1 }).limit(100);
+        res.status(200).json(events);
+    } catch (err) {
+        console.error("Pending Events Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// POST /api/moderation/events/:id/approve | /reject
+app.post('/api/moderation/events/:id/:action(approve|reject)', moderator, async (req, res) => {
+    try {
+        const status = req.params.action === 'approve' ? 'approved' : 'rejected';
+        const event = mongoose.isValidObjectId(req.params.id)
+            ? await Event.findOneAndUpdate({ _id: req.params.id, status: 'pending' }, { status }, { new: true })
+            : null;
+        if (!event) {
+            return res.status(404).json({ message: "Pending event not found." });
+        }
+
+        await recordAudit(req, `event.${req.params.action}`, 'event', event._id);
+        res.status(200).json(event);
+    } catch (err) {
+        console.error("Review Event Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// PUT /api/admin/users/:id/role
+// Body: { role }. Admins can't change their own role, so there is always one left.
+app.put('/api/admin/users/:id/role', admin, validateRequest(roleSchema), async (req, res) => {
+    try {
+        if (req.params.id === req.user.id) {
+            return res.status(400).json({ message: "You cannot change your own role." });
+        }
+        const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+        if (!user) {
+            return res.status(404).json({ message: "User not found." });
+        }
+
+        const previousRole = user.role;
+        user.role = req.body.role;
+        await user.save();
+        await recordAudit(req, 'user.role', 'user', user._id, { details: { from: previousRole, to: user.role } });
+
+        res.status(200).json({ id: user.id, role: effectiveRole(user) });
+    } catch (err) {
+        console.error("Change Role Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// GET /api/admin/audit-log?targetId=&actorId=
+// The 100 most recent moderation actions, optionally for one target or moderator
+app.get('/api/admin/audit-log', admin, validateRequest(auditFilterSchema, { source: 'query' }), async (req, res) => {
+    try {
+        const filterQuery = {};
+        if (req.query.targetId) filterQuery.targetId = req.query.targetId;
+        if (req.query.actorId) filterQuery.actorId = req.query.actorId;
+
+        const entries = await AuditLog.find(filterQuery)
+            .sort({ createdAt: -1 })
+            .limit(100)
+            .populate('actorId', 'email');
+
+        res.status(200).json(entries);
+    } catch (err) {
+        console.error("Audit Log Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// 10. ADMIN ANALYTICS ENDPOINTS
+// Marketplace numbers for the admin dashboard (admin.html). The aggregation
+// pipelines are in api/analytics.js. Every endpoint but the overview takes
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD (both included, the last 30 days by default).
+
+// Reads ?from= and ?to= into req.range
+const analyticsRange = [validateRequest(analyticsRangeSchema, { source: 'query' }), (req, res, next) => {
+    const { range, error } = analytics.parseRange(req.query, config.analytics.utcOffset);
+    if (error) {
+        return res.status(400).json({ message: error, errors: [{ field: 'from', code: 'range', message: error }] });
+    }
+    req.range = range;
+    next();
+}];
+
+// Drops the `_id` aggregation results are keyed by, and adds the sell-through rates
+const sellThroughJSON = (key) => (group) => ({
+    [key]: group._id,
+    listings: group.listings,
+    sold: group.sold,
+    rate: analytics.rate(group.sold, group.listings),
+    nightsListed: group.nightsListed,
+    nightsSold: group.nightsSold,
+    nightRate: analytics.rate(group.nightsSold, group.nightsListed),
+});
+
+// GET /api/admin/analytics/overview
+// Where the marketplace stands right now: users and repeat buyers (from
+// User.purchaseHistory), listings per status and the moderation backlog.
+app.get('/api/admin/analytics/overview', admin, async (req, res) => {
+    try {
+        const [[buyers], statuses, openReports] = await Promise.all([
+            User.aggregate(analytics.buyerCounts()),
+            Listing.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+            Report.countDocuments({ status: 'open' })
+        ]);
+
+        res.status(200).json({
+            users: buyers ? buyers.users : 0,
+            buyers: buyers ? buyers.buyers : 0,
+            repeatBuyers: buyers ? buyers.repeatBuyers : 0,
+            listingsByStatus: Object.fromEntries(statuses.map(status => [status._id || 'available', status.count])),
+            openReports
+        });
+    } catch (err) {
+        console.error("Analytics Overview Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
 
-        res.status(200).json(listing); // Return the updated listing
+// GET /api/admin/analytics/daily
+// Listings created and purchases completed per day, one entry for every day in the range
+app.get('/api/admin/analytics/daily', admin, analyticsRange, async (req, res) => {
+    try {
+        const { utcOffset } = config.analytics;
+        const [created, sales] = await Promise.all([
+            Listing.aggregate(analytics.listingsPerDay(req.range, utcOffset)),
+            Transaction.aggregate(analytics.salesPerDay(req.range, utcOffset))
+        ]);
+        const createdByDay = new Map(created.map(day => [day._id, day]));
+        const salesByDay = new Map(sales.map(day => [day._id, day]));
+
+        const days = analytics.daysInRange(req.range, utcOffset).map(date => {
+            const sold = salesByDay.get(date);
+            return {
+                date,
+                listingsCreated: createdByDay.has(date) ? createdByDay.get(date).listings : 0,
+                sales: sold ? sold.sales : 0,
+                nightsSold: sold ? sold.nights : 0,
+                salesValue: sold ? sold.value : 0
+            };
+        });
+
+        res.status(200).json({ ...req.range, days });
     } catch (err) {
-        console.error("Mark as Sold Error:", err);
+        console.error("Analytics Daily Error:", err);
         res.status(500).json({ message: "Server Error" });
     }
 });
 
-// GET /api/listings/:id/contact (Get Seller Info)
-// This simulates the buyer's $10 payment.
-app.get('/api/listings/:id/contact', authMiddleware, async (req, res) => {
+// GET /api/admin/analytics/sell-through
+// Of the listings created in the range, the share that sold at least one night
+// (`rate`) and the share of their nights that sold (`nightRate`), per city and pass type
+app.get('/api/admin/analytics/sell-through', admin, analyticsRange, async (req, res) => {
     try {
-        const listing = await Listing.findById(req.params.id);
-        
-        if (!listing) {
+        const [result] = await Listing.aggregate(analytics.sellThrough(req.range));
+        res.status(200).json({
+            ...req.range,
+            byCity: result.byCity.map(sellThroughJSON('city')),
+            byPassType: result.byPassType.map(sellThroughJSON('passType'))
+        });
+    } catch (err) {
+        console.error("Analytics Sell-Through Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// GET /api/admin/analytics/prices
+// Median price per night for each event and night: what sellers asked on the
+// listings created in the range, and what buyers paid in the purchases completed in it
+app.get('/api/admin/analytics/prices', admin, analyticsRange, async (req, res) => {
+    try {
+        const [asking, sold] = await Promise.all([
+            Listing.aggregate(analytics.askingPrices(req.range)),
+            Transaction.aggregate(analytics.soldPrices(req.range))
+        ]);
+
+        // Hash Table: one row per event and night, filled from both results
+        const rows = new Map();
+        const rowFor = (group) => {
+            const key = `${group._id.event}|${group._id.date}`;
+            if (!rows.has(key)) {
+                rows.set(key, {
+                    eventName: group.eventName,
+                    date: group._id.date,
+                    askingMedian: null,
+                    askingCount: 0,
+                    soldMedian: null,
+                    soldCount: 0
+                });
+            }
+            return rows.get(key);
+        };
+        for (const group of asking) {
+            Object.assign(rowFor(group), { askingMedian: analytics.median(group.prices), askingCount: group.prices.length });
+        }
+        for (const group of sold) {
+            Object.assign(rowFor(group), { soldMedian: analytics.median(group.prices), soldCount: group.prices.length });
+        }
+
+        // By event, then in night order (purchases without nights last)
+        const nightOrder = (date) => (date === null ? DATES.length : DATES.indexOf(date));
+        const prices = [...rows.values()].sort((a, b) =>
+            String(a.eventName).localeCompare(String(b.eventName)) || nightOrder(a.date) - nightOrder(b.date)
+        );
+
+        res.status(200).json({ ...req.range, prices });
+    } catch (err) {
+        console.error("Analytics Prices Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// GET /api/admin/analytics/boosts
+// Boosts bought in the range per tier, and the share of the listings created in
+// the range that were ever boosted
+app.get('/api/admin/analytics/boosts', admin, analyticsRange, async (req, res) => {
+    try {
+        const [tiers, [uptake]] = await Promise.all([
+            Boost.aggregate(analytics.boostsByTier(req.range)),
+            Listing.aggregate(analytics.boostUptake(req.range))
+        ]);
+
+        res.status(200).json({
+            ...req.range,
+            byTier: tiers.map(tier => ({ tier: tier._id, purchases: tier.purchases, days: tier.days, revenue: tier.revenue })),
+            listings: uptake ? uptake.listings : 0,
+            boostedListings: uptake ? uptake.boosted : 0,
+            uptakeRate: uptake ? analytics.rate(uptake.boosted, uptake.listings) : null
+        });
+    } catch (err) {
+        console.error("Analytics Boosts Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// GET /api/admin/analytics/revenue
+// Fees taken in the range: listing fees, boosts, and buyers' service fees on
+// completed purchases. Service fees still held in escrow are shown separately,
+// since they are refunded if the purchase is.
+app.get('/api/admin/analytics/revenue', admin, analyticsRange, async (req, res) => {
+    try {
+        const [[listingFees], tiers, serviceFees] = await Promise.all([
+            Listing.aggregate(analytics.listingFeeRevenue(req.range)),
+            Boost.aggregate(analytics.boostsByTier(req.range)),
+            Transaction.aggregate(analytics.serviceFeeRevenue(req.range, HELD_TRANSACTION_STATUSES))
+        ]);
+        const sum = (groups, field) => groups.reduce((total, group) => total + group[field], 0);
+        const earned = serviceFees.filter(group => group._id === 'completed');
+        const held = serviceFees.filter(group => group._id !== 'completed');
+
+        const revenue = {
+            listingFees: listingFees ? listingFees.revenue : 0,
+            boosts: sum(tiers, 'revenue'),
+            contactUnlocks: sum(earned, 'revenue'),
+        };
+        res.status(200).json({
+            ...req.range,
+            currency: config.payments.currency,
+            ...revenue,
+            total: revenue.listingFees + revenue.boosts + revenue.contactUnlocks,
+            contactUnlocksInEscrow: sum(held, 'revenue'),
+            completedPurchases: sum(earned, 'purchases')
+        });
+    } catch (err) {
+        console.error("Analytics Revenue Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// 11. SAVED SEARCH, WATCHLIST & NOTIFICATION ENDPOINTS
+
+// GET /api/saved-searches
+app.get('/api/saved-searches', authMiddleware, async (req, res) => {
+    try {
+        const searches = await SavedSearch.find({ userId: req.user.id }).sort({ createdAt: -1 });
+        res.status(200).json(searches.map(savedSearchJSON));
+    } catch (err) {
+        console.error("List Saved Searches Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// POST /api/saved-searches
+// Body: the filter bar's values as in the GET /api/listings query (city,
+// passType, date and tags comma-separated), plus an optional name and alerts.
+// New listings matching it show up in GET /api/notifications.
+app.post('/api/saved-searches', authMiddleware, validateRequest(savedSearchSchema), async (req, res) => {
+    try {
+        const { name, minPrice, maxPrice, q, alerts } = req.body;
+        const list = (value) => (value ? [...new Set(splitList(value))] : []);
+        const qTerms = q ? buildTextSearch(q) : null;
+        const search = new SavedSearch({
+            userId: req.user.id,
+            city: list(req.body.city),
+            passType: list(req.body.passType),
+            date: list(req.body.date),
+            tags: list(req.body.tags).map(tag => tag.toLowerCase()),
+            minPrice: minPrice ? Number(minPrice) : null,
+            maxPrice: maxPrice ? Number(maxPrice) : null,
+            q: qTerms ? q.trim() : undefined,
+            qTerms: qTerms ? qTerms.split(' ') : [],
+            alerts: Boolean(alerts)
+        });
+
+        if (search.minPrice !== null && search.maxPrice !== null && search.minPrice > search.maxPrice) {
+            return res.status(400).json({
+                message: "Minimum price cannot be more than maximum price.",
+                errors: [{ field: 'minPrice', code: 'max', message: "Minimum price cannot be more than maximum price." }]
+            });
+        }
+        if (savedSearchQuery(search) === '') {
+            return res.status(400).json({ message: "Choose at least one filter to save this search." });
+        }
+        if (await SavedSearch.countDocuments({ userId: req.user.id }) >= config.notifications.maxSavedSearches) {
+            return res.status(400).json({ message: `You can save up to ${config.notifications.maxSavedSearches} searches. Delete one first.` });
+        }
+
+        search.name = plainText(name || '', { maxLength: 60 }) || defaultSearchName(search);
+        await search.save();
+
+        res.status(201).json(savedSearchJSON(search));
+    } catch (err) {
+        console.error("Save Search Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// PATCH /api/saved-searches/:id
+// Body: { name, alerts }. The filters themselves can't change; save a new search instead.
+app.patch('/api/saved-searches/:id', authMiddleware, validateRequest(savedSearchUpdateSchema, { partial: true }), async (req, res) => {
+    try {
+        const search = mongoose.isValidObjectId(req.params.id)
+            ? await SavedSearch.findOne({ _id: req.params.id, userId: req.user.id })
+            : null;
+        if (!search) {
+            return res.status(404).json({ message: "Saved search not found." });
+        }
+
+        const name = plainText(req.body.name, { maxLength: 60 });
+        if (name) search.name = name;
+        if (req.body.alerts !== undefined) search.alerts = req.body.alerts;
+        await search.save();
+
+        res.status(200).json(savedSearchJSON(search));
+    } catch (err) {
+        console.error("Update Saved Search Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// DELETE /api/saved-searches/:id
+// Its notifications stay in the feed.
+app.delete('/api/saved-searches/:id', authMiddleware, async (req, res) => {
+    try {
+        const search = mongoose.isValidObjectId(req.params.id)
+            ? await SavedSearch.findOneAndDelete({ _id: req.params.id, userId: req.user.id })
+            : null;
+        if (!search) {
+            return res.status(404).json({ message: "Saved search not found." });
+        }
+
+        res.status(200).json({ message: "Saved search deleted." });
+    } catch (err) {
+        console.error("Delete Saved Search Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// GET /api/users/me/watchlist
+// The listings the user is watching, most recently added first, including ones
+// that have since sold or gone off sale.
+app.get('/api/users/me/watchlist', authMiddleware, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).populate({ path: 'watchlist', select: PRIVATE_LISTING_FIELDS });
+        if (!user) {
+            return res.status(404).json({ message: "User not found." });
+        }
+
+        const listings = user.watchlist.filter(Boolean).reverse(); // A populated id whose listing is gone is null
+        res.status(200).json(listings.map(watchlistItemJSON));
+    } catch (err) {
+        console.error("Watchlist Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// POST /api/users/me/watchlist
+// Body: { listingId }. Watching a listing already watched is fine.
+app.post('/api/users/me/watchlist', authMiddleware, validateRequest(watchlistSchema), async (req, res) => {
+    try {
+        const listing = await Listing.findById(req.body.listingId);
+        if (!listing || !LISTED_STATUSES.includes(listing.status)) {
             return res.status(404).json({ message: "Listing not found." });
         }
+        if (listing.sellerId.toString() === req.user.id) {
+            return res.status(400).json({ message: "This is your own listing." });
+        }
 
-        // Add to user's purchase history
-        await User.findByIdAndUpdate(
-            req.user.id,
-            { $addToSet: { purchaseHistory: listing._id } } // $addToSet prevents duplicates
+        // The size check and the add are one update, so parallel requests can't pass the limit
+        const result = await User.updateOne(
+            { _id: req.user.id, $or: [{ watchlist: listing._id }, { [`watchlist.${MAX_WATCHLIST - 1}`]: { $exists: false } }] },
+            { $addToSet: { watchlist: listing._id } }
         );
-        
-        // Return the gated contact info
-        res.status(200).json({ 
-            phoneNumber: listing.sellerPhoneNumber,
-            sellerId: listing.sellerId
+        if (result.matchedCount === 0) {
+            return res.status(400).json({ message: `You can watch up to ${MAX_WATCHLIST} passes. Remove one first.` });
+        }
+
+        res.status(200).json({ listingId: listing._id, watching: true });
+    } catch (err) {
+        console.error("Watch Listing Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// DELETE /api/users/me/watchlist/:listingId
+app.delete('/api/users/me/watchlist/:listingId', authMiddleware, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.listingId)) {
+            return res.status(404).json({ message: "Listing not found." });
+        }
+
+        await User.updateOne({ _id: req.user.id }, { $pull: { watchlist: req.params.listingId } });
+        res.status(200).json({ listingId: req.params.listingId, watching: false });
+    } catch (err) {
+        console.error("Unwatch Listing Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// GET /api/notifications?unread=true&before=<notificationId>
+// The latest 30 notifications, newest first, or the 30 before a notification id
+// (for "load more"). Returns { notifications, unreadCount }.
+const NOTIFICATION_PAGE_SIZE = 30;
+
+app.get('/api/notifications', authMiddleware, validateRequest(notificationFilterSchema, { source: 'query' }), async (req, res) => {
+    try {
+        const filterQuery = { userId: req.user.id };
+        if (req.query.unread === 'true') {
+            filterQuery.readAt = null;
+        }
+        if (req.query.before) {
+            filterQuery._id = { $lt: req.query.before };
+        }
+
+        const [notifications, unreadCount] = await Promise.all([
+            Notification.find(filterQuery).sort({ _id: -1 }).limit(NOTIFICATION_PAGE_SIZE),
+            Notification.countDocuments({ userId: req.user.id, readAt: null })
+        ]);
+
+        res.status(200).json({ notifications, unreadCount });
+    } catch (err) {
+        console.error("List Notifications Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// GET /api/notifications/unread-count (for the nav badge)
+app.get('/api/notifications/unread-count', authMiddleware, async (req, res) => {
+    try {
+        res.status(200).json({ count: await Notification.countDocuments({ userId: req.user.id, readAt: null }) });
+    } catch (err) {
+        console.error("Notification Count Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// POST /api/notifications/read-all
+app.post('/api/notifications/read-all', authMiddleware, async (req, res) => {
+    try {
+        const result = await Notification.updateMany({ userId: req.user.id, readAt: null }, { readAt: new Date() });
+        res.status(200).json({ updated: result.modifiedCount });
+    } catch (err) {
+        console.error("Read Notifications Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// POST /api/notifications/:id/read
+app.post('/api/notifications/:id/read', authMiddleware, async (req, res) => {
+    try {
+        const notification = mongoose.isValidObjectId(req.params.id)
+            ? await Notification.findOne({ _id: req.params.id, userId: req.user.id })
+            : null;
+        if (!notification) {
+            return res.status(404).json({ message: "Notification not found." });
+        }
+
+        if (!notification.readAt) {
+            notification.readAt = new Date();
+            await notification.save();
+        }
+
+        res.status(200).json(notification);
+    } catch (err) {
+        console.error("Read Notification Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// 12. ACCOUNT ENDPOINTS
+
+// GET /api/users/me
+// The logged-in user's own account, with every phone number and whether it is verified.
+app.get('/api/users/me', authMiddleware, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ message: "User not found." });
+        }
+        res.status(200).json(accountJSON(user));
+    } catch (err) {
+        console.error("Get Account Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// PATCH /api/users/me
+// Body: { displayName?, email?, currentPassword? }. An empty displayName removes it.
+// A new email needs the current password and must be verified again; the old
+// address is told about the change.
+app.patch('/api/users/me', authMiddleware, authRateLimit('update-account', (req) => req.user.id), validateRequest(profileUpdateSchema, { partial: true }), async (req, res) => {
+    try {
+        const { displayName, email, currentPassword } = req.body;
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ message: "User not found." });
+        }
+
+        const emailChanged = email !== undefined && email !== user.email;
+        if (displayName === undefined && !emailChanged) {
+            return res.status(400).json({ message: "Nothing to update." });
+        }
+
+        const previousEmail = user.email;
+        if (emailChanged) {
+            if (!currentPassword || !await bcrypt.compare(currentPassword, user.passwordHash)) {
+                const message = "Enter your current password to change your email.";
+                return res.status(400).json({ message, errors: [{ field: 'currentPassword', code: 'incorrect', message }] });
+            }
+            if (await User.exists({ email, _id: { $ne: user._id } })) {
+                return res.status(409).json({ message: "That email already has an account.", code: 'email_taken' });
+            }
+            user.email = email;
+            user.emailVerified = false;
+            user.emailVerifiedAt = undefined;
+        }
+        if (displayName !== undefined) {
+            user.displayName = displayName || undefined;
+        }
+
+        try {
+            await user.save();
+        } catch (err) {
+            if (err.code === 11000) { // Another account took the email first
+                return res.status(409).json({ message: "That email already has an account.", code: 'email_taken' });
+            }
+            throw err;
+        }
+
+        if (emailChanged) {
+            // Links already mailed to the old address must not verify or reset the new one
+            await UserToken.deleteMany({ userId: user._id, usedAt: null });
+            await sendVerificationEmail(user);
+            try {
+                await mailer.send({ to: previousEmail, ...emails.emailChanged(user.email) });
+            } catch (err) {
+                console.error("Email Changed Notice Error:", err);
+            }
+        }
+
+        res.status(200).json(accountJSON(user));
+    } catch (err) {
+        console.error("Update Account Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// POST /api/users/me/phone-numbers
+// Body: { phoneNumber }. Adds the number, unverified, and texts it a code.
+app.post('/api/users/me/phone-numbers', authMiddleware, phoneCodeRateLimit, validateRequest(phoneNumberSchema), async (req, res) => {
+    try {
+        const { phoneNumber } = req.body;
+        const max = config.auth.maxPhoneNumbers;
+
+        // The checks and the add are one update, so parallel requests can't pass the limit
+        const result = await User.updateOne(
+            { _id: req.user.id, phoneNumbers: { $ne: phoneNumber }, [`phoneNumbers.${max - 1}`]: { $exists: false } },
+            { $push: { phoneNumbers: phoneNumber } }
+        );
+        if (result.matchedCount === 0) {
+            const user = await User.findById(req.user.id).select('phoneNumbers');
+            if (!user) {
+                return res.status(404).json({ message: "User not found." });
+            }
+            if (user.phoneNumbers.includes(phoneNumber)) {
+                return res.status(409).json({ message: "That number is already on your account.", code: 'phone_exists' });
+            }
+            return res.status(400).json({ message: `You can have up to ${max} phone numbers. Remove one first.` });
+        }
+
+        try {
+            await sendPhoneCode(req.user.id, phoneNumber);
+        } catch (err) {
+            return smsFailedResponse(res, err);
+        }
+
+        const user = await User.findById(req.user.id);
+        res.status(201).json(accountJSON(user));
+    } catch (err) {
+        console.error("Add Phone Number Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// POST /api/users/me/phone-numbers/send-code
+// Body: { phoneNumber }. Texts a new code to a number on the account that isn't verified yet.
+app.post('/api/users/me/phone-numbers/send-code', authMiddleware, phoneCodeRateLimit, validateRequest(phoneNumberSchema), async (req, res) => {
+    try {
+        const { phoneNumber } = req.body;
+        const user = await User.findById(req.user.id).select('phoneNumbers verifiedPhoneNumbers');
+        if (!user || !user.phoneNumbers.includes(phoneNumber)) {
+            return res.status(404).json({ message: "That number is not on your account." });
+        }
+        if (user.verifiedPhoneNumbers.includes(phoneNumber)) {
+            return res.status(400).json({ message: "That number is already verified." });
+        }
+
+        try {
+            await sendPhoneCode(req.user.id, phoneNumber);
+        } catch (err) {
+            return smsFailedResponse(res, err);
+        }
+
+        res.status(200).json({ message: `Code sent. It expires in ${config.auth.phoneCodeTtlMinutes} minutes.` });
+    } catch (err) {
+        console.error("Send Phone Code Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// POST /api/users/me/phone-numbers/verify
+// Body: { phoneNumber, code }. A verified number can be put on listings.
+app.post('/api/users/me/phone-numbers/verify', authMiddleware, validateRequest(verifyPhoneSchema), async (req, res) => {
+    try {
+        const { phoneNumber, code } = req.body;
+        const user = await User.findById(req.user.id).select('phoneNumbers verifiedPhoneNumbers');
+        if (!user || !user.phoneNumbers.includes(phoneNumber)) {
+            return res.status(404).json({ message: "That number is not on your account." });
+        }
+
+        if (!user.verifiedPhoneNumbers.includes(phoneNumber)) {
+            const result = await checkPhoneCode(req.user.id, phoneNumber, code);
+            if (result !== 'verified') {
+                const message = result === 'expired'
+                    ? "This code has expired or had too many wrong tries. Ask for a new one."
+                    : "That code is not right. Check the text and try again.";
+                return res.status(400).json({ message, errors: [{ field: 'code', code: result, message }] });
+            }
+        }
+
+        // Only while the number is still on the account: it may have been removed meanwhile
+        const verified = await User.findOneAndUpdate(
+            { _id: req.user.id, phoneNumbers: phoneNumber },
+            { $addToSet: { verifiedPhoneNumbers: phoneNumber } },
+            { new: true }
+        );
+        if (!verified) {
+            return res.status(404).json({ message: "That number is not on your account." });
+        }
+
+        res.status(200).json(accountJSON(verified));
+    } catch (err) {
+        console.error("Verify Phone Number Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// DELETE /api/users/me/phone-numbers/:phoneNumber
+// The last number can't be removed, nor one that a listing on sale still shows.
+app.delete('/api/users/me/phone-numbers/:phoneNumber', authMiddleware, async (req, res) => {
+    try {
+        const { phoneNumber } = req.params;
+        const user = await User.findById(req.user.id).select('phoneNumbers');
+        if (!user || !user.phoneNumbers.includes(phoneNumber)) {
+            return res.status(404).json({ message: "That number is not on your account." });
+        }
+
+        const inUse = await Listing.exists({
+            sellerId: user._id,
+            sellerPhoneNumber: phoneNumber,
+            status: { $in: [...LISTED_STATUSES, 'pending_review'] }
         });
+        if (inUse) {
+            return res.status(409).json({ message: "A listing on sale shows this number. Change its number or withdraw it first.", code: 'phone_in_use' });
+        }
+
+        // The "not the last one" check and the removal are one update
+        const result = await User.updateOne(
+            { _id: user._id, phoneNumbers: phoneNumber, 'phoneNumbers.1': { $exists: true } },
+            { $pull: { phoneNumbers: phoneNumber, verifiedPhoneNumbers: phoneNumber } }
+        );
+        if (result.matchedCount === 0) {
+            return res.status(400).json({ message: "Keep at least one phone number on your account." });
+        }
+        await PhoneCode.deleteOne({ userId: user._id, phoneNumber });
+        // Buyers it was shared with no longer see it
+        await Thread.updateMany({ sellerId: user._id, sharedPhoneNumber: phoneNumber }, { $unset: { sharedPhoneNumber: 1 } });
 
+        const updated = await User.findById(user._id);
+        res.status(200).json(accountJSON(updated));
     } catch (err) {
-        console.error(err);
+        console.error("Remove Phone Number Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// POST /api/auth/change-password
+// Body: { currentPassword, newPassword }. Every other device is signed out;
+// this one stays logged in.
+app.post('/api/auth/change-password', authMiddleware, authRateLimit('change-password', (req) => req.user.id), validateRequest(changePasswordSchema), async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ message: "User not found." });
+        }
+        if (!await bcrypt.compare(req.body.currentPassword, user.passwordHash)) {
+            const message = "Current password is incorrect.";
+            return res.status(400).json({ message, errors: [{ field: 'currentPassword', code: 'incorrect', message }] });
+        }
+
+        // HASH TABLE (Password Hashing)
+        const salt = await bcrypt.genSalt(config.auth.bcryptRounds);
+        const passwordHash = await bcrypt.hash(req.body.newPassword, salt);
+        await User.updateOne({ _id: user._id }, { passwordHash });
+
+        await Session.updateMany(
+            { userId: user._id, revokedAt: null, _id: { $ne: req.user.sid } },
+            { revokedAt: new Date() }
+        );
+
+        res.status(200).json({ message: "Password changed. Your other devices have been signed out." });
+    } catch (err) {
+        console.error("Change Password Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// DELETE /api/users/me
+// Body: { password }. Deletes the account with anonymizeUser(). Not while a
+// payment is held in escrow for one of the user's purchases or sales: those
+// have to be completed, refunded or settled first.
+app.delete('/api/users/me', authMiddleware, authRateLimit('delete-account', (req) => req.user.id), validateRequest(deleteAccountSchema), async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ message: "User not found." });
+        }
+        if (!await bcrypt.compare(req.body.password, user.passwordHash)) {
+            const message = "Password is incorrect.";
+            return res.status(400).json({ message, errors: [{ field: 'password', code: 'incorrect', message }] });
+        }
+
+        const held = await Transaction.exists({
+            $or: [{ buyerId: user._id }, { sellerId: user._id }],
+            status: { $in: HELD_TRANSACTION_STATUSES }
+        });
+        if (held) {
+            return res.status(409).json({
+                message: "A payment is still held in escrow for one of your purchases or sales. Finish it before deleting your account.",
+                code: 'open_transactions'
+            });
+        }
+
+        await anonymizeUser(user);
+        res.status(200).json({ message: "Your account has been deleted." });
+    } catch (err) {
+        console.error("Delete Account Error:", err);
+        res.status(500).json({ message: "Server Error" });
+    }
+});
+
+// 13. SCHEDULED JOBS
+
+// GET /api/cron/sweep
+// Runs runScheduledJobs(): releases expired holds and ends lapsed boosts.
+// Reads already treat lapsed holds and boosts as ended, so this only writes
+// back what buyers see anyway, and how often it runs doesn't matter. Vercel Cron
+// calls it once a day (vercel.json; the free plan allows no more); another
+// scheduler may call it with "Authorization: Bearer <CRON_SECRET>". Without a CRON_SECRET (only
+// allowed outside production) the endpoint is open, for local testing.
+app.get('/api/cron/sweep', async (req, res) => {
+    if (config.cronSecret && req.headers['authorization'] !== `Bearer ${config.cronSecret}`) {
+        return res.status(401).json({ message: "Not authorized." });
+    }
+    try {
+        res.status(200).json(await runScheduledJobs());
+    } catch (err) {
+        console.error("Sweep Error:", err);
         res.status(500).json({ message: "Server Error" });
     }
 });
 
+// On a long-running server the sweep can also run on a timer
+if (config.holds.sweepIntervalSeconds > 0) {
+    setInterval(() => {
+        runScheduledJobs().catch(err => console.error("Sweep Error:", err));
+    }, config.holds.sweepIntervalSeconds * 1000).unref();
+}
+
 // --- ROOT ENDPOINT for Vercel ---
 // This handles requests to the root that are not for the API.
 // We'll let Vercel's rewrites handle serving index.html.
@@ -0,0 +1,77 @@
+// --- MAILER ---
+
+/**
+ * Sends transactional email (verification links, password resets).
+ *
+ * MAIL_TRANSPORT picks one of `transports`, each an async
+ * send({ from, to, subject, text }):
+ *   console  prints the message to the server log (default for local dev)
+ *   file     writes each message as a JSON file into MAIL_FILE_DIR
+ * A real provider (SMTP, SES...) goes in as another entry.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const transports = {
+    console: () => ({
+        async send(message) {
+            console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+        }
+    }),
+
+    file: ({ fileDir }) => ({
+        async send(message) {
+            await fs.promises.mkdir(fileDir, { recursive: true });
+            const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+            await fs.promises.writeFile(
+                path.join(fileDir, fileName),
+                JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+            );
+        }
+    }),
+};
+
+// Builds a mailer from config.mail. Throws at startup for an unknown transport.
+function createMailer(mailConfig) {
+    const factory = transports[mailConfig.transport];
+    if (!factory) {
+        throw new Error(`Unknown mail transport "${mailConfig.transport}". Available: ${Object.keys(transports).join(', ')}.`);
+    }
+    const transport = factory(mailConfig);
+
+    return {
+        send: (message) => transport.send({ from: mailConfig.from, ...message }),
+    };
+}
+
+// --- EMAIL TEMPLATES ---
+
+const emails = {
+    verifyEmail: (link) => ({
+        subject: "Verify your GarbaPass email",
+        text: `Welcome to GarbaPass!\n\nPlease confirm your email address by opening this link:\n${link}\n\nIf you did not sign up, you can ignore this email.`,
+    }),
+
+    resetPassword: (link, minutes) => ({
+        subject: "Reset your GarbaPass password",
+        text: `Someone asked to reset the password for this account.\n\nOpen this link to choose a new password (valid for ${minutes} minutes):\n${link}\n\nIf it wasn't you, ignore this email. Your password will not change.`,
+    }),
+
+    // Sent to the old address, so the owner hears about a change they didn't make
+    emailChanged: (newEmail) => ({
+        subject: "Your GarbaPass email was changed",
+        text: `The email address on your GarbaPass account was changed to ${newEmail}.\n\nIf you did this, there is nothing else to do. If it wasn't you, reply to this email straight away so we can lock the account.`,
+    }),
+
+    // An alert sent through the notifier's email channel (see api/notifier.js)
+    notification: ({ title, body, link }) => ({
+        subject: title,
+        text: `${body}\n\nSee it on GarbaPass:\n${link}\n\nYou get these emails because you turned on alerts for a saved search. You can turn them off under Alerts on the site.`,
+    }),
+};
+
+module.exports = {
+    createMailer,
+    emails,
+};
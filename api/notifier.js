@@ -0,0 +1,49 @@
+// --- NOTIFIER ---
+
+/**
+ * Sends alerts outside the app (saved search matches...). Every notification
+ * is stored in the in-app feed (GET /api/notifications) first; the notifier
+ * then hands it to each channel listed in NOTIFICATION_CHANNELS.
+ *
+ * A channel has an async send(user, notification) method, where notification
+ * is { type, title, body, link }. Only `email` is built in: it mails the
+ * notification through the mailer. A channel that has no way to reach a user
+ * (no push subscription...) simply returns.
+ */
+
+const { emails } = require('./mailer');
+
+const channels = {
+    email: (notificationConfig, { mailer }) => ({
+        async send(user, notification) {
+            await mailer.send({ to: user.email, ...emails.notification(notification) });
+        }
+    }),
+};
+
+// Builds a notifier from config.notifications. Throws at startup for an unknown channel.
+function createNotifier(notificationConfig, dependencies) {
+    const active = notificationConfig.channels.map(name => {
+        const factory = channels[name];
+        if (!factory) {
+            throw new Error(`Unknown notification channel "${name}". Available: ${Object.keys(channels).join(', ')}.`);
+        }
+        return { name, ...factory(notificationConfig, dependencies) };
+    });
+
+    return {
+        channels: active.map(channel => channel.name),
+        // A channel that fails is logged and skipped; the in-app feed already has the notification
+        send: (user, notification) => Promise.all(active.map(async channel => {
+            try {
+                await channel.send(user, notification);
+            } catch (err) {
+                console.error(`Notification Error (${channel.name}):`, err);
+            }
+        })),
+    };
+}
+
+module.exports = {
+    createNotifier,
+};
@@ -0,0 +1,114 @@
+// --- PAGINATION ---
+
+/**
+ * Keyset (cursor) pagination for GET /api/listings.
+ *
+ * Each sort mode is an ordered list of [field, direction] pairs that always
+ * ends with _id, so every listing has a unique position. The cursor is the
+ * sort values of the last listing on a page, base64url-encoded. The next page
+ * is "everything that sorts after those values", so MongoDB can walk an index
+ * instead of skipping over (and loading) every earlier listing.
+ */
+
+const mongoose = require('mongoose');
+
+const LISTING_SORTS = {
+    // Higher boost tier first, earlier boost next, then newest (the PriorityQueue order)
+    recommended: [['priority', -1], ['boostedAt', 1], ['createdAt', -1], ['_id', -1]],
+    newest: [['createdAt', -1], ['_id', -1]],
+    price_asc: [['price', 1], ['_id', 1]],
+    price_desc: [['price', -1], ['_id', -1]],
+    date_soonest: [['soonestNight', 1], ['priority', -1], ['_id', 1]],
+    // Only with ?q=. searchRank is added by the search aggregation (api/search.js)
+    relevance: [['searchRank', -1], ['_id', -1]],
+};
+
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 100;
+
+// Turns a cursor value back into the type stored in MongoDB
+const CURSOR_TYPES = {
+    _id: (value) => new mongoose.Types.ObjectId(value),
+    createdAt: (value) => new Date(value),
+    boostedAt: (value) => new Date(value),
+};
+
+// Sort fields a listing may not have (never boosted, or no nights left)
+const OPTIONAL_FIELDS = new Set(['boostedAt', 'soonestNight']);
+
+// Mongo sort object, e.g. { priority: -1, createdAt: -1, _id: -1 }
+function sortSpec(sortKeys) {
+    return Object.fromEntries(sortKeys);
+}
+
+function encodeCursor(doc, sortKeys) {
+    const values = sortKeys.map(([field]) => {
+        const value = doc[field];
+        if (value === null || value === undefined) return null;
+        return value instanceof Date ? value.toISOString() : String(value);
+    });
+    return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+// Returns the decoded values, or null if the cursor is malformed
+function decodeCursor(cursor, sortKeys) {
+    try {
+        const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!Array.isArray(values) || values.length !== sortKeys.length) return null;
+        return sortKeys.map(([field], i) => {
+            const convert = CURSOR_TYPES[field] || Number;
+            const value = values[i] === null ? null : convert(values[i]);
+            if (value !== null && (Number.isNaN(value) || (value instanceof Date && Number.isNaN(value.getTime())))) {
+                throw new Error(`Bad cursor value for ${field}`);
+            }
+            return value;
+        });
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Builds the "comes after the cursor" filter for a list of sort keys:
+ *   (k1 after v1) OR (k1 = v1 AND k2 after v2) OR (k1 = v1 AND k2 = v2 AND k3 after v3) ...
+ *
+ * MongoDB sorts null and missing values before everything else, so the
+ * OPTIONAL_FIELDS need their own cases: going up from null means "any value",
+ * going down from null means "nothing", and going down from a value also takes
+ * the empty ones.
+ */
+function keysetFilter(values, sortKeys) {
+    const branches = [];
+    sortKeys.forEach(([field, direction], i) => {
+        const prefix = {};
+        for (let j = 0; j < i; j++) {
+            prefix[sortKeys[j][0]] = values[j];
+        }
+        const value = values[i];
+        if (direction === 1) {
+            branches.push({ ...prefix, [field]: value === null ? { $ne: null } : { $gt: value } });
+        } else if (value !== null) {
+            branches.push({ ...prefix, [field]: { $lt: value } });
+            if (OPTIONAL_FIELDS.has(field)) branches.push({ ...prefix, [field]: null });
+        }
+    });
+    return { $or: branches };
+}
+
+// Reads ?limit= with a default and an upper bound
+function parseLimit(raw) {
+    const limit = parseInt(raw, 10);
+    if (!Number.isFinite(limit) || limit < 1) return DEFAULT_LIMIT;
+    return Math.min(limit, MAX_LIMIT);
+}
+
+module.exports = {
+    LISTING_SORTS,
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    sortSpec,
+    encodeCursor,
+    decodeCursor,
+    keysetFilter,
+    parseLimit,
+};
@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { LISTING_SORTS, encodeCursor, decodeCursor, keysetFilter } = require('./pagination');
+
+// --- A small stand-in for the MongoDB operators keysetFilter produces ---
+
+// MongoDB puts null and missing values before everything else
+function compareValues(a, b) {
+    const aEmpty = a === null || a === undefined;
+    const bEmpty = b === null || b === undefined;
+    if (aEmpty || bEmpty) return aEmpty === bEmpty ? 0 : aEmpty ? -1 : 1;
+    const key = (value) => value instanceof Date ? value.getTime()
+        : value instanceof mongoose.Types.ObjectId ? value.toHexString() : value;
+    const [x, y] = [key(a), key(b)];
+    return x < y ? -1 : x > y ? 1 : 0;
+}
+
+function isEmpty(value) {
+    return value === null || value === undefined;
+}
+
+function matchesCondition(value, condition) {
+    if (condition === null || condition instanceof Date || condition instanceof mongoose.Types.ObjectId || typeof condition !== 'object') {
+        return condition === null ? isEmpty(value) : !isEmpty(value) && compareValues(value, condition) === 0;
+    }
+    return Object.entries(condition).every(([op, operand]) => {
+        if (op === '$ne') return operand === null ? !isEmpty(value) : isEmpty(value) || compareValues(value, operand) !== 0;
+        // Like MongoDB, $gt and $lt never match an empty value, nor anything when given null
+        if (isEmpty(value) || operand === null) return false;
+        if (op === '$gt') return compareValues(value, operand) > 0;
+        if (op === '$lt') return compareValues(value, operand) < 0;
+        throw new Error(`Unsupported operator ${op}`);
+    });
+}
+
+function matches(doc, filter) {
+    return Object.entries(filter).every(([field, condition]) => field === '$or'
+        ? condition.some(branch => matches(doc, branch))
+        : matchesCondition(doc[field], condition));
+}
+
+function sortDocs(docs, sortKeys) {
+    return [...docs].sort((a, b) => {
+        for (const [field, direction] of sortKeys) {
+            const order = compareValues(a[field], b[field]) * direction;
+            if (order !== 0) return order;
+        }
+        return 0;
+    });
+}
+
+// Walks every page the way findListingsPage does, through an encoded cursor
+function pageThrough(docs, sortKeys, limit) {
+    const seen = [];
+    let cursor = null;
+    for (let pages = 0; pages <= docs.length; pages++) {
+        const filter = cursor ? keysetFilter(decodeCursor(cursor, sortKeys), sortKeys) : {};
+        const page = sortDocs(docs.filter(doc => matches(doc, filter)), sortKeys).slice(0, limit);
+        seen.push(...page);
+        if (page.length < limit) return seen;
+        cursor = encodeCursor(page[limit - 1], sortKeys);
+    }
+    throw new Error('Pagination did not finish');
+}
+
+function listing(fields) {
+    return { _id: new mongoose.Types.ObjectId(), createdAt: new Date('2025-09-01T00:00:00Z'), ...fields };
+}
+
+const day = (n) => new Date(Date.UTC(2025, 8, n));
+
+test('recommended pages through a priority group with and without boostedAt', () => {
+    const docs = [
+        listing({ priority: 20, boostedAt: day(3) }),
+        listing({ priority: 20, boostedAt: day(5) }),
+        // Boosted before boostedAt was recorded
+        listing({ priority: 10, boostedAt: null, createdAt: day(1) }),
+        listing({ priority: 10, createdAt: day(2) }),
+        listing({ priority: 10, boostedAt: day(4), createdAt: day(1) }),
+        listing({ priority: 10, boostedAt: day(4), createdAt: day(1) }),
+        listing({ priority: 10, boostedAt: day(6) }),
+        listing({ priority: 1, createdAt: day(7) }),
+        listing({ priority: 1, createdAt: day(8) }),
+    ];
+    const sortKeys = LISTING_SORTS.recommended;
+    const expected = sortDocs(docs, sortKeys).map(doc => String(doc._id));
+
+    for (const limit of [1, 2, 3, 4]) {
+        const ids = pageThrough(docs, sortKeys, limit).map(doc => String(doc._id));
+        assert.deepStrictEqual(ids, expected, `limit ${limit}`);
+    }
+});
+
+test('date_soonest pages through listings with and without a soonestNight', () => {
+    const docs = [
+        listing({ soonestNight: 2, priority: 1 }),
+        listing({ priority: 10 }),
+        listing({ soonestNight: 5, priority: 10 }),
+        listing({ soonestNight: 2, priority: 10 }),
+        listing({ priority: 1 }),
+    ];
+    const sortKeys = LISTING_SORTS.date_soonest;
+    const expected = sortDocs(docs, sortKeys).map(doc => String(doc._id));
+
+    for (const limit of [1, 2]) {
+        const ids = pageThrough(docs, sortKeys, limit).map(doc => String(doc._id));
+        assert.deepStrictEqual(ids, expected, `limit ${limit}`);
+    }
+});
+
+test('a descending cursor on an empty value only continues on later keys', () => {
+    const sortKeys = [['boostedAt', -1], ['_id', -1]];
+    const id = new mongoose.Types.ObjectId();
+    const filter = keysetFilter([null, id], sortKeys);
+    assert.deepStrictEqual(filter, { $or: [{ boostedAt: null, _id: { $lt: id } }] });
+});
@@ -0,0 +1,51 @@
+// --- PAYMENTS ---
+
+/**
+ * Payment provider interface used by the escrow transactions and listing fees.
+ *
+ * A provider is any object with these async methods:
+ *   charge({ amount, currency, reference })  -> { paymentId }
+ *   refund({ paymentId, amount })             -> { refundId }
+ *   payout({ paymentId, amount, reference })  -> { payoutId }   (release escrow to the seller)
+ * Each method throws if the provider declines the operation.
+ *
+ * PAYMENT_PROVIDER picks one of `providers`. Only `mock` is built in: it
+ * approves everything and only logs, so config.js refuses it in production.
+ */
+
+const crypto = require('crypto');
+
+const mockId = (prefix) => `${prefix}_mock_${crypto.randomBytes(8).toString('hex')}`;
+
+const providers = {
+    mock: () => ({
+        async charge({ amount, currency, reference }) {
+            const paymentId = mockId('pay');
+            console.log(`[payments:mock] Charged ${amount} ${currency} for ${reference} (${paymentId})`);
+            return { paymentId };
+        },
+        async refund({ paymentId, amount }) {
+            const refundId = mockId('rfd');
+            console.log(`[payments:mock] Refunded ${amount} for ${paymentId} (${refundId})`);
+            return { refundId };
+        },
+        async payout({ paymentId, amount, reference }) {
+            const payoutId = mockId('po');
+            console.log(`[payments:mock] Paid out ${amount} from ${paymentId} for ${reference} (${payoutId})`);
+            return { payoutId };
+        },
+    }),
+};
+
+// Builds the provider named in config.payments. Throws at startup for an unknown name.
+function createPaymentProvider(paymentsConfig) {
+    const factory = providers[paymentsConfig.provider];
+    if (!factory) {
+        throw new Error(`Unknown payment provider "${paymentsConfig.provider}". Available: ${Object.keys(providers).join(', ')}.`);
+    }
+    return { name: paymentsConfig.provider, ...factory(paymentsConfig) };
+}
+
+module.exports = {
+    createPaymentProvider,
+};
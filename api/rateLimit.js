@@ -0,0 +1,128 @@
+// --- RATE LIMITING ---
+
+/**
+ * Fixed-window request counters for throttling routes that can be abused
+ * (password guessing, harvesting phone numbers).
+ *
+ * A store is any object with this async method:
+ *   hit(key, windowMs) -> { count, resetAt }
+ * It counts one more request for `key` and returns the count in the current
+ * window, starting a new window of `windowMs` once the last one has ended.
+ *
+ * RATE_LIMIT_STORE picks the store. `memory` counts in this process only,
+ * which is fine for a single server. Serverless functions run as many
+ * short-lived instances, so there the `mongo` store keeps the counters in
+ * MongoDB where every instance sees them.
+ */
+
+// The memory store sweeps out ended windows once it holds this many keys
+const MEMORY_SWEEP_SIZE = 10000;
+
+const stores = {
+    memory: () => {
+        const buckets = new Map();
+        return {
+            async hit(key, windowMs) {
+                const now = Date.now();
+                if (buckets.size >= MEMORY_SWEEP_SIZE) {
+                    for (const [bucketKey, bucket] of buckets) {
+                        if (bucket.resetAt <= now) buckets.delete(bucketKey);
+                    }
+                }
+                let bucket = buckets.get(key);
+                if (!bucket || bucket.resetAt <= now) {
+                    bucket = { count: 0, resetAt: now + windowMs };
+                    buckets.set(key, bucket);
+                }
+                bucket.count += 1;
+                return { count: bucket.count, resetAt: new Date(bucket.resetAt) };
+            },
+        };
+    },
+
+    // One document per key. The update is a single atomic pipeline, so parallel
+    // requests from several instances can't read the same old count.
+    mongo: (rateLimitConfig, { mongoose }) => {
+        const RateLimit = mongoose.models.RateLimit || mongoose.model('RateLimit', new mongoose.Schema({
+            _id: String, // The bucket key
+            count: Number,
+            resetAt: { type: Date, expires: 0 }, // TTL index: Mongo deletes ended windows
+        }));
+        return {
+            async hit(key, windowMs) {
+                const now = new Date();
+                const running = { $gt: ['$resetAt', now] };
+                const bucket = await RateLimit.findOneAndUpdate(
+                    { _id: key },
+                    [{
+                        $set: {
+                            count: { $cond: [running, { $add: ['$count', 1] }, 1] },
+                            resetAt: { $cond: [running, '$resetAt', new Date(now.getTime() + windowMs)] },
+                        }
+                    }],
+                    { upsert: true, new: true }
+                );
+                return { count: bucket.count, resetAt: bucket.resetAt };
+            },
+        };
+    },
+};
+
+// Builds the store named in config.rateLimit. Throws at startup for an unknown name.
+function createRateLimitStore(rateLimitConfig, dependencies) {
+    const factory = stores[rateLimitConfig.store];
+    if (!factory) {
+        throw new Error(`Unknown rate limit store "${rateLimitConfig.store}". Available: ${Object.keys(stores).join(', ')}.`);
+    }
+    return { name: rateLimitConfig.store, ...factory(rateLimitConfig, dependencies) };
+}
+
+// "Try again in 3 minutes." for a 429 message
+function retryMessage(retryAfterSeconds) {
+    const minutes = Math.ceil(retryAfterSeconds / 60);
+    if (minutes >= 120) return `Try again in ${Math.ceil(minutes / 60)} hours.`;
+    return minutes > 1 ? `Try again in ${minutes} minutes.` : "Try again in a minute.";
+}
+
+// Answers 429 with a Retry-After header (in seconds) for a window ending at `resetAt`
+function tooManyRequests(res, resetAt, message, code = 'rate_limited') {
+    const retryAfter = Math.max(1, Math.ceil((new Date(resetAt).getTime() - Date.now()) / 1000));
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ message: `${message} ${retryMessage(retryAfter)}`, code, retryAfter });
+}
+
+/**
+ * Returns a factory for rate limiting middleware that counts in `store`:
+ *
+ *   rateLimit('login', [
+ *       { by: 'ip', key: (req) => req.ip, limit: 30, windowMs },
+ *       { by: 'account', key: (req) => req.body.email, limit: 10, windowMs },
+ *   ], "Too many login attempts.")
+ *
+ * Every bucket counts the request; once one is over its limit the request is
+ * answered 429. A bucket whose key is empty for a request is skipped. If the
+ * store fails the request goes through, so an outage can't lock everyone out.
+ */
+function createRateLimiter(store) {
+    return (name, buckets, message) => async (req, res, next) => {
+        try {
+            for (const bucket of buckets) {
+                const id = bucket.key(req);
+                if (!id) continue;
+                const { count, resetAt } = await store.hit(`${name}:${bucket.by}:${String(id).toLowerCase()}`, bucket.windowMs);
+                if (count > bucket.limit) {
+                    return tooManyRequests(res, resetAt, message);
+                }
+            }
+        } catch (err) {
+            console.error("Rate Limit Error:", err);
+        }
+        next();
+    };
+}
+
+module.exports = {
+    createRateLimitStore,
+    createRateLimiter,
+    tooManyRequests,
+};
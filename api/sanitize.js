@@ -0,0 +1,46 @@
+// --- SANITIZE ---
+
+/**
+ * Cleans free text typed by users before it is stored. The frontend escapes
+ * everything it renders (html`` in script.js); this keeps what is stored plain
+ * text, so it is also safe in emails and in any other client.
+ *
+ * Markup tags are dropped, control characters and invisible direction
+ * overrides removed, whitespace collapsed and the text cut to a maximum length.
+ */
+
+// The longest each listing and profile text field may be. validation.js rejects
+// longer input; plainText() cuts anything that still gets through.
+const TEXT_LIMITS = {
+    eventName: 100,
+    description: 1000,
+    tag: 30,
+    displayName: 50,
+};
+
+// Keeps tab, newline and carriage return (handled as whitespace). Also zero-width
+// characters and the direction overrides that can make text read backwards.
+const CONTROL_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F\u200B-\u200F\u202A-\u202E\u2066-\u2069]/g;
+// "<b>", "</script>", "<!-- x -->", "<img src=x onerror=...>" but not "under <18"
+const TAGS = /<\/?[a-z!][^>]*>/gi;
+
+/**
+ * Returns `value` as plain text. With { multiline: true } line breaks are kept
+ * (at most one blank line in a row); otherwise the text is one line.
+ * Anything that is not a string is returned as it is.
+ */
+function plainText(value, { maxLength, multiline = false } = {}) {
+    if (typeof value !== 'string') return value;
+    let text = value.normalize('NFC').replace(TAGS, '').replace(CONTROL_CHARS, '');
+    text = multiline
+        ? text.replace(/\r\n?/g, '\n').replace(/[^\S\n]+/g, ' ').replace(/ ?\n ?/g, '\n').replace(/\n{3,}/g, '\n\n')
+        : text.replace(/\s+/g, ' ');
+    text = text.trim();
+    // Cut by code point, so an emoji is never split in half
+    return maxLength && text.length > maxLength ? Array.from(text).slice(0, maxLength).join('').trim() : text;
+}
+
+module.exports = {
+    TEXT_LIMITS,
+    plainText,
+};
@@ -0,0 +1,102 @@
+// --- SEARCH ---
+
+/**
+ * Full-text search for GET /api/listings?q=...
+ *
+ * The user's text never reaches a $regex. It is reduced to plain words,
+ * expanded with known spelling variants, and handed to MongoDB's $text
+ * operator, which uses the text index on eventName, description, city
+ * and tags (see ListingSchema in index.js).
+ *
+ * Results are ranked by a blend of the text relevance score and the listing's
+ * boost priority, so a boosted listing rises within relevant results but
+ * cannot push an exact event-name match off the first page.
+ */
+
+/**
+ * Hash Table (for Spelling Variants)
+ * Every spelling maps to its whole group, so "Baroda" also finds "Vadodara"
+ * and "Navaratri" also finds "Navratri".
+ */
+const SPELLING_VARIANT_GROUPS = [
+    ['navratri', 'navaratri', 'navratra', 'navarathri', 'navrathri'],
+    ['vadodara', 'baroda'],
+    ['ahmedabad', 'amdavad', 'ahmadabad'],
+    ['mumbai', 'bombay'],
+    ['garba', 'garbo'],
+    ['dandiya', 'dandia'],
+];
+
+const VARIANTS = new Map();
+for (const group of SPELLING_VARIANT_GROUPS) {
+    for (const word of group) {
+        VARIANTS.set(word, group);
+    }
+}
+
+// Weights for the text index: a hit in the event name counts most
+const TEXT_INDEX_WEIGHTS = { eventName: 10, tags: 5, city: 3, description: 1 };
+
+// How much one point of boost priority adds to the relevance score
+const PRIORITY_WEIGHT = 0.5;
+
+const MAX_TERMS = 20;
+
+// Keeps letters (any script, so Gujarati works too) and digits, drops everything else.
+// This also removes the characters $text treats specially: quotes and a leading "-".
+function searchWords(q) {
+    return String(q)
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+}
+
+/**
+ * Returns the string to pass to $text: { $search }, or null when the query has
+ * no searchable words. $text matches any of the words, so variants simply widen
+ * the match.
+ */
+function buildTextSearch(q) {
+    const terms = new Set();
+    for (const word of searchWords(q)) {
+        for (const variant of VARIANTS.get(word) || [word]) {
+            terms.add(variant);
+        }
+    }
+    if (terms.size === 0) return null;
+    return [...terms].slice(0, MAX_TERMS).join(' ');
+}
+
+// Words that don't tell two event names apart
+const NAME_STOPWORDS = new Set(['of', 'the', 'and', 'by', 'at', 'in']);
+
+/**
+ * Reduces an event name to a key for duplicate detection, so that
+ * "United Way of Baroda" and "united way vadodara" give the same key.
+ * Each spelling variant is replaced by the first spelling in its group.
+ */
+function normalizeEventName(name) {
+    return searchWords(name)
+        .filter(word => !NAME_STOPWORDS.has(word))
+        .map(word => (VARIANTS.get(word) || [word])[0])
+        .join(' ');
+}
+
+// Aggregation expression for the blended rank, used as the `searchRank` field
+function relevanceRankExpression() {
+    return {
+        $add: [
+            { $meta: 'textScore' },
+            { $multiply: [{ $ifNull: ['$priority', 0] }, PRIORITY_WEIGHT] },
+        ],
+    };
+}
+
+module.exports = {
+    TEXT_INDEX_WEIGHTS,
+    buildTextSearch,
+    normalizeEventName,
+    relevanceRankExpression,
+    searchWords,
+};
@@ -0,0 +1,38 @@
+// --- SMS ---
+
+// Sends text messages (phone number verification codes). SMS_SENDER picks one
+// of `senders`, each an async send({ from, to, text }); the built-in `console`
+// sender only prints to the server log.
+
+const senders = {
+    console: () => ({
+        async send(message) {
+            console.log(`[sms] To: ${message.to}\n${message.text}`);
+        }
+    }),
+};
+
+// Builds an SMS sender from config.sms. Throws at startup for an unknown sender.
+function createSmsSender(smsConfig) {
+    const factory = senders[smsConfig.sender];
+    if (!factory) {
+        throw new Error(`Unknown SMS sender "${smsConfig.sender}". Available: ${Object.keys(senders).join(', ')}.`);
+    }
+    const sender = factory(smsConfig);
+
+    return {
+        send: (message) => sender.send({ from: smsConfig.from, ...message }),
+    };
+}
+
+// --- SMS TEMPLATES ---
+
+const texts = {
+    phoneCode: (code, minutes) =>
+        `${code} is your GarbaPass code to verify this phone number. It expires in ${minutes} minutes. Don't share it with anyone.`,
+};
+
+module.exports = {
+    createSmsSender,
+    texts,
+};
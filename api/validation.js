@@ -0,0 +1,445 @@
+// --- VALIDATION ---
+
+/**
+ * Schema-driven request validation.
+ * A schema is a { fieldName: rules } map. Each rule set can contain:
+ *   type       'string' | 'number' | 'boolean' | 'array'
+ *   required   the field must be present and non-empty
+ *   enum       list of allowed values
+ *   min / max  numeric bounds
+ *   minLength / maxLength  string length bounds
+ *   pattern    RegExp a string must match
+ *   items      rules applied to every element of an array
+ *   minItems / maxItems    array length bounds
+ *   list       the value is a comma-separated string ("a,b,c"); each entry is
+ *              checked with `items` and counted against minItems / maxItems
+ *   message    custom message used for every failure of this field
+ *
+ * validate() never throws. It returns a list of { field, code, message }
+ * objects, one per failing field, so the client can show each error next to
+ * the matching input.
+ */
+
+const { TEXT_LIMITS } = require('./sanitize');
+
+// Allowed values shared by the listing and filter schemas.
+// These mirror the <select> options in index.html.
+const CITIES = ['Vadodara', 'Ahmedabad', 'Surat', 'Mumbai', 'Rajkot'];
+const PASS_TYPES = ['Male', 'Female', 'Couple', 'Group', 'VIP'];
+const DATES = [
+    'Day 1', 'Day 2', 'Day 3', 'Day 4', 'Day 5',
+    'Day 6', 'Day 7', 'Day 8', 'Day 9', 'Full Season'
+];
+
+// Keys of config.boosts.tiers. The durations on offer are checked against config
+// by the route, since they can be changed per deployment.
+const BOOST_TIERS = ['standard', 'premium'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9]{10,15}$/;
+
+const isEmpty = (value) =>
+    value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+
+const typeOf = (value) => (Array.isArray(value) ? 'array' : typeof value);
+
+// "Vadodara, Surat," -> ['Vadodara', 'Surat']
+const splitList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// Checks a single value against its rules.
+// Returns { code, message } for the first failing rule, or null.
+function checkValue(value, rules, label) {
+    if (rules.type) {
+        const actual = typeOf(value);
+        const isBadNumber = rules.type === 'number' && !Number.isFinite(value);
+        if (actual !== rules.type || isBadNumber) {
+            return { code: 'type', message: `${label} must be a ${rules.type}.` };
+        }
+    }
+    if (typeof value === 'string') {
+        if (rules.minLength !== undefined && value.trim().length < rules.minLength) {
+            return { code: 'minLength', message: `${label} must be at least ${rules.minLength} characters.` };
+        }
+        if (rules.maxLength !== undefined && value.length > rules.maxLength) {
+            return { code: 'maxLength', message: `${label} must be at most ${rules.maxLength} characters.` };
+        }
+        if (rules.pattern && !rules.pattern.test(value)) {
+            return { code: 'pattern', message: `${label} is not in a valid format.` };
+        }
+    }
+    if (typeof value === 'number') {
+        if (rules.min !== undefined && value < rules.min) {
+            return { code: 'min', message: `${label} must be at least ${rules.min}.` };
+        }
+        if (rules.max !== undefined && value > rules.max) {
+            return { code: 'max', message: `${label} must be at most ${rules.max}.` };
+        }
+    }
+    if (rules.enum && !rules.enum.includes(value)) {
+        return { code: 'enum', message: `${label} must be one of: ${rules.enum.join(', ')}.` };
+    }
+    if (rules.list) {
+        value = splitList(value);
+    }
+    if (Array.isArray(value)) {
+        if (rules.minItems !== undefined && value.length < rules.minItems) {
+            return { code: 'minItems', message: `${label} needs at least ${rules.minItems} item(s).` };
+        }
+        if (rules.maxItems !== undefined && value.length > rules.maxItems) {
+            return { code: 'maxItems', message: `${label} can have at most ${rules.maxItems} items.` };
+        }
+        if (rules.items) {
+            for (const item of value) {
+                const itemError = checkValue(item, rules.items, `Each entry in ${label.toLowerCase()}`);
+                if (itemError) return itemError;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Validates `data` against `schema`.
+ * With { partial: true } missing fields are skipped (used for PATCH), but a
+ * required field that is present must still be non-empty.
+ */
+function validate(schema, data, { partial = false } = {}) {
+    const errors = [];
+    const source = data || {};
+
+    for (const field of Object.keys(schema)) {
+        const rules = schema[field];
+        const label = rules.label || field;
+        const value = source[field];
+
+        if (isEmpty(value)) {
+            const present = value !== undefined;
+            if (rules.required && (!partial || present)) {
+                errors.push({ field, code: 'required', message: rules.message || `${label} is required.` });
+            }
+            continue;
+        }
+
+        const failure = checkValue(value, rules, label);
+        if (failure) {
+            errors.push({ field, code: failure.code, message: rules.message || failure.message });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Express middleware factory.
+ * Validates req[source] ('body' or 'query') and answers 400 with
+ * { message, errors } when anything fails.
+ */
+function validateRequest(schema, { source = 'body', partial = false } = {}) {
+    return (req, res, next) => {
+        const errors = validate(schema, req[source], { partial });
+        if (errors.length > 0) {
+            return res.status(400).json({ message: errors[0].message, errors });
+        }
+        next();
+    };
+}
+
+// --- SCHEMAS ---
+
+const signupSchema = {
+    email: { type: 'string', required: true, maxLength: 254, pattern: EMAIL_PATTERN, label: 'Email', message: "Please enter a valid email address." },
+    password: { type: 'string', required: true, minLength: 8, maxLength: 72, label: 'Password' }, // bcrypt ignores bytes after 72
+    phoneNumber: { type: 'string', required: true, pattern: PHONE_PATTERN, label: 'Phone number', message: "Phone number must be 10-15 digits, e.g. +919876543210." },
+};
+
+const loginSchema = {
+    email: { type: 'string', required: true, maxLength: 254, label: 'Email' },
+    password: { type: 'string', required: true, maxLength: 72, label: 'Password' },
+};
+
+const refreshSchema = {
+    refreshToken: { type: 'string', required: true, maxLength: 200, label: 'Refresh token' },
+};
+
+const forgotPasswordSchema = {
+    email: { type: 'string', required: true, maxLength: 254, label: 'Email' },
+};
+
+const resetPasswordSchema = {
+    token: { type: 'string', required: true, maxLength: 200, label: 'Reset token' },
+    password: signupSchema.password,
+};
+
+// Changing the password needs the current one, even with a valid session
+const changePasswordSchema = {
+    currentPassword: { type: 'string', required: true, maxLength: 72, label: 'Current password' },
+    newPassword: { ...signupSchema.password, label: 'New password' },
+};
+
+// GET /api/auth/verify-email?token=...
+const verifyEmailSchema = {
+    token: { type: 'string', required: true, maxLength: 200, label: 'Verification token' },
+};
+
+// eventId (picked from the catalog) or eventName (typed in) is needed;
+// POST /api/listings checks that one of the two is there.
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/;
+
+const listingSchema = {
+    eventId: { type: 'string', pattern: OBJECT_ID_PATTERN, label: 'Event', message: "Please choose an event from the list." },
+    eventName: { type: 'string', minLength: 2, maxLength: TEXT_LIMITS.eventName, label: 'Event name' },
+    city: { type: 'string', required: true, enum: CITIES, label: 'City' },
+    passType: { type: 'string', required: true, enum: PASS_TYPES, label: 'Pass type' },
+    price: { type: 'number', required: true, min: 1, max: 100000, label: 'Price per night' },
+    sellerPhoneNumber: { type: 'string', required: true, pattern: PHONE_PATTERN, label: 'Phone number', message: "Phone number must be 10-15 digits, e.g. +919876543210." },
+    availableDates: { type: 'array', required: true, minItems: 1, maxItems: DATES.length, items: { type: 'string', enum: DATES }, label: 'Dates' },
+    serialNumber: { type: 'string', minLength: 4, maxLength: 64, pattern: /^[A-Za-z0-9 \-\/]+$/, label: 'Pass number' },
+    description: { type: 'string', maxLength: TEXT_LIMITS.description, label: 'Description' },
+    tags: { type: 'array', maxItems: 10, items: { type: 'string', maxLength: TEXT_LIMITS.tag }, label: 'Tags' },
+    // Optional boost bought together with a new listing
+    boostTier: { type: 'string', enum: BOOST_TIERS, label: 'Boost' },
+    boostDays: { type: 'number', min: 1, max: 30, label: 'Boost length' },
+};
+
+const boostSchema = {
+    tier: { ...listingSchema.boostTier, required: true },
+    days: { ...listingSchema.boostDays, required: true },
+};
+
+// Query strings always arrive as strings
+// city, passType, date and tags take comma-separated lists ("Male,Couple")
+const PRICE_PATTERN = /^\d{1,6}(\.\d{1,2})?$/;
+
+const listingFilterSchema = {
+    city: { type: 'string', list: true, items: { type: 'string', enum: CITIES }, label: 'City' },
+    passType: { type: 'string', list: true, items: { type: 'string', enum: PASS_TYPES }, label: 'Pass type' },
+    date: { type: 'string', list: true, items: { type: 'string', enum: DATES }, label: 'Date' },
+    tags: { type: 'string', list: true, maxItems: 10, items: { type: 'string', maxLength: 30 }, label: 'Tags' },
+    ids: { type: 'string', list: true, maxItems: 100, items: { type: 'string', pattern: OBJECT_ID_PATTERN }, label: 'Listing IDs' },
+    minPrice: { type: 'string', pattern: PRICE_PATTERN, label: 'Minimum price', message: "Minimum price must be a number." },
+    maxPrice: { type: 'string', pattern: PRICE_PATTERN, label: 'Maximum price', message: "Maximum price must be a number." },
+    q: { type: 'string', maxLength: 100, label: 'Search' },
+    sort: { type: 'string', enum: ['recommended', 'relevance', 'newest', 'price_asc', 'price_desc', 'date_soonest'], label: 'Sort' },
+    limit: { type: 'string', pattern: /^\d{1,3}$/, label: 'Limit', message: "Limit must be a number." },
+    cursor: { type: 'string', maxLength: 500, label: 'Cursor' },
+};
+
+const eventFilterSchema = {
+    city: listingFilterSchema.city,
+};
+
+const OFFER_STATUSES = ['pending', 'countered', 'accepted', 'rejected', 'withdrawn', 'expired', 'closed'];
+
+// The nights of a listing an offer or purchase is for. Left out, it means every
+// night still on sale.
+const nightsField = { type: 'array', minItems: 1, maxItems: DATES.length, items: { type: 'string', enum: DATES }, label: 'Nights' };
+
+const offerSchema = {
+    amount: { type: 'number', required: true, min: 1, max: 1000000, label: 'Offer' }, // For all the nights together
+    dates: nightsField,
+    message: { type: 'string', maxLength: 300, label: 'Message' },
+};
+
+const counterOfferSchema = {
+    amount: offerSchema.amount,
+};
+
+const offerFilterSchema = {
+    role: { type: 'string', enum: ['buyer', 'seller'], label: 'Role' },
+    status: { type: 'string', list: true, items: { type: 'string', enum: OFFER_STATUSES }, label: 'Status' },
+};
+
+const messageSchema = {
+    body: { type: 'string', required: true, maxLength: 2000, label: 'Message' },
+};
+
+// Starting a conversation can come with a first message
+const startThreadSchema = {
+    body: { type: 'string', maxLength: 2000, label: 'Message' },
+};
+
+const messagesQuerySchema = {
+    after: { type: 'string', pattern: OBJECT_ID_PATTERN, label: 'After', message: "After must be a message id." },
+};
+
+const sharePhoneSchema = {
+    share: { type: 'boolean', required: true, label: 'Share' },
+};
+
+const TRANSACTION_STATUSES = ['requested', 'paid', 'contact_released', 'completed', 'refunded', 'disputed', 'cancelled'];
+
+const purchaseSchema = {
+    dates: nightsField,
+};
+
+const transactionFilterSchema = {
+    role: { type: 'string', enum: ['buyer', 'seller'], label: 'Role' },
+    status: { type: 'string', list: true, items: { type: 'string', enum: TRANSACTION_STATUSES }, label: 'Status' },
+};
+
+const disputeSchema = {
+    reason: { type: 'string', required: true, minLength: 10, maxLength: 1000, label: 'Reason' },
+};
+
+// Whole stars only; the route checks the rating is an integer
+const reviewSchema = {
+    rating: { type: 'number', required: true, min: 1, max: 5, label: 'Rating' },
+    comment: { type: 'string', maxLength: 1000, label: 'Review' },
+};
+
+// What a listing or a user can be reported for. These mirror REPORT_REASONS
+// in script.js.
+const LISTING_REPORT_REASONS = ['fake_pass', 'already_sold', 'wrong_details', 'scam', 'offensive', 'other'];
+const USER_REPORT_REASONS = ['scam', 'harassment', 'fake_account', 'offensive', 'other'];
+const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+const ROLES = ['user', 'moderator', 'admin'];
+
+const listingReportSchema = {
+    reason: { type: 'string', required: true, enum: LISTING_REPORT_REASONS, label: 'Reason' },
+    details: { type: 'string', maxLength: 1000, label: 'Details' },
+};
+
+const userReportSchema = {
+    reason: { type: 'string', required: true, enum: USER_REPORT_REASONS, label: 'Reason' },
+    details: listingReportSchema.details,
+};
+
+const reportFilterSchema = {
+    status: { type: 'string', list: true, items: { type: 'string', enum: REPORT_STATUSES }, label: 'Status' },
+    targetType: { type: 'string', enum: ['listing', 'user'], label: 'Target type' },
+};
+
+// Closing a report can come with a note for the audit log
+const reportActionSchema = {
+    note: { type: 'string', maxLength: 1000, label: 'Note' },
+};
+
+// Hiding a listing or suspending a user needs a reason, which is shown to its owner
+const moderationReasonSchema = {
+    reason: { type: 'string', required: true, minLength: 5, maxLength: 1000, label: 'Reason' },
+};
+
+const moderationListingFilterSchema = {
+    status: { type: 'string', enum: ['pending_review', 'hidden'], label: 'Status' },
+};
+
+const roleSchema = {
+    role: { type: 'string', required: true, enum: ROLES, label: 'Role' },
+};
+
+const auditFilterSchema = {
+    targetId: { type: 'string', pattern: OBJECT_ID_PATTERN, label: 'Target', message: "Target must be an id." },
+    actorId: { type: 'string', pattern: OBJECT_ID_PATTERN, label: 'Actor', message: "Actor must be an id." },
+};
+
+// A saved search holds the filter bar's values, in the same form as the
+// GET /api/listings query
+const savedSearchSchema = {
+    name: { type: 'string', maxLength: 60, label: 'Name' },
+    city: listingFilterSchema.city,
+    passType: listingFilterSchema.passType,
+    date: listingFilterSchema.date,
+    tags: listingFilterSchema.tags,
+    minPrice: listingFilterSchema.minPrice,
+    maxPrice: listingFilterSchema.maxPrice,
+    q: listingFilterSchema.q,
+    // Also send matches through the notifier (email, push), not just the in-app feed
+    alerts: { type: 'boolean', label: 'Alerts' },
+};
+
+const savedSearchUpdateSchema = {
+    name: savedSearchSchema.name,
+    alerts: savedSearchSchema.alerts,
+};
+
+// PATCH /api/users/me. A new email also needs the current password.
+const profileUpdateSchema = {
+    displayName: { type: 'string', maxLength: TEXT_LIMITS.displayName, label: 'Display name' },
+    email: signupSchema.email,
+    currentPassword: { type: 'string', maxLength: 72, label: 'Current password' },
+};
+
+const phoneNumberSchema = {
+    phoneNumber: signupSchema.phoneNumber,
+};
+
+const verifyPhoneSchema = {
+    phoneNumber: signupSchema.phoneNumber,
+    code: { type: 'string', required: true, pattern: /^\d{6}$/, label: 'Code', message: "The code is the 6 digits we texted you." },
+};
+
+const deleteAccountSchema = {
+    password: { type: 'string', required: true, maxLength: 72, label: 'Password' },
+};
+
+const watchlistSchema = {
+    listingId: { type: 'string', required: true, pattern: OBJECT_ID_PATTERN, label: 'Listing', message: "Listing must be an id." },
+};
+
+const notificationFilterSchema = {
+    unread: { type: 'string', enum: ['true', 'false'], label: 'Unread' },
+    before: { type: 'string', pattern: OBJECT_ID_PATTERN, label: 'Before', message: "Before must be a notification id." },
+};
+
+// Both days are included; see parseRange() in api/analytics.js
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const analyticsRangeSchema = {
+    from: { type: 'string', pattern: DAY_PATTERN, label: 'From', message: "From must be a date like 2026-10-01." },
+    to: { type: 'string', pattern: DAY_PATTERN, label: 'To', message: "To must be a date like 2026-10-01." },
+};
+
+module.exports = {
+    CITIES,
+    PASS_TYPES,
+    DATES,
+    BOOST_TIERS,
+    OFFER_STATUSES,
+    TRANSACTION_STATUSES,
+    LISTING_REPORT_REASONS,
+    USER_REPORT_REASONS,
+    ROLES,
+    splitList,
+    validate,
+    validateRequest,
+    signupSchema,
+    loginSchema,
+    refreshSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    verifyEmailSchema,
+    changePasswordSchema,
+    listingSchema,
+    listingFilterSchema,
+    boostSchema,
+    eventFilterSchema,
+    offerSchema,
+    counterOfferSchema,
+    offerFilterSchema,
+    messageSchema,
+    startThreadSchema,
+    messagesQuerySchema,
+    sharePhoneSchema,
+    purchaseSchema,
+    transactionFilterSchema,
+    disputeSchema,
+    reviewSchema,
+    listingReportSchema,
+    userReportSchema,
+    reportFilterSchema,
+    reportActionSchema,
+    moderationReasonSchema,
+    moderationListingFilterSchema,
+    roleSchema,
+    auditFilterSchema,
+    analyticsRangeSchema,
+    savedSearchSchema,
+    savedSearchUpdateSchema,
+    profileUpdateSchema,
+    phoneNumberSchema,
+    verifyPhoneSchema,
+    deleteAccountSchema,
+    watchlistSchema,
+    notificationFilterSchema,
+};
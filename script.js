@@ -5,6 +5,8 @@ class TrieNode {
         this.children = {}; // Hash Map for children
         this.isEndOfWord = false;
         this.listings = new Set(); // Set to store listing IDs
+        this.word = null; // Original spelling of the word ending here
+        this.cities = {}; // Hash Map: city -> Set of listing IDs in that city
     }
 }
 
@@ -13,7 +15,7 @@ class Trie {
         this.root = new TrieNode();
     }
 
-    insert(word, listingId) {
+    insert(word, listingId, city = '') {
         let node = this.root;
         for (const char of word.toLowerCase()) {
             if (!node.children[char]) {
@@ -22,7 +24,36 @@ class Trie {
             node = node.children[char];
         }
         node.isEndOfWord = true;
+        node.word = node.word || word;
         node.listings.add(listingId);
+        if (!node.cities[city]) node.cities[city] = new Set();
+        node.cities[city].add(listingId);
+    }
+
+    // Every word under the prefix, one entry per city:
+    // [{ word, city, listingIds: Set }]
+    findWordsByPrefix(prefix) {
+        let node = this.root;
+        for (const char of prefix.toLowerCase()) {
+            if (!node.children[char]) {
+                return []; // No matches
+            }
+            node = node.children[char];
+        }
+        const results = [];
+        this._collectWords(node, results);
+        return results;
+    }
+
+    _collectWords(node, results) {
+        if (node.isEndOfWord) {
+            for (const city in node.cities) {
+                results.push({ word: node.word, city, listingIds: node.cities[city] });
+            }
+        }
+        for (const char in node.children) {
+            this._collectWords(node.children[char], results);
+        }
     }
 
     findListingsByPrefix(prefix) {
@@ -47,12 +78,48 @@ class Trie {
     }
 }
 
+// --- SAFE HTML ---
+// Listings, profiles and error messages can contain text typed by other users.
+// Anything set through innerHTML is built with html``, which escapes every
+// ${value} unless it is itself an html`` fragment. Arrays are joined; null,
+// undefined and false render as nothing.
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHTML = (value) => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+class SafeHTML {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+function html(strings, ...values) {
+    const render = (value) =>
+        value instanceof SafeHTML ? value.markup
+        : Array.isArray(value) ? value.map(render).join('')
+        : value === null || value === undefined || value === false ? ''
+        : escapeHTML(value);
+    return new SafeHTML(strings.reduce((markup, string, i) => markup + render(values[i - 1]) + string));
+}
+
 // --- GLOBAL STATE ---
 const API_URL = '/api';
 let authToken = localStorage.getItem('token');
-let allListings = [];
+let allListings = []; // Every listing loaded so far for the current filters
+let listingParams = new URLSearchParams(); // Current filters and sort
+let nextCursor = null; // From GET /api/listings; null on the last page
 const eventTrie = new Trie();
 let autocompleteListingIds = new Set();
+let myListings = [];
+let watchedListingIds = new Set(); // The logged-in user's watchlist, for the hearts on cards
+let editingListingId = null; // Set while the sell form is editing an existing listing
+let fees = { listing: 25, contactUnlock: 10 }; // Replaced by GET /api/config on load
+let boostProducts = []; // [{ tier, label, days, fee }], from GET /api/config
+let holdMinutes = 15; // How long a pass is held while the buyer pays; also from GET /api/config
 
 // --- DOM ELEMENTS ---
 const $ = (selector) => document.querySelector(selector);
@@ -63,22 +130,48 @@ const signupModal = $('#signup-modal');
 const sellModal = $('#sell-modal');
 const detailsModal = $('#details-modal');
 const myListingsModal = $('#my-listings-modal');
+const boostModal = $('#boost-modal');
+const reviewModal = $('#review-modal');
+const reportModal = $('#report-modal');
+const reviewsModal = $('#reviews-modal');
 const paymentModal = $('#payment-modal');
 const contactModal = $('#contact-modal');
+const contactCompleteBtn = $('#contact-complete-btn');
+const contactChatBtn = $('#contact-chat-btn');
+const messagesModal = $('#messages-modal');
+const threadList = $('#thread-list');
+const threadView = $('#thread-view');
+const threadMessages = $('#thread-messages');
+const messageForm = $('#message-form');
+const unreadBadge = $('#unread-badge');
+const offersModal = $('#offers-modal');
+const offersContent = $('#offers-content');
+const transactionsModal = $('#transactions-modal');
+const transactionsContent = $('#transactions-content');
 const loggedInNav = $('#logged-in-nav');
 const loggedOutNav = $('#logged-out-nav');
 const userEmailNav = $('#user-email-nav');
+const adminNavLink = $('#admin-nav-link');
 const listingsContainer = $('#listings-container');
 const noListings = $('#no-listings');
 const loginForm = $('#login-form');
 const signupForm = $('#signup-form');
 const sellForm = $('#sell-form');
+const sellModalTitle = $('#sell-modal-title');
+const sellSubmitBtn = $('#sell-submit-btn');
+const sellBoostRow = $('#sell-boost-row');
+const myListingsContent = $('#my-listings-content');
 const searchInput = $('#search-input');
 const autocompleteContainer = $('#autocomplete-container');
 const filterBtn = $('#filter-btn');
 const clearFilterBtn = $('#clear-filter-btn');
+const loadMoreBtn = $('#load-more-btn');
 const heroFindBtn = $('#hero-find-btn');
 const heroSellBtn = $('#hero-sell-btn');
+const verifyBanner = $('#verify-banner');
+const forgotModal = $('#forgot-modal');
+const resetModal = $('#reset-modal');
+let resetToken = null; // From a ?reset= link in a password reset email
 
 // --- MODAL HELPERS ---
 function showModal(modal) {
@@ -98,59 +191,188 @@ $$('.modal-close').forEach(btn => {
 
 if (paymentModal) hideModal(paymentModal);
 
-// --- UI UPDATES ---
-function updateNavUI() {
-    if (authToken) {
-        if (loggedInNav) loggedInNav.style.display = 'flex';
-        if (loggedOutNav) loggedOutNav.style.display = 'none';
-        const user = JSON.parse(localStorage.getItem('user'));
-        if (userEmailNav && user) userEmailNav.textContent = user.email;
-    } else {
-        if (loggedInNav) loggedInNav.style.display = 'none';
-        if (loggedOutNav) loggedOutNav.style.display = 'flex';
-        if (userEmailNav) userEmailNav.textContent = '';
+// --- FORM ERROR HELPERS ---
+// The API answers validation failures with { message, errors: [{ field, code, message }] }.
+// These maps tie each API field to the input that should show its error.
+const SIGNUP_FIELD_INPUTS = {
+    email: '#signup-email',
+    password: '#signup-password',
+    phoneNumber: '#signup-phone'
+};
+const SELL_FIELD_INPUTS = {
+    eventId: '#sell-event-name',
+    eventName: '#sell-event-name',
+    city: '#sell-city',
+    passType: '#sell-pass-type',
+    price: '#sell-price',
+    sellerPhoneNumber: '#sell-phone',
+    serialNumber: '#sell-serial',
+    availableDates: '#sell-dates',
+    description: '#sell-description',
+    tags: '#sell-tags'
+};
+
+function clearFieldErrors(form) {
+    if (!form) return;
+    form.querySelectorAll('.field-error').forEach(el => el.remove());
+    form.querySelectorAll('.input-error').forEach(el => el.classList.remove('input-error'));
+}
+
+// Shows each error under its input and returns the messages that had no input to go to
+function showFieldErrors(form, fieldInputs, errors) {
+    clearFieldErrors(form);
+    const unmatched = [];
+    (errors || []).forEach(err => {
+        const input = fieldInputs[err.field] && form.querySelector(fieldInputs[err.field]);
+        if (!input) {
+            unmatched.push(err.message);
+            return;
+        }
+        input.classList.add('input-error');
+        const errorEl = document.createElement('p');
+        errorEl.className = 'field-error';
+        errorEl.textContent = err.message;
+        input.insertAdjacentElement('afterend', errorEl);
+    });
+    return unmatched;
+}
+
+// Turns a failed API response body into an Error for the form's error div
+function formError(form, fieldInputs, data, fallback) {
+    if (data && Array.isArray(data.errors)) {
+        const unmatched = showFieldErrors(form, fieldInputs, data.errors);
+        return new Error(['Please fix the highlighted fields.', ...unmatched].join(' '));
+    }
+    return new Error((data && data.message) || fallback);
+}
+
+// --- AUTH HELPERS ---
+// Access tokens are short-lived. authFetch() sends the current one and, on a 401,
+// swaps the refresh token for a new pair and retries the request once.
+let refreshPromise = null;
+
+function saveAuth(data) {
+    authToken = data.token;
+    localStorage.setItem('token', data.token);
+    if (data.refreshToken) localStorage.setItem('refreshToken', data.refreshToken);
+    if (data.user) localStorage.setItem('user', JSON.stringify(data.user));
+}
+
+function clearAuth() {
+    stopMessageUpdates();
+    stopNotificationUpdates();
+    watchedListingIds = new Set();
+    authToken = null;
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('user');
+}
+
+// Several requests may fail at once; they all wait on the same refresh call
+function refreshAuthToken() {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) return Promise.resolve(false);
+    if (!refreshPromise) {
+        refreshPromise = fetch(`${API_URL}/auth/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken })
+        })
+            .then(async res => {
+                if (!res.ok) return false;
+                saveAuth(await res.json());
+                return true;
+            })
+            .catch(() => false)
+            .finally(() => { refreshPromise = null; });
     }
+    return refreshPromise;
 }
 
-function showFakePayment(message, duration = 2000) {
-    return new Promise((resolve) => {
-        const paymentMessageEl = $('#payment-message');
-        if (paymentMessageEl) paymentMessageEl.textContent = message;
-        showModal(paymentModal);
-        setTimeout(() => {
-            hideModal(paymentModal);
-            resolve();
-        }, duration);
+async function authFetch(url, options = {}) {
+    const send = () => fetch(url, {
+        ...options,
+        headers: { ...(options.headers || {}), 'Authorization': `Bearer ${authToken}` }
     });
+    let res = await send();
+    if (res.status === 401 && await refreshAuthToken()) {
+        res = await send();
+    }
+    if (res.status === 401) {
+        // The session is gone for good (logged out elsewhere or expired)
+        clearAuth();
+        updateNavUI();
+    }
+    if (res.status === 403) {
+        const data = await res.clone().json().catch(() => ({}));
+        if (data.code === 'account_suspended') {
+            clearAuth();
+            updateNavUI();
+            alert(data.message);
+        }
+    }
+    return res;
 }
 
-function renderListings(listingsToRender) {
-    if (!listingsContainer || !noListings) return;
-    listingsContainer.innerHTML = '';
-    if (!listingsToRender || listingsToRender.length === 0) {
-        listingsContainer.style.display = 'none';
-        noListings.style.display = 'block';
-        return;
+// --- UI UPDATES ---
+// The nav sections start with the `hidden` class, which beats inline styles,
+// so visibility is toggled through the class.
+const currentUser = () => (authToken ? JSON.parse(localStorage.getItem('user')) : null);
+
+function updateNavUI() {
+    const user = currentUser();
+    if (loggedInNav) loggedInNav.classList.toggle('hidden', !authToken);
+    if (loggedOutNav) loggedOutNav.classList.toggle('hidden', !!authToken);
+    if (userEmailNav) userEmailNav.textContent = user ? user.email : '';
+    if (adminNavLink) adminNavLink.classList.toggle('hidden', !user || user.role !== 'admin');
+    if (verifyBanner) verifyBanner.classList.toggle('hidden', !user || user.emailVerified !== false);
+}
+
+// Shows the "processing payment" modal while a request that charges the user runs
+async function withPaymentModal(message, request) {
+    const paymentMessageEl = $('#payment-message');
+    if (paymentMessageEl) paymentMessageEl.textContent = message;
+    showModal(paymentModal);
+    try {
+        return await request();
+    } finally {
+        hideModal(paymentModal);
     }
-    listingsContainer.style.display = 'grid';
-    noListings.style.display = 'none';
+}
+
+// With { append: true } the cards are added below the ones already shown ("Load more")
+function renderListings(listingsToRender, { append = false } = {}) {
+    if (!listingsContainer || !noListings) return;
+    if (!append) listingsContainer.innerHTML = '';
+    const isEmpty = !append && (!listingsToRender || listingsToRender.length === 0);
+    listingsContainer.style.display = isEmpty ? 'none' : 'grid';
+    noListings.classList.toggle('hidden', !isEmpty);
+    if (isEmpty) return;
     listingsToRender.forEach(listing => {
         const card = document.createElement('div');
         card.className = 'listing-card';
         card.setAttribute('data-id', listing._id);
-        let priorityBadgeHTML = listing.priority > 1 ? `<span class="listing-badge boosted">BOOSTED</span>` : '';
-        card.innerHTML = `
+        let priorityBadgeHTML = !listing.isBoosted ? ''
+            : listing.boostTier === 'premium' ? html`<span class="listing-badge boosted premium">PREMIUM</span>`
+            : html`<span class="listing-badge boosted">BOOSTED</span>`;
+        let holdBadgeHTML = listing.status === 'reserved' ? html`<span class="listing-badge on-hold">ON HOLD</span>` : '';
+        card.innerHTML = html`
             <div class="listing-card-content">
                 ${priorityBadgeHTML}
+                ${holdBadgeHTML}
+                ${watchButtonHTML(listing._id)}
                 <h3 class="listing-title">${listing.eventName || 'N/A'}</h3>
                 <p class="listing-city">${listing.city || 'N/A'}</p>
-                <p class="listing-price">₹${(listing.price || 0).toLocaleString()}</p>
+                <p class="listing-price">${priceLabel(listing)}</p>
                 <div class="listing-tags">
                     <span class="listing-tag type">${listing.passType || 'N/A'}</span>
                     <span class="listing-tag date">${(listing.availableDates || []).join(', ')}</span>
                 </div>
             </div>`;
-        card.addEventListener('click', () => showListingDetails(listing));
+        card.addEventListener('click', (e) => {
+            if (e.target.closest('.watch-btn')) return; // The heart has its own handler
+            showListingDetails(listing);
+        });
         listingsContainer.appendChild(card);
     });
 }
@@ -163,7 +385,7 @@ function populateTrie() {
             if (Array.isArray(eventMap)) {
                 eventMap.forEach(event => {
                     if (event && event.name && Array.isArray(event.ids)) {
-                        event.ids.forEach(id => id && eventTrie.insert(event.name, id));
+                        event.ids.forEach(id => id && eventTrie.insert(event.name, id, event.city || ''));
                     }
                 });
             }
@@ -172,100 +394,361 @@ function populateTrie() {
 }
 
 // --- API & EVENT HANDLERS ---
-async function fetchAllListings() {
+
+// Load the fees the server is configured with and show them on the sell form
+async function fetchConfig() {
     try {
-        const res = await fetch(`${API_URL}/listings`);
+        const res = await fetch(`${API_URL}/config`);
         if (!res.ok) throw new Error(`Server error: ${res.statusText}`);
-        allListings = await res.json();
-        renderListings(allListings);
-        populateTrie();
+        const data = await res.json();
+        if (data && data.fees) fees = data.fees;
+        if (data && data.holdMinutes) holdMinutes = data.holdMinutes;
+        if (data && data.boosts) boostProducts = data.boosts;
+    } catch (err) {
+        console.error("Error fetching config:", err);
+    }
+    const sellBoostSelect = $('#sell-boost');
+    if (sellBoostSelect) sellBoostSelect.innerHTML = html`<option value="">No boost</option>${boostOptionsHTML()}`;
+    if (sellSubmitBtn && !editingListingId) sellSubmitBtn.textContent = `Pay ₹${fees.listing} to List`;
+}
+
+// <option>s for the boosts on sale; the value is "tier:days"
+function boostOptionsHTML(tier) {
+    return html`${boostProducts
+        .filter(product => !tier || product.tier === tier)
+        .map(product => html`<option value="${product.tier}:${product.days}">${product.label}, ${product.days} day${product.days > 1 ? 's' : ''} (₹${product.fee})</option>`)}`;
+}
+
+// The product picked in a boost <select>, or null for none
+function selectedBoost(select) {
+    const [tier, days] = ((select && select.value) || '').split(':');
+    return boostProducts.find(product => product.tier === tier && product.days === Number(days)) || null;
+}
+
+// "Premium Boost until 12/10/2026, 6:00 PM", or '' when the listing has no boost running
+function boostStatus(listing) {
+    if (!listing.boostTier || !listing.boostExpiresAt || new Date(listing.boostExpiresAt) <= new Date()) return '';
+    const product = boostProducts.find(p => p.tier === listing.boostTier);
+    return `${product ? product.label : 'Boost'} until ${new Date(listing.boostExpiresAt).toLocaleString()}`;
+}
+
+// Loads the first page for the current filters, or the next page with { append: true }
+async function fetchListings({ append = false } = {}) {
+    const params = new URLSearchParams(listingParams);
+    if (append) {
+        if (!nextCursor) return;
+        params.set('cursor', nextCursor);
+    }
+    if (loadMoreBtn) loadMoreBtn.disabled = true;
+    try {
+        const res = await fetch(`${API_URL}/listings?${params.toString()}`);
+        if (!res.ok) {
+            const errData = await res.json().catch(() => ({}));
+            throw new Error(errData.message || `Server error: ${res.statusText}`);
+        }
+        const data = await res.json();
+        nextCursor = data.nextCursor;
+        allListings = append ? allListings.concat(data.listings) : data.listings;
+        renderListings(data.listings, { append });
+        if (!append) populateTrie();
     } catch (err) {
         console.error("Error fetching listings:", err);
-        if (listingsContainer) listingsContainer.innerHTML = `<p class="error-message">Could not load listings.</p>`;
+        if (append) {
+            alert(`Error loading more passes: ${err.message}`);
+        } else if (listingsContainer) {
+            nextCursor = null;
+            listingsContainer.innerHTML = html`<p class="error-message">Could not load listings: ${err.message}</p>`;
+        }
+    }
+    if (loadMoreBtn) {
+        loadMoreBtn.disabled = false;
+        loadMoreBtn.classList.toggle('hidden', !nextCursor);
     }
 }
 
+if (loadMoreBtn) loadMoreBtn.addEventListener('click', () => fetchListings({ append: true }));
+
+// --- FILTERS ---
+// The filter bar, the API query and the page URL all use the same parameters,
+// so a search can be shared by copying the address bar.
+// Multi-value filters are comma-separated: ?city=Vadodara,Surat&date=Day 3,Day 4
+const FILTER_TEXT_INPUTS = {
+    q: '#search-input',
+    minPrice: '#filter-min-price',
+    maxPrice: '#filter-max-price',
+    tags: '#filter-tags',
+    sort: '#filter-sort'
+};
+const FILTER_CHIP_GROUPS = {
+    city: '#filter-city',
+    passType: '#filter-pass-type',
+    date: '#filter-date'
+};
+
+function readFilterControls() {
+    const params = new URLSearchParams();
+    for (const [name, selector] of Object.entries(FILTER_TEXT_INPUTS)) {
+        const value = ($(selector)?.value || '').trim();
+        if (value) params.set(name, value);
+    }
+    for (const [name, selector] of Object.entries(FILTER_CHIP_GROUPS)) {
+        const checked = [...$$(`${selector} input:checked`)].map(input => input.value);
+        if (checked.length > 0) params.set(name, checked.join(','));
+    }
+    return params;
+}
+
+function writeFilterControls(params) {
+    for (const [name, selector] of Object.entries(FILTER_TEXT_INPUTS)) {
+        const input = $(selector);
+        if (input) input.value = params.get(name) || '';
+    }
+    for (const [name, selector] of Object.entries(FILTER_CHIP_GROUPS)) {
+        const selected = (params.get(name) || '').split(',');
+        $$(`${selector} input`).forEach(input => { input.checked = selected.includes(input.value); });
+    }
+}
+
+// Keep only the filter parameters from a URL query string
+function filterParamsFrom(search) {
+    const source = new URLSearchParams(search);
+    const params = new URLSearchParams();
+    for (const name of [...Object.keys(FILTER_TEXT_INPUTS), ...Object.keys(FILTER_CHIP_GROUPS)]) {
+        if (source.get(name)) params.set(name, source.get(name));
+    }
+    return params;
+}
+
+function syncFiltersToUrl(params) {
+    const query = params.toString();
+    history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : ''));
+}
+
 if (filterBtn) {
     filterBtn.addEventListener('click', async () => {
-        const city = $('#filter-city')?.value || '';
-        const passType = $('#filter-pass-type')?.value || '';
-        const date = $('#filter-date')?.value || '';
-        const query = searchInput?.value || '';
-        const params = new URLSearchParams();
-        if (city) params.append('city', city);
-        if (passType) params.append('passType', passType);
-        if (date) params.append('date', date);
-        if (query) params.append('q', query);
-        try {
-            const res = await fetch(`${API_URL}/listings?${params.toString()}`);
-            if (!res.ok) throw new Error(`Filter request failed: ${res.statusText}`);
-            const filteredListings = await res.json();
-            renderListings(filteredListings);
-        } catch (err) {
-            console.error("Error fetching filtered listings:", err);
-            alert(`Error applying filters: ${err.message}`);
-        }
+        listingParams = readFilterControls();
+        syncFiltersToUrl(listingParams);
+        await fetchListings();
     });
 }
 
 if (clearFilterBtn) {
     clearFilterBtn.addEventListener('click', () => {
-        $('#filter-city').value = '';
-        $('#filter-pass-type').value = '';
-        $('#filter-date').value = '';
-        if (searchInput) searchInput.value = '';
-        if (autocompleteContainer) {
-            autocompleteContainer.innerHTML = '';
-            autocompleteContainer.classList.add('hidden');
-        }
+        listingParams = new URLSearchParams();
+        writeFilterControls(listingParams);
+        syncFiltersToUrl(listingParams);
+        hideSuggestions();
         autocompleteListingIds.clear();
-        renderListings(allListings);
+        fetchListings();
+    });
+}
+
+// --- AUTOCOMPLETE ---
+// Suggestions come from the Trie: the event names under the typed prefix, most
+// available passes first, grouped by city. Picking one shows exactly the listings
+// stored for it in the Trie (GET /api/listings?ids=...).
+const MAX_SUGGESTIONS = 8;
+let suggestions = [];
+let activeSuggestion = -1;
+
+function hideSuggestions() {
+    if (!autocompleteContainer) return;
+    autocompleteContainer.innerHTML = '';
+    autocompleteContainer.classList.add('hidden');
+    suggestions = [];
+    activeSuggestion = -1;
+}
+
+function renderSuggestions() {
+    autocompleteContainer.innerHTML = '';
+    const showCities = new Set(suggestions.map(sug => sug.city)).size > 1;
+    let lastCity = null;
+    suggestions.forEach((suggestion, index) => {
+        if (showCities && suggestion.city !== lastCity) {
+            const header = document.createElement('div');
+            header.className = 'autocomplete-group';
+            header.textContent = suggestion.city || 'Other';
+            autocompleteContainer.appendChild(header);
+            lastCity = suggestion.city;
+        }
+        const item = document.createElement('div');
+        item.className = `autocomplete-item${index === activeSuggestion ? ' active' : ''}`;
+        item.setAttribute('role', 'option');
+        const name = document.createElement('span');
+        name.textContent = suggestion.word;
+        const count = document.createElement('span');
+        count.className = 'autocomplete-count';
+        count.textContent = `${suggestion.listingIds.size} pass${suggestion.listingIds.size === 1 ? '' : 'es'}`;
+        item.append(name, count);
+        // mousedown fires before the input loses focus
+        item.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            pickSuggestion(index);
+        });
+        autocompleteContainer.appendChild(item);
     });
+    autocompleteContainer.classList.remove('hidden');
+}
+
+async function pickSuggestion(index) {
+    const suggestion = suggestions[index];
+    if (!suggestion) return;
+    hideSuggestions();
+    if (searchInput) searchInput.value = suggestion.word;
+    autocompleteListingIds = new Set(suggestion.listingIds);
+    listingParams = new URLSearchParams({ ids: [...suggestion.listingIds].join(',') });
+    await fetchListings();
 }
 
-if (searchInput) {
+if (searchInput && autocompleteContainer) {
     searchInput.addEventListener('input', (e) => {
-        const prefix = e.target.value;
-        if (!autocompleteContainer) return;
-        autocompleteContainer.innerHTML = '';
+        const prefix = e.target.value.trim();
+        autocompleteListingIds.clear();
         if (prefix.length < 2) {
-            autocompleteContainer.classList.add('hidden');
+            hideSuggestions();
             return;
         }
-        const listingIds = eventTrie.findListingsByPrefix(prefix);
-        if (listingIds.size === 0) {
-            autocompleteContainer.classList.add('hidden');
+        // Rank by number of available passes, then keep each city's events together
+        const top = eventTrie.findWordsByPrefix(prefix)
+            .sort((a, b) => b.listingIds.size - a.listingIds.size)
+            .slice(0, MAX_SUGGESTIONS);
+        const cityRank = [...new Set(top.map(sug => sug.city))];
+        suggestions = top.sort((a, b) => cityRank.indexOf(a.city) - cityRank.indexOf(b.city));
+        activeSuggestion = -1;
+        if (suggestions.length === 0) {
+            hideSuggestions();
             return;
         }
-        autocompleteListingIds = listingIds;
-        const item = document.createElement('div');
-        item.className = 'autocomplete-item';
-        item.textContent = `${listingIds.size} passes found for "${prefix}"...`;
-        item.addEventListener('click', () => {
-            if (filterBtn) filterBtn.click();
-            autocompleteContainer.classList.add('hidden');
-        });
-        autocompleteContainer.appendChild(item);
-        autocompleteContainer.classList.remove('hidden');
+        renderSuggestions();
+    });
+
+    searchInput.addEventListener('keydown', (e) => {
+        const open = suggestions.length > 0;
+        if (e.key === 'ArrowDown' && open) {
+            e.preventDefault();
+            activeSuggestion = (activeSuggestion + 1) % suggestions.length;
+            renderSuggestions();
+        } else if (e.key === 'ArrowUp' && open) {
+            e.preventDefault();
+            activeSuggestion = activeSuggestion <= 0 ? suggestions.length - 1 : activeSuggestion - 1;
+            renderSuggestions();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (open && activeSuggestion >= 0) {
+                pickSuggestion(activeSuggestion);
+            } else {
+                hideSuggestions();
+                if (filterBtn) filterBtn.click();
+            }
+        } else if (e.key === 'Escape') {
+            hideSuggestions();
+        }
     });
+
+    searchInput.addEventListener('blur', hideSuggestions);
+}
+
+// Prices are per night; a single-night pass just shows its price
+const priceLabel = (listing) =>
+    `₹${(listing.price || 0).toLocaleString()}${(listing.availableDates || []).length > 1 ? ' / night' : ''}`;
+
+// Every night of a listing, with the sold ones crossed out.
+// Listings from before nights were sold separately only have availableDates.
+function nightsHTML(listing) {
+    const nights = (listing.nights && listing.nights.length > 0)
+        ? listing.nights
+        : (listing.availableDates || []).map(date => ({ date, status: 'available' }));
+    return html`${nights.map(night => html`<span class="night night-${night.status}">${night.date}</span> `)}`;
+}
+
+// The nights ticked in the details modal, or undefined to mean every night on sale
+function selectedNights() {
+    const inputs = $$('#buy-nights input');
+    if (inputs.length === 0) return undefined;
+    return [...inputs].filter(input => input.checked).map(input => input.value);
 }
 
 function showListingDetails(listing) {
     const detailsContent = $('#details-content');
     if (!detailsContent || !listing) return;
-    detailsContent.innerHTML = `
-        <h3 class="details-title">${listing.eventName || 'N/A'}</h3>
-        <p class="details-price">₹${(listing.price || 0).toLocaleString()}</p>
+    detailsContent.innerHTML = html`
+        <h3 class="details-title">${listing.eventName || 'N/A'} ${watchButtonHTML(listing._id)}</h3>
+        <p class="details-price">${priceLabel(listing)}</p>
         <div class="details-info">
             <p><strong>City:</strong> ${listing.city || 'N/A'}</p>
             <p><strong>Type:</strong> ${listing.passType || 'N/A'}</p>
-            <p><strong>Date(s):</strong> ${(listing.availableDates || []).join(', ')}</p>
+            <p><strong>Night(s):</strong> ${nightsHTML(listing)}</p>
             <p><strong>Description:</strong> ${listing.description || 'N/A'}</p>
         </div>
-        <button id="buy-btn" data-id="${listing._id}" class="btn btn-primary">Pay (Fake) $10 to Get Contact Info</button>`;
+        <div id="seller-profile" class="seller-profile"></div>
+        ${listingActionsHTML(listing)}
+        <button type="button" class="link-button report-btn" data-type="listing" data-id="${listing._id}">Report this listing</button>`;
     showModal(detailsModal);
+    loadSellerProfile(listing.sellerId);
+}
+
+// Buy / offer controls for the details modal. A listing on hold can only be
+// bought by the buyer it is held for (a purchase in progress or an accepted offer).
+function listingActionsHTML(listing) {
+    const user = currentUser();
+    if (listing.status === 'reserved') {
+        // No end time means the buyer has paid and the sale is settling
+        const until = listing.reservedUntil ? ` until ${new Date(listing.reservedUntil).toLocaleString()}` : '';
+        if (!user || listing.reservedBy !== user.id) {
+            return html`<p class="form-hint">This pass is on hold for another buyer${until}.</p>`;
+        }
+        return html`
+            <p class="form-hint">The pass is held for you${until}.</p>
+            <button id="buy-btn" data-id="${listing._id}" class="btn btn-primary">Continue Purchase</button>
+            <button id="message-seller-btn" data-id="${listing._id}" class="btn btn-secondary">Message Seller</button>`;
+    }
+    // With more than one night on sale the buyer picks which ones they want
+    const openDates = listing.availableDates || [];
+    const nightPicker = openDates.length > 1 ? html`
+        <div id="buy-nights" class="chip-group">
+            ${openDates.map(date => html`<label class="chip"><input type="checkbox" value="${date}" checked>${date}</label>`)}
+        </div>` : '';
+    return html`
+        ${nightPicker}
+        <p class="form-hint">Pay ₹${(listing.price || 0).toLocaleString()}${openDates.length > 1 ? ' per night' : ''} plus a ₹${fees.contactUnlock} service fee. GarbaPass holds the money until you confirm you have the pass.</p>
+        <button id="buy-btn" data-id="${listing._id}" class="btn btn-primary">Buy &amp; Get Contact Info</button>
+        <button id="message-seller-btn" data-id="${listing._id}" class="btn btn-secondary">Message Seller</button>
+        <form id="offer-form" class="offer-form" data-id="${listing._id}">
+            <input type="number" id="offer-amount" min="1" placeholder="Your offer for the night(s) (₹)" required>
+            <button type="submit" class="btn btn-secondary">Make an Offer</button>
+        </form>
+        <p id="offer-error" class="error-message"></p>`;
 }
 
+document.addEventListener('submit', async (e) => {
+    if (!e.target || e.target.id !== 'offer-form') return;
+    e.preventDefault();
+    if (!authToken) {
+        alert("Please login to make an offer.");
+        hideModal(detailsModal);
+        showModal(loginModal);
+        return;
+    }
+    const errorEl = $('#offer-error');
+    if (errorEl) errorEl.textContent = '';
+    const dates = selectedNights();
+    if (dates && dates.length === 0) {
+        if (errorEl) errorEl.textContent = "Pick at least one night.";
+        return;
+    }
+    try {
+        await authJSON(`${API_URL}/listings/${e.target.getAttribute('data-id')}/offers`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ amount: parseFloat($('#offer-amount').value), dates })
+        }, "Could not send your offer.");
+        hideModal(detailsModal);
+        alert("Offer sent! You'll find the seller's answer under Offers.");
+    } catch (err) {
+        if (errorEl) errorEl.textContent = err.message;
+    }
+});
+
 document.addEventListener('click', async (e) => {
     if (e.target && e.target.id === 'buy-btn') {
         if (!authToken) {
@@ -275,20 +758,14 @@ document.addEventListener('click', async (e) => {
             return;
         }
         const listingId = e.target.getAttribute('data-id');
+        const dates = selectedNights();
+        if (dates && dates.length === 0) {
+            alert("Pick at least one night.");
+            return;
+        }
         hideModal(detailsModal);
-        await showFakePayment("Processing your (fake) $10 payment...");
         try {
-            const res = await fetch(`${API_URL}/listings/${listingId}/contact`, {
-                headers: { 'Authorization': `Bearer ${authToken}` }
-            });
-            if (!res.ok) {
-                const errData = await res.json().catch(() => ({ message: 'Could not get contact info.' }));
-                throw new Error(errData.message);
-            }
-            const data = await res.json();
-            const contactPhoneEl = $('#contact-phone');
-            if (contactPhoneEl) contactPhoneEl.textContent = data.phoneNumber || 'N/A';
-            showModal(contactModal);
+            await buyListing(listingId, dates);
         } catch (err) {
             alert(`Error: ${err.message}`);
         }
@@ -308,9 +785,10 @@ if (loginForm) {
             });
             const data = await res.json();
             if (!res.ok) throw new Error(data.message || "Login failed");
-            authToken = data.token;
-            localStorage.setItem('token', data.token);
-            localStorage.setItem('user', JSON.stringify(data.user));
+            saveAuth(data);
+            startMessageUpdates();
+            startNotificationUpdates();
+            loadWatchedListingIds();
             updateNavUI();
             hideModal(loginModal);
             loginForm.reset();
@@ -325,6 +803,7 @@ if (signupForm) {
         e.preventDefault();
         const errorDiv = $('#signup-error');
         if (errorDiv) errorDiv.textContent = '';
+        clearFieldErrors(signupForm);
         try {
             const res = await fetch(`${API_URL}/auth/signup`, {
                 method: 'POST',
@@ -336,10 +815,11 @@ if (signupForm) {
                 })
             });
             const data = await res.json();
-            if (!res.ok) throw new Error(data.message || "Signup failed");
-            authToken = data.token;
-            localStorage.setItem('token', data.token);
-            localStorage.setItem('user', JSON.stringify(data.user));
+            if (!res.ok) throw formError(signupForm, SIGNUP_FIELD_INPUTS, data, "Signup failed");
+            saveAuth(data);
+            startMessageUpdates();
+            startNotificationUpdates();
+            loadWatchedListingIds();
             updateNavUI();
             hideModal(signupModal);
             signupForm.reset();
@@ -349,6 +829,91 @@ if (signupForm) {
     });
 }
 
+// --- EVENT CATALOG ---
+// The sell form's event field suggests catalog events for the chosen city
+let catalogEvents = [];
+
+async function loadEventCatalog(city) {
+    const optionsEl = $('#sell-event-options');
+    if (!optionsEl) return;
+    try {
+        const res = await fetch(`${API_URL}/events?city=${encodeURIComponent(city || '')}`);
+        if (!res.ok) throw new Error(`Server error: ${res.statusText}`);
+        catalogEvents = await res.json();
+    } catch (err) {
+        console.error("Error loading events:", err);
+        catalogEvents = [];
+    }
+    optionsEl.innerHTML = '';
+    catalogEvents.forEach(event => {
+        const option = document.createElement('option');
+        option.value = event.name;
+        if (event.venue) option.label = `${event.name} (${event.venue})`;
+        optionsEl.appendChild(option);
+    });
+}
+
+// Matches what the seller typed against event names and aliases
+function findCatalogEvent(name) {
+    const typed = (name || '').trim().toLowerCase();
+    return catalogEvents.find(event =>
+        [event.name, ...(event.aliases || [])].some(candidate => candidate.toLowerCase() === typed)
+    );
+}
+
+const sellCitySelect = $('#sell-city');
+if (sellCitySelect) sellCitySelect.addEventListener('change', () => loadEventCatalog(sellCitySelect.value));
+
+// Switch the sell form between "new listing" and "edit listing" modes
+function setSellFormMode(listing) {
+    editingListingId = listing ? listing._id : null;
+    if (sellModalTitle) sellModalTitle.textContent = listing ? 'Edit Your Listing' : 'Sell Your Pass';
+    if (sellSubmitBtn) sellSubmitBtn.textContent = listing ? 'Save Changes' : `Pay ₹${fees.listing} to List`;
+    if (sellBoostRow) sellBoostRow.style.display = listing ? 'none' : '';
+    if (!sellForm) return;
+    sellForm.reset();
+    clearFieldErrors(sellForm);
+    if (listing) {
+        $('#sell-event-name').value = listing.eventName || '';
+        $('#sell-city').value = listing.city || '';
+        $('#sell-pass-type').value = listing.passType || '';
+        $$('#sell-dates input').forEach(input => { input.checked = (listing.availableDates || []).includes(input.value); });
+        $('#sell-price').value = listing.price || '';
+        $('#sell-serial').value = listing.serialNumber || '';
+        $('#sell-description').value = listing.description || '';
+        $('#sell-tags').value = (listing.tags || []).join(', ');
+    }
+    loadEventCatalog($('#sell-city')?.value);
+    loadSellPhoneOptions(listing ? listing.sellerPhoneNumber : null);
+}
+
+// Fills the phone select with the seller's verified numbers. When editing, the
+// listing's own number stays on the list even if it was never verified.
+async function loadSellPhoneOptions(selected) {
+    const select = $('#sell-phone');
+    if (!select || !authToken) return;
+    let numbers = [];
+    try {
+        const account = await authJSON(`${API_URL}/users/me`, {}, "Could not load your phone numbers.");
+        numbers = account.phoneNumbers.filter(phone => phone.verified).map(phone => phone.number);
+    } catch (err) {
+        console.error("Phone Numbers Error:", err);
+    }
+    if (selected && !numbers.includes(selected)) numbers.unshift(selected);
+    select.innerHTML = numbers.length > 0
+        ? html`${numbers.map(number => html`<option value="${number}">${number}</option>`)}`
+        : '<option value="">No verified numbers yet</option>';
+    if (selected) select.value = selected;
+}
+
+const sellPhoneAccountBtn = $('#sell-phone-account-btn');
+if (sellPhoneAccountBtn) {
+    sellPhoneAccountBtn.addEventListener('click', () => {
+        hideModal(sellModal);
+        openAccount();
+    });
+}
+
 if (sellForm) {
     sellForm.addEventListener('submit', async (e) => {
         e.preventDefault();
@@ -358,38 +923,55 @@ if (sellForm) {
             showModal(loginModal);
             return;
         }
-        const isBoosted = $('#sell-boost')?.checked || false;
-        const cost = isBoosted ? 35 : 25;
+        const boost = selectedBoost($('#sell-boost'));
+        const cost = fees.listing + (boost ? boost.fee : 0);
         const errorDiv = $('#sell-error');
         if (errorDiv) errorDiv.textContent = '';
+        clearFieldErrors(sellForm);
+        const eventName = $('#sell-event-name')?.value;
+        const catalogEvent = findCatalogEvent(eventName);
         const listingData = {
-            eventName: $('#sell-event-name')?.value,
+            eventId: catalogEvent ? catalogEvent.id : undefined,
+            eventName,
             city: $('#sell-city')?.value,
             passType: $('#sell-pass-type')?.value,
             price: parseFloat($('#sell-price')?.value),
             sellerPhoneNumber: $('#sell-phone')?.value,
-            availableDates: [$('#sell-date')?.value],
+            serialNumber: $('#sell-serial')?.value.trim() || undefined,
+            availableDates: [...$$('#sell-dates input:checked')].map(input => input.value),
             description: $('#sell-description')?.value,
-            isBoosted
+            tags: ($('#sell-tags')?.value || '').split(',').map(tag => tag.trim()).filter(Boolean)
         };
+        const listingId = editingListingId;
         hideModal(sellModal);
-        await showFakePayment(`Processing (fake) $${cost} listing fee...`);
+        if (!listingId && boost) {
+            listingData.boostTier = boost.tier;
+            listingData.boostDays = boost.days;
+        }
         try {
-            const res = await fetch(`${API_URL}/listings`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${authToken}`
-                },
+            // A new listing is charged the listing fee (and boost) by the server
+            const saveListing = () => authFetch(listingId ? `${API_URL}/listings/${listingId}` : `${API_URL}/listings`, {
+                method: listingId ? 'PATCH' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(listingData)
             });
+            const res = listingId ? await saveListing() : await withPaymentModal(`Processing your ₹${cost} listing fee...`, saveListing);
             if (!res.ok) {
-                const errData = await res.json().catch(() => ({ message: 'Failed to create listing.' }));
-                throw new Error(errData.message);
+                const errData = await res.json().catch(() => ({}));
+                throw formError(sellForm, SELL_FIELD_INPUTS, errData, 'Failed to save listing.');
+            }
+            const saved = await res.json();
+            if (saved.status === 'pending_review') {
+                alert("Your listing is being checked before it goes live. You'll see it in My Listings once it's approved.");
+            } else {
+                alert(listingId ? "Listing updated!" : "Listing created successfully!");
+            }
+            setSellFormMode(null);
+            fetchListings();
+            if (listingId) {
+                showModal(myListingsModal);
+                await refreshMyListings();
             }
-            alert("Listing created successfully!");
-            sellForm.reset();
-            fetchAllListings();
         } catch (err) {
             if (errorDiv) errorDiv.textContent = err.message;
             showModal(sellModal);
@@ -397,121 +979,1803 @@ if (sellForm) {
     });
 }
 
-// ... (All other code remains the same up to this point) ...
+// --- MY LISTINGS ---
+
+const LISTING_STATUS_LABELS = { reserved: 'on hold', pending_review: 'under review', hidden: 'hidden by a moderator' };
+
+// Fetch and render the logged-in user's listings
+async function refreshMyListings() {
+    const contentDiv = myListingsContent;
+    if (!contentDiv) return;
+    contentDiv.innerHTML = '<p>Loading...</p>';
+    try {
+        const res = await authFetch(`${API_URL}/listings/my-listings`);
+        if (!res.ok) throw new Error(`Could not fetch listings: ${res.statusText}`);
+
+        myListings = await res.json();
+
+        if (!myListings || myListings.length === 0) {
+            contentDiv.innerHTML = '<p>You have not created any listings.</p>';
+            return;
+        }
+
+        contentDiv.innerHTML = ''; // Clear loading
+        myListings.forEach(l => {
+            const listingDiv = document.createElement('div');
+            // A `hidden` class would hide the item itself (see updateNavUI)
+            const statusClass = l.status === 'hidden' ? 'moderated' : l.status;
+            listingDiv.className = `my-listing-item ${l.status !== 'available' ? statusClass : ''}`;
+
+            // Listings on sale (or on hold for a buyer) can be edited or withdrawn, and withdrawn
+            // ones put back on sale. A listing becomes sold when its buyer confirms the handover.
+            let actionButtonHTML = '';
+            if (l.status === 'available' || l.status === 'reserved') {
+                actionButtonHTML = html`
+                    <button class="btn-listing-action btn-edit" data-id="${l._id}">Edit</button>
+                    <button class="btn-listing-action btn-boost" data-id="${l._id}">Boost</button>
+                    <button class="btn-listing-action btn-withdraw" data-id="${l._id}">Withdraw</button>`;
+            } else if (l.status === 'pending_review') {
+                actionButtonHTML = html`<button class="btn-listing-action btn-withdraw" data-id="${l._id}">Withdraw</button>`;
+            } else if (l.status === 'withdrawn') {
+                actionButtonHTML = html`<button class="btn-listing-action btn-relist" data-id="${l._id}">Relist</button>`;
+            }
+
+            listingDiv.innerHTML = html`
+                <div>
+                    <h4>${l.eventName || 'N/A'}</h4>
+                    <p>Price: ${priceLabel(l)} | Status: <span class="status status-${l.status || 'available'}">${LISTING_STATUS_LABELS[l.status] || l.status || 'N/A'}</span></p>
+                    <p class="details">${l.city || 'N/A'} | ${l.passType || 'N/A'}</p>
+                    <p class="details">Nights: ${nightsHTML(l)}</p>
+                    ${boostStatus(l) ? html`<p class="boosted-tag">${boostStatus(l)}</p>` : ''}
+                    ${l.status === 'hidden' && l.moderation ? html`<p class="details">Reason: ${l.moderation.reason}</p>` : ''}
+                </div>
+                <div class="my-listing-actions">${actionButtonHTML}</div>
+            `;
+            contentDiv.appendChild(listingDiv);
+        });
+    } catch(err) {
+        console.error("My Listings Error:", err);
+        contentDiv.innerHTML = html`<p class="error-message">${err.message}</p>`;
+    }
+}
+
+// Send a status change (withdraw / relist) for one of my listings
+async function updateMyListing(listingId, path, method, successMessage) {
+    try {
+        const res = await authFetch(`${API_URL}/listings/${listingId}${path}`, { method });
+
+        if (!res.ok) {
+            const errData = await res.json().catch(() => ({}));
+            throw new Error(errData.message || "Failed to update listing.");
+        }
+
+        alert(successMessage);
+        await refreshMyListings(); // Refresh the list to show the change
+        await fetchListings(); // Also refresh the main homepage listings
+    } catch (err) {
+        console.error("Update Listing Error:", err);
+        alert(`Error: ${err.message}`);
+    }
+}
 
 // Handle "My Listings" Button
 const myListingsBtn = $('#my-listings-nav-btn');
 if (myListingsBtn) {
     myListingsBtn.addEventListener('click', async () => {
         if (!authToken) return;
-        
-        const contentDiv = $('#my-listings-content');
-        if (!contentDiv) return;
-
-        // Function to fetch and render user's listings
-        async function refreshMyListings() {
-            contentDiv.innerHTML = '<p>Loading...</p>';
-            try {
-                const res = await fetch(`${API_URL}/listings/my-listings`, {
-                    headers: { 'Authorization': `Bearer ${authToken}` }
-                });
-                if (!res.ok) throw new Error(`Could not fetch listings: ${res.statusText}`);
-                
-                const myListings = await res.json();
-                
-                if (!myListings || myListings.length === 0) {
-                    contentDiv.innerHTML = '<p>You have not created any listings.</p>';
-                    return;
-                }
-                
-                contentDiv.innerHTML = ''; // Clear loading
-                myListings.forEach(l => {
-                    const listingDiv = document.createElement('div');
-                    listingDiv.className = `my-listing-item ${l.status === 'sold' ? 'sold' : ''}`;
-                    
-                    // Conditionally add the "Mark as Sold" button
-                    let actionButtonHTML = '';
-                    if (l.status === 'available') {
-                        actionButtonHTML = `<button class="btn-mark-sold" data-id="${l._id}">Mark as Sold</button>`;
-                    }
+        showModal(myListingsModal);
+        await refreshMyListings();
+    });
+}
 
-                    listingDiv.innerHTML = `
-                        <div>
-                            <h4>${l.eventName || 'N/A'}</h4>
-                            <p>Price: ₹${l.price || 0} | Status: <span class="status ${l.status === 'sold' ? 'status-sold' : 'status-available'}">${l.status || 'N/A'}</span></p>
-                            <p class="details">${l.city || 'N/A'} | ${l.passType || 'N/A'}</p>
-                            ${l.priority > 1 ? '<p class="boosted-tag">Boosted</p>' : ''}
-                        </div>
-                        ${actionButtonHTML}
-                    `;
-                    contentDiv.appendChild(listingDiv);
-                });
-            } catch(err) {
-                console.error("My Listings Error:", err);
-                contentDiv.innerHTML = `<p class="error-message">${err.message}</p>`;
-            }
+// One delegated listener for every action button inside the modal
+if (myListingsContent) {
+    myListingsContent.addEventListener('click', async (e) => {
+        const target = e.target;
+        const listingId = target && target.getAttribute('data-id');
+        if (!listingId) return;
+
+        if (target.classList.contains('btn-edit')) {
+            const listing = myListings.find(l => l._id === listingId);
+            if (!listing) return;
+            setSellFormMode(listing);
+            hideModal(myListingsModal);
+            showModal(sellModal);
+        } else if (target.classList.contains('btn-withdraw')) {
+            if (!confirm("Withdraw this pass? Buyers will no longer see it, and anyone who already paid is refunded. You can relist it later.")) return;
+            await updateMyListing(listingId, '', 'DELETE', "Listing withdrawn.");
+        } else if (target.classList.contains('btn-relist')) {
+            await updateMyListing(listingId, '/relist', 'PUT', "Listing is back on sale!");
+        } else if (target.classList.contains('btn-boost')) {
+            const listing = myListings.find(l => l._id === listingId);
+            if (listing) showBoostForm(listing);
         }
-        
-        showModal(myListingsModal);
-        await refreshMyListings(); // Initial fetch
-
-        // NEW Event listener for the "Mark as Sold" buttons inside the modal
-        contentDiv.addEventListener('click', async (e) => {
-            if (e.target && e.target.classList.contains('btn-mark-sold')) {
-                const listingId = e.target.getAttribute('data-id');
-                if (!listingId) return;
-
-                const confirmed = confirm("Are you sure you want to mark this pass as sold? This action cannot be undone.");
-                if (!confirmed) return;
-
-                try {
-                    const res = await fetch(`${API_URL}/listings/${listingId}/sold`, {
-                        method: 'PUT',
-                        headers: {
-                            'Authorization': `Bearer ${authToken}`
-                        }
-                    });
-
-                    if (!res.ok) {
-                        const errData = await res.json();
-                        throw new Error(errData.message || "Failed to update listing.");
-                    }
+    });
+}
 
-                    alert("Listing marked as sold!");
-                    await refreshMyListings(); // Refresh the list to show the change
-                    await fetchAllListings(); // Also refresh the main homepage listings
+// --- REVIEWS ---
+// Buyers rate a seller once per listing after a completed purchase. The details
+// modal shows the seller's rating, with a link to their reviews.
+
+const stars = (rating) => '★'.repeat(Math.round(rating)) + '☆'.repeat(5 - Math.round(rating));
+
+async function loadSellerProfile(sellerId) {
+    const profileEl = $('#seller-profile');
+    if (!profileEl || !sellerId) return;
+    profileEl.textContent = 'Loading seller...';
+    try {
+        const res = await fetch(`${API_URL}/users/${sellerId}/profile`);
+        if (!res.ok) throw new Error(`Server error: ${res.statusText}`);
+        const profile = await res.json();
+        const rating = profile.reviewCount > 0
+            ? `${stars(profile.averageRating)} ${profile.averageRating} (${profile.reviewCount} review${profile.reviewCount > 1 ? 's' : ''})`
+            : 'No reviews yet';
+        const since = new Date(profile.memberSince).toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+        profileEl.innerHTML = html`
+            <p><strong>Seller${profile.displayName ? html` ${profile.displayName}` : ''}:</strong> ${rating} · ${profile.salesCount} sale${profile.salesCount === 1 ? '' : 's'} · Member since ${since}</p>
+            ${profile.reviewCount > 0 ? html`<button type="button" id="seller-reviews-btn" class="link-button" data-id="${profile.id}">See reviews</button>` : ''}
+            <button type="button" class="link-button report-btn" data-type="user" data-id="${profile.id}">Report seller</button>`;
+    } catch (err) {
+        console.error("Seller Profile Error:", err);
+        profileEl.textContent = '';
+    }
+}
 
-                } catch (err) {
-                    console.error("Mark as Sold Error:", err);
-                    alert(`Error: ${err.message}`);
-                }
+async function showSellerReviews(sellerId) {
+    const contentDiv = $('#reviews-content');
+    if (!contentDiv) return;
+    contentDiv.innerHTML = '<p>Loading...</p>';
+    hideModal(detailsModal);
+    showModal(reviewsModal);
+    try {
+        const res = await fetch(`${API_URL}/users/${sellerId}/reviews`);
+        if (!res.ok) throw new Error("Could not fetch reviews.");
+        const reviews = await res.json();
+        contentDiv.innerHTML = reviews.length === 0 ? '<p>No reviews yet.</p>' : '';
+        reviews.forEach(review => {
+            const item = document.createElement('div');
+            item.className = 'my-listing-item';
+            const info = document.createElement('div');
+            const title = document.createElement('h4');
+            title.textContent = `${stars(review.rating)} ${review.listingId ? review.listingId.eventName : ''}`;
+            info.appendChild(title);
+            if (review.comment) {
+                const comment = document.createElement('p');
+                comment.textContent = review.comment;
+                info.appendChild(comment);
             }
+            const date = document.createElement('p');
+            date.className = 'details';
+            date.textContent = `Verified buyer · ${new Date(review.createdAt).toLocaleDateString()}`;
+            info.appendChild(date);
+            item.appendChild(info);
+            contentDiv.appendChild(item);
         });
+    } catch (err) {
+        contentDiv.innerHTML = html`<p class="error-message">${err.message}</p>`;
+    }
+}
+
+document.addEventListener('click', (e) => {
+    if (e.target && e.target.id === 'seller-reviews-btn') {
+        showSellerReviews(e.target.getAttribute('data-id'));
+    }
+});
+
+const reviewForm = $('#review-form');
+
+function showReviewForm(listingId) {
+    if (!reviewForm) return;
+    reviewForm.reset();
+    reviewForm.setAttribute('data-listing-id', listingId);
+    $('#review-error').textContent = '';
+    showModal(reviewModal);
+}
+
+if (reviewForm) {
+    reviewForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const errorDiv = $('#review-error');
+        errorDiv.textContent = '';
+        try {
+            await authJSON(`${API_URL}/listings/${reviewForm.getAttribute('data-listing-id')}/reviews`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    rating: parseInt($('#review-rating').value, 10),
+                    comment: $('#review-comment').value
+                })
+            }, "Could not post your review.");
+            hideModal(reviewModal);
+            alert("Thanks for your review!");
+            showModal(transactionsModal);
+            await refreshTransactions();
+        } catch (err) {
+            errorDiv.textContent = err.message;
+        }
     });
 }
 
+// --- REPORTS ---
+// Buyers flag a listing or a seller for the moderators
 
-// --- NAV & HERO BUTTONS ---
-const loginNavBtn = $('#login-nav-btn');
-const signupNavBtn = $('#signup-nav-btn');
-const sellPassNavBtn = $('#sell-pass-nav-btn');
-const logoutNavBtn = $('#logout-nav-btn');
-const buyTicketsNavBtn = $('#buy-tickets-nav-btn');
+const REPORT_REASONS = {
+    listing: {
+        fake_pass: 'The pass looks fake',
+        already_sold: 'The pass was already sold',
+        wrong_details: 'The details are wrong',
+        scam: 'The seller asked to pay outside GarbaPass',
+        offensive: 'Offensive content',
+        other: 'Something else'
+    },
+    user: {
+        scam: 'Tried to scam me',
+        harassment: 'Harassment',
+        fake_account: 'Fake account',
+        offensive: 'Offensive behaviour',
+        other: 'Something else'
+    }
+};
 
-if (loginNavBtn) loginNavBtn.addEventListener('click', () => showModal(loginModal));
-if (signupNavBtn) signupNavBtn.addEventListener('click', () => showModal(signupModal));
-if (logoutNavBtn) logoutNavBtn.addEventListener('click', () => {
-    authToken = null;
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
-    updateNavUI();
-});
+const reportForm = $('#report-form');
 
-function handleSellClick() {
+function showReportForm(type, id) {
+    if (!reportForm) return;
     if (!authToken) {
-        alert("Please login or sign up to sell a pass.");
+        alert("Please login to report.");
+        hideModal(detailsModal);
         showModal(loginModal);
-    } else {
+        return;
+    }
+    reportForm.reset();
+    reportForm.setAttribute('data-type', type);
+    reportForm.setAttribute('data-id', id);
+    $('#report-title').textContent = type === 'listing' ? 'Report this Listing' : 'Report this Seller';
+    $('#report-reason').innerHTML = html`${Object.entries(REPORT_REASONS[type])
+        .map(([value, label]) => html`<option value="${value}">${label}</option>`)}`;
+    $('#report-error').textContent = '';
+    hideModal(detailsModal);
+    showModal(reportModal);
+}
+
+document.addEventListener('click', (e) => {
+    if (e.target && e.target.classList.contains('report-btn')) {
+        showReportForm(e.target.getAttribute('data-type'), e.target.getAttribute('data-id'));
+    }
+});
+
+if (reportForm) {
+    reportForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const errorDiv = $('#report-error');
+        errorDiv.textContent = '';
+        const path = reportForm.getAttribute('data-type') === 'listing' ? 'listings' : 'users';
+        try {
+            const data = await authJSON(`${API_URL}/${path}/${reportForm.getAttribute('data-id')}/report`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    reason: $('#report-reason').value,
+                    details: $('#report-details').value || undefined
+                })
+            }, "Could not send your report.");
+            hideModal(reportModal);
+            alert(data.message);
+        } catch (err) {
+            errorDiv.textContent = err.message;
+        }
+    });
+}
+
+// --- BOOSTS ---
+// A running boost can be extended with the same tier; another tier is on offer once it ends.
+
+const boostForm = $('#boost-form');
+
+function showBoostForm(listing) {
+    if (!boostForm) return;
+    const running = boostStatus(listing);
+    boostForm.setAttribute('data-id', listing._id);
+    $('#boost-current').textContent = running ? `${running}. Buying more extends it.` : 'Boosted listings show above the rest until the boost ends.';
+    $('#boost-product').innerHTML = boostOptionsHTML(running ? listing.boostTier : undefined);
+    $('#boost-error').textContent = '';
+    hideModal(myListingsModal);
+    showModal(boostModal);
+}
+
+if (boostForm) {
+    boostForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const boost = selectedBoost($('#boost-product'));
+        if (!boost) return;
+        const errorDiv = $('#boost-error');
+        errorDiv.textContent = '';
+        try {
+            await withPaymentModal(`Processing your ₹${boost.fee} boost...`, () =>
+                authJSON(`${API_URL}/listings/${boostForm.getAttribute('data-id')}/boosts`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ tier: boost.tier, days: boost.days })
+                }, "Could not boost the listing."));
+            hideModal(boostModal);
+            showModal(myListingsModal);
+            await refreshMyListings();
+            fetchListings();
+        } catch (err) {
+            errorDiv.textContent = err.message;
+        }
+    });
+}
+
+
+// --- MESSAGES ---
+// One conversation per listing and buyer. The seller decides whether the buyer
+// sees their phone number.
+
+let openThreadId = null; // The conversation shown in the Messages modal, if any
+let lastMessageId = null; // Newest message shown, so updates only fetch what's new
+
+function setUnreadBadge(count) {
+    if (!unreadBadge) return;
+    unreadBadge.textContent = count > 99 ? '99+' : String(count);
+    unreadBadge.classList.toggle('hidden', !count);
+}
+
+async function refreshThreads() {
+    if (!threadList) return;
+    threadList.innerHTML = '<p>Loading...</p>';
+    try {
+        const threads = await authJSON(`${API_URL}/threads`, {}, "Could not fetch your messages.");
+        if (threads.length === 0) {
+            threadList.innerHTML = '<p>No conversations yet. Open a listing and message the seller.</p>';
+            return;
+        }
+
+        threadList.innerHTML = '';
+        threads.forEach(thread => {
+            const listing = thread.listingId || {}; // Populated with the listing's summary
+            const item = document.createElement('div');
+            item.className = 'my-listing-item thread-item';
+            item.setAttribute('data-id', thread._id);
+
+            const info = document.createElement('div');
+            const title = document.createElement('h4');
+            title.textContent = `${listing.eventName || 'Listing'} (${thread.role === 'buyer' ? 'buying' : 'selling'})`;
+            const preview = document.createElement('p');
+            preview.className = 'details';
+            preview.textContent = thread.lastMessagePreview || 'No messages yet';
+            info.append(title, preview);
+            item.appendChild(info);
+
+            if (thread.unread > 0) {
+                const badge = document.createElement('span');
+                badge.className = 'nav-badge';
+                badge.textContent = String(thread.unread);
+                item.appendChild(badge);
+            }
+            threadList.appendChild(item);
+        });
+    } catch (err) {
+        console.error("Threads Error:", err);
+        threadList.innerHTML = html`<p class="error-message">${err.message}</p>`;
+    }
+}
+
+function showThreadList() {
+    openThreadId = null;
+    lastMessageId = null;
+    if (threadView) threadView.classList.add('hidden');
+    if (threadList) threadList.classList.remove('hidden');
+    refreshThreads();
+}
+
+// The phone line: buyers see the number once shared, sellers get the switch
+function renderThreadPhone(thread) {
+    const phoneEl = $('#thread-phone');
+    if (!phoneEl) return;
+    phoneEl.innerHTML = '';
+    if (thread.role === 'seller') {
+        const label = document.createElement('label');
+        const toggle = document.createElement('input');
+        toggle.type = 'checkbox';
+        toggle.id = 'share-phone-toggle';
+        toggle.checked = thread.phoneShared;
+        label.append(toggle, ' Share my phone number with this buyer');
+        phoneEl.appendChild(label);
+    } else {
+        phoneEl.textContent = thread.phoneNumber
+            ? `Seller's number: ${thread.phoneNumber}`
+            : "The seller hasn't shared their number. Keep the conversation here.";
+    }
+}
+
+function appendMessages(messages) {
+    if (!threadMessages) return;
+    const user = currentUser();
+    messages.forEach(message => {
+        const bubble = document.createElement('div');
+        bubble.className = `message ${user && message.senderId === user.id ? 'message-mine' : 'message-theirs'}`;
+        const body = document.createElement('p');
+        body.textContent = message.body;
+        const time = document.createElement('span');
+        time.className = 'message-time';
+        time.textContent = new Date(message.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        bubble.append(body, time);
+        threadMessages.appendChild(bubble);
+        lastMessageId = message._id;
+    });
+    threadMessages.scrollTop = threadMessages.scrollHeight;
+}
+
+// Loads the open conversation, or only its new messages with { append: true }
+async function loadThreadMessages({ append = false } = {}) {
+    if (!openThreadId) return;
+    const after = append && lastMessageId ? `?after=${lastMessageId}` : '';
+    const data = await authJSON(`${API_URL}/threads/${openThreadId}/messages${after}`, {}, "Could not load the conversation.");
+    if (!append && threadMessages) threadMessages.innerHTML = '';
+    renderThreadPhone(data.thread);
+    appendMessages(data.messages);
+}
+
+async function openThread(threadId) {
+    openThreadId = threadId;
+    lastMessageId = null;
+    if (threadList) threadList.classList.add('hidden');
+    if (threadView) threadView.classList.remove('hidden');
+    showModal(messagesModal);
+    try {
+        await loadThreadMessages();
+        pollUnread(); // Reading the conversation lowered the count
+    } catch (err) {
+        alert(`Error: ${err.message}`);
+        showThreadList();
+    }
+}
+
+const messagesNavBtn = $('#messages-nav-btn');
+if (messagesNavBtn) {
+    messagesNavBtn.addEventListener('click', () => {
+        if (!authToken) return;
+        showModal(messagesModal);
+        showThreadList();
+    });
+}
+
+if (threadList) {
+    threadList.addEventListener('click', (e) => {
+        const item = e.target && e.target.closest('.thread-item');
+        if (item) openThread(item.getAttribute('data-id'));
+    });
+}
+
+const threadBackBtn = $('#thread-back-btn');
+if (threadBackBtn) threadBackBtn.addEventListener('click', showThreadList);
+
+if (messageForm) {
+    messageForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const input = $('#message-input');
+        const body = input.value.trim();
+        if (!body || !openThreadId) return;
+        try {
+            const message = await authJSON(`${API_URL}/threads/${openThreadId}/messages`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ body })
+            }, "Could not send your message.");
+            input.value = '';
+            appendMessages([message]);
+        } catch (err) {
+            alert(`Error: ${err.message}`);
+        }
+    });
+}
+
+if (threadView) {
+    threadView.addEventListener('change', async (e) => {
+        if (!e.target || e.target.id !== 'share-phone-toggle') return;
+        try {
+            const thread = await authJSON(`${API_URL}/threads/${openThreadId}/phone`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ share: e.target.checked })
+            }, "Could not update phone sharing.");
+            renderThreadPhone(thread);
+        } catch (err) {
+            e.target.checked = !e.target.checked;
+            alert(`Error: ${err.message}`);
+        }
+    });
+}
+
+// "Message Seller" in the details modal, and "Chat with the Seller" after paying
+document.addEventListener('click', async (e) => {
+    if (!e.target || e.target.id !== 'message-seller-btn') return;
+    if (!authToken) {
+        alert("Please login to message the seller.");
+        hideModal(detailsModal);
+        showModal(loginModal);
+        return;
+    }
+    try {
+        const thread = await authJSON(`${API_URL}/listings/${e.target.getAttribute('data-id')}/threads`, { method: 'POST' }, "Could not start a conversation.");
+        hideModal(detailsModal);
+        await openThread(thread._id);
+    } catch (err) {
+        alert(`Error: ${err.message}`);
+    }
+});
+
+if (contactChatBtn) {
+    contactChatBtn.addEventListener('click', () => {
+        hideModal(contactModal);
+        openThread(contactChatBtn.getAttribute('data-id'));
+    });
+}
+
+// --- LIVE MESSAGE UPDATES ---
+// The server pushes new messages over Server-Sent Events. The stream is read
+// with fetch because EventSource cannot send the Authorization header. Each
+// stream closes after a few seconds and is reopened; if streaming keeps
+// failing, the page falls back to polling the unread count.
+const POLL_INTERVAL_MS = 15000;
+const MAX_STREAM_FAILURES = 3;
+let streamController = null;
+let streamFailures = 0;
+let pollTimer = null;
+
+async function pollUnread() {
+    try {
+        const { count } = await authJSON(`${API_URL}/threads/unread-count`);
+        setUnreadBadge(count);
+    } catch (err) {
+        console.error("Unread Count Error:", err);
+    }
+}
+
+async function pollMessages() {
+    await pollUnread();
+    if (openThreadId) {
+        await loadThreadMessages({ append: true }).catch(err => console.error("Messages Poll Error:", err));
+    }
+}
+
+// A new message arrived for this user
+function onStreamMessage(message) {
+    if (openThreadId && message.threadId === openThreadId) {
+        loadThreadMessages({ append: true }).then(pollUnread).catch(err => console.error("Messages Error:", err));
+    } else if (threadList && !threadList.classList.contains('hidden') && messagesModal.style.display === 'flex') {
+        refreshThreads();
+    }
+}
+
+function handleStreamEvent(raw) {
+    let event = 'message';
+    let data = '';
+    raw.split('\n').forEach(line => {
+        if (line.startsWith('event: ')) event = line.slice(7);
+        else if (line.startsWith('data: ')) data += line.slice(6);
+    });
+    if (!data) return;
+    const payload = JSON.parse(data);
+    if (event === 'unread') setUnreadBadge(payload.count);
+    else if (event === 'message') onStreamMessage(payload);
+}
+
+async function streamMessages() {
+    const controller = new AbortController();
+    streamController = controller;
+    try {
+        const res = await authFetch(`${API_URL}/threads/stream`, { signal: controller.signal });
+        if (!res.ok || !res.body) throw new Error(`Stream failed: ${res.status}`);
+        const reader = res.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            const events = buffer.split('\n\n');
+            buffer = events.pop(); // The last piece may be incomplete
+            events.forEach(handleStreamEvent);
+        }
+        streamFailures = 0;
+    } catch (err) {
+        if (controller.signal.aborted) return;
+        streamFailures++;
+        console.error("Message Stream Error:", err);
+    }
+    if (streamController !== controller || !authToken) return; // Stopped meanwhile
+    if (streamFailures >= MAX_STREAM_FAILURES) {
+        streamController = null;
+        pollTimer = setInterval(pollMessages, POLL_INTERVAL_MS);
+        return;
+    }
+    setTimeout(() => {
+        if (streamController === controller) streamMessages();
+    }, streamFailures > 0 ? 2000 : 500);
+}
+
+function startMessageUpdates() {
+    stopMessageUpdates();
+    if (!authToken) return;
+    if (window.ReadableStream && window.TextDecoder && streamFailures < MAX_STREAM_FAILURES) {
+        streamMessages();
+    } else {
+        pollMessages();
+        pollTimer = setInterval(pollMessages, POLL_INTERVAL_MS);
+    }
+}
+
+function stopMessageUpdates() {
+    if (streamController) {
+        const controller = streamController;
+        streamController = null;
+        controller.abort();
+    }
+    clearInterval(pollTimer);
+    pollTimer = null;
+    setUnreadBadge(0);
+}
+
+
+// --- OFFERS ---
+// Buyers offer a lower price; the seller accepts, rejects or counters.
+// An accepted offer holds the listing for the buyer to pay the agreed price.
+
+// Which buttons each side sees for each status
+const OFFER_BUTTONS = {
+    buyer: { pending: ['withdraw'], countered: ['accept', 'withdraw'], accepted: ['buy'] },
+    seller: { pending: ['accept', 'counter', 'reject'] },
+};
+const OFFER_BUTTON_LABELS = {
+    accept: 'Accept',
+    counter: 'Counter',
+    reject: 'Reject',
+    withdraw: 'Withdraw',
+    buy: 'Buy Now',
+};
+
+// One line describing where the negotiation stands
+function offerSummary(offer) {
+    const nights = (offer.dates || []).length > 0 ? `${offer.dates.join(', ')} · ` : '';
+    const amounts = `${nights}Offered ₹${offer.amount.toLocaleString()}`
+        + (offer.counterAmount ? ` · Countered ₹${offer.counterAmount.toLocaleString()}` : '')
+        + (offer.acceptedAmount ? ` · Agreed ₹${offer.acceptedAmount.toLocaleString()}` : '');
+    const open = ['pending', 'countered', 'accepted'].includes(offer.status);
+    return open ? `${amounts} · until ${new Date(offer.expiresAt).toLocaleString()}` : amounts;
+}
+
+async function refreshOffers() {
+    if (!offersContent) return;
+    offersContent.innerHTML = '<p>Loading...</p>';
+    try {
+        const offers = await authJSON(`${API_URL}/offers`, {}, "Could not fetch your offers.");
+        if (offers.length === 0) {
+            offersContent.innerHTML = '<p>No offers yet. Open a listing to make one.</p>';
+            return;
+        }
+
+        offersContent.innerHTML = '';
+        offers.forEach(offer => {
+            const listing = offer.listingId || {}; // Populated with the listing's summary
+            const item = document.createElement('div');
+            item.className = 'my-listing-item';
+
+            const info = document.createElement('div');
+            const title = document.createElement('h4');
+            title.textContent = `${offer.role === 'buyer' ? 'Your offer' : 'Offer received'}: ${listing.eventName || 'Listing'} (asking ${priceLabel(listing)})`;
+            const summary = document.createElement('p');
+            summary.append(`${offerSummary(offer)} | Status: `);
+            const status = document.createElement('span');
+            status.className = `status status-${offer.status}`;
+            status.textContent = offer.status;
+            summary.appendChild(status);
+            info.append(title, summary);
+            if (offer.message) {
+                const message = document.createElement('p');
+                message.className = 'details';
+                message.textContent = `"${offer.message}"`;
+                info.appendChild(message);
+            }
+
+            const actions = document.createElement('div');
+            actions.className = 'my-listing-actions';
+            ((OFFER_BUTTONS[offer.role] || {})[offer.status] || []).forEach(action => {
+                const btn = document.createElement('button');
+                btn.className = `btn-listing-action btn-offer-${action}`;
+                btn.setAttribute('data-id', offer._id);
+                btn.setAttribute('data-action', action);
+                btn.setAttribute('data-listing-id', listing._id || '');
+                btn.textContent = OFFER_BUTTON_LABELS[action];
+                actions.appendChild(btn);
+            });
+
+            item.append(info, actions);
+            offersContent.appendChild(item);
+        });
+    } catch (err) {
+        console.error("Offers Error:", err);
+        offersContent.innerHTML = html`<p class="error-message">${err.message}</p>`;
+    }
+}
+
+const offersNavBtn = $('#offers-nav-btn');
+if (offersNavBtn) {
+    offersNavBtn.addEventListener('click', async () => {
+        if (!authToken) return;
+        showModal(offersModal);
+        await refreshOffers();
+    });
+}
+
+if (offersContent) {
+    offersContent.addEventListener('click', async (e) => {
+        const target = e.target;
+        const action = target && target.getAttribute('data-action');
+        if (!action) return;
+        const offerId = target.getAttribute('data-id');
+        const postOffer = (path, body) => authJSON(`${API_URL}/offers/${offerId}/${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body || {})
+        }, "Could not update the offer.");
+
+        try {
+            if (action === 'buy') {
+                hideModal(offersModal);
+                await buyListing(target.getAttribute('data-listing-id'));
+                return;
+            } else if (action === 'counter') {
+                const amount = parseFloat(prompt("Your counter-offer (₹):"));
+                if (!amount) return;
+                await postOffer('counter', { amount });
+            } else if (action === 'accept') {
+                if (!confirm("Accept this price? The pass will be held for the buyer to pay.")) return;
+                await postOffer('accept');
+                fetchListings();
+            } else {
+                await postOffer(action);
+            }
+            await refreshOffers();
+        } catch (err) {
+            alert(`Error: ${err.message}`);
+        }
+    });
+}
+
+
+// --- PURCHASES & SALES (ESCROW) ---
+// A purchase is a transaction: requested -> paid -> contact_released -> completed.
+// The buyer's money is held until they confirm they have the pass.
+
+// authFetch + JSON body, throwing the API's message on failure
+async function authJSON(url, options = {}, failureMessage = "Something went wrong.") {
+    const res = await authFetch(url, options);
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.message || failureMessage);
+    return data;
+}
+
+const postTransaction = (transactionId, action, body) =>
+    authJSON(`${API_URL}/transactions/${transactionId}/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body || {})
+    }, "Could not update the purchase.");
+
+// Starts (or resumes) a purchase, pays for it and shows the seller's number
+// `dates` are the nights to buy; left out, the server picks every night on sale
+// (or the nights of an unpaid purchase or accepted offer)
+async function buyListing(listingId, dates) {
+    const transaction = await authJSON(`${API_URL}/listings/${listingId}/transactions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ dates })
+    }, "Could not start the purchase.");
+    if (transaction.status === 'requested') {
+        const total = transaction.amount + transaction.serviceFee;
+        const nights = (transaction.dates || []).join(', ');
+        if (!confirm(`The pass is held for you for ${holdMinutes} minutes. Pay ₹${total.toLocaleString()} now${nights ? ` for ${nights}` : ''}? GarbaPass holds the money until you confirm you have the pass.`)) {
+            // Let other buyers have it straight away
+            await postTransaction(transaction._id, 'cancel');
+            return;
+        }
+        await withPaymentModal(`Processing your ₹${total.toLocaleString()} payment...`, () => postTransaction(transaction._id, 'pay'));
+    }
+    await showContact(listingId);
+}
+
+async function showContact(listingId) {
+    const data = await authJSON(`${API_URL}/listings/${listingId}/contact`, {}, "Could not get contact info.");
+    const contactPhoneEl = $('#contact-phone');
+    if (contactPhoneEl) contactPhoneEl.textContent = data.phoneNumber || '';
+    const contactNightsEl = $('#contact-nights');
+    if (contactNightsEl) contactNightsEl.textContent = (data.dates || []).length > 0 ? `Night(s): ${data.dates.join(', ')}` : '';
+    if (contactChatBtn) contactChatBtn.setAttribute('data-id', data.threadId);
+    if (contactCompleteBtn) {
+        const canComplete = ['contact_released', 'disputed'].includes(data.transactionStatus);
+        contactCompleteBtn.classList.toggle('hidden', !canComplete);
+        contactCompleteBtn.setAttribute('data-id', data.transactionId);
+    }
+    showModal(contactModal);
+}
+
+// Which buttons each side sees for each status
+const TRANSACTION_ACTIONS = {
+    buyer: {
+        requested: ['pay', 'cancel'],
+        paid: ['contact', 'refund'],
+        contact_released: ['contact', 'complete', 'dispute'],
+        disputed: ['contact', 'complete'],
+        completed: ['review'],
+    },
+    seller: {
+        requested: ['cancel'],
+        paid: ['refund'],
+        contact_released: ['refund', 'dispute'],
+        disputed: ['refund'],
+    },
+};
+const TRANSACTION_ACTION_LABELS = {
+    pay: 'Pay',
+    cancel: 'Cancel',
+    contact: 'Show Contact',
+    refund: 'Refund',
+    complete: 'I Got the Pass',
+    dispute: 'Report a Problem',
+    review: 'Review Seller',
+};
+
+async function refreshTransactions() {
+    if (!transactionsContent) return;
+    transactionsContent.innerHTML = '<p>Loading...</p>';
+    try {
+        const transactions = await authJSON(`${API_URL}/transactions`, {}, "Could not fetch your purchases.");
+        if (transactions.length === 0) {
+            transactionsContent.innerHTML = '<p>You have not bought or sold a pass yet.</p>';
+            return;
+        }
+
+        transactionsContent.innerHTML = '';
+        transactions.forEach(t => {
+            const listing = t.listingId || {}; // Populated with the listing's summary
+            const item = document.createElement('div');
+            item.className = 'my-listing-item';
+
+            const info = document.createElement('div');
+            const title = document.createElement('h4');
+            title.textContent = `${t.role === 'buyer' ? 'Buying' : 'Selling'}: ${listing.eventName || 'Listing'}`;
+            const summary = document.createElement('p');
+            summary.append(`₹${t.amount.toLocaleString()}${t.role === 'buyer' ? ` + ₹${t.serviceFee} fee` : ''} | Status: `);
+            const status = document.createElement('span');
+            status.className = `status status-${t.status}`;
+            status.textContent = t.status.replace('_', ' ');
+            summary.appendChild(status);
+            const details = document.createElement('p');
+            details.className = 'details';
+            const nights = (t.dates || []).length > 0 ? `${t.dates.join(', ')} | ` : '';
+            details.textContent = `${nights}${listing.city || 'N/A'} | ${listing.passType || 'N/A'} | Updated ${new Date(t.updatedAt).toLocaleString()}`;
+            info.append(title, summary, details);
+
+            const actions = document.createElement('div');
+            actions.className = 'my-listing-actions';
+            (TRANSACTION_ACTIONS[t.role][t.status] || []).filter(action => !(action === 'review' && t.reviewed)).forEach(action => {
+                const btn = document.createElement('button');
+                btn.className = `btn-listing-action btn-transaction-${action}`;
+                btn.setAttribute('data-id', t._id);
+                btn.setAttribute('data-action', action);
+                btn.setAttribute('data-listing-id', listing._id || '');
+                btn.textContent = TRANSACTION_ACTION_LABELS[action];
+                actions.appendChild(btn);
+            });
+
+            item.append(info, actions);
+            transactionsContent.appendChild(item);
+        });
+    } catch (err) {
+        console.error("Transactions Error:", err);
+        transactionsContent.innerHTML = html`<p class="error-message">${err.message}</p>`;
+    }
+}
+
+const transactionsNavBtn = $('#transactions-nav-btn');
+if (transactionsNavBtn) {
+    transactionsNavBtn.addEventListener('click', async () => {
+        if (!authToken) return;
+        showModal(transactionsModal);
+        await refreshTransactions();
+    });
+}
+
+if (transactionsContent) {
+    transactionsContent.addEventListener('click', async (e) => {
+        const target = e.target;
+        const action = target && target.getAttribute('data-action');
+        if (!action) return;
+        const transactionId = target.getAttribute('data-id');
+        const listingId = target.getAttribute('data-listing-id');
+
+        try {
+            if (action === 'pay') {
+                await withPaymentModal("Processing your payment...", () => postTransaction(transactionId, 'pay'));
+            } else if (action === 'contact') {
+                hideModal(transactionsModal);
+                await showContact(listingId);
+                return;
+            } else if (action === 'review') {
+                hideModal(transactionsModal);
+                showReviewForm(listingId);
+                return;
+            } else if (action === 'cancel') {
+                if (!confirm("Cancel this purchase?")) return;
+                await postTransaction(transactionId, 'cancel');
+            } else if (action === 'refund') {
+                if (!confirm("Refund the buyer in full? The pass goes back on sale for others.")) return;
+                await postTransaction(transactionId, 'refund');
+            } else if (action === 'complete') {
+                if (!confirm("Do you have the pass? The payment will be released to the seller.")) return;
+                await postTransaction(transactionId, 'complete');
+                fetchListings();
+            } else if (action === 'dispute') {
+                const reason = prompt("What went wrong? (at least 10 characters)");
+                if (!reason) return;
+                await postTransaction(transactionId, 'dispute', { reason });
+            }
+            await refreshTransactions();
+        } catch (err) {
+            alert(`Error: ${err.message}`);
+        }
+    });
+}
+
+if (contactCompleteBtn) {
+    contactCompleteBtn.addEventListener('click', async () => {
+        if (!confirm("Do you have the pass? The payment will be released to the seller.")) return;
+        try {
+            await postTransaction(contactCompleteBtn.getAttribute('data-id'), 'complete');
+            hideModal(contactModal);
+            alert("Enjoy the Garba! The seller has been paid.");
+            fetchListings();
+        } catch (err) {
+            alert(`Error: ${err.message}`);
+        }
+    });
+}
+
+
+// --- EMAIL VERIFICATION & PASSWORD RESET ---
+
+// Emailed links open the site with ?verify=<token> or ?reset=<token>
+async function handleEmailLinks() {
+    const params = new URLSearchParams(window.location.search);
+    const verifyToken = params.get('verify');
+    resetToken = params.get('reset');
+    const listingId = params.get('listing'); // From an alert email
+    if (!verifyToken && !resetToken && !listingId) return;
+
+    // Don't leave the token in the address bar or browser history
+    params.delete('verify');
+    params.delete('reset');
+    params.delete('listing');
+    const query = params.toString();
+    history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : ''));
+
+    if (resetToken) {
+        showModal(resetModal);
+    }
+    if (listingId) {
+        openListingById(listingId);
+    }
+    if (verifyToken) {
+        try {
+            const res = await fetch(`${API_URL}/auth/verify-email?token=${encodeURIComponent(verifyToken)}`);
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.message || "Could not verify email.");
+            const user = JSON.parse(localStorage.getItem('user'));
+            if (user && user.id === data.user.id) {
+                localStorage.setItem('user', JSON.stringify(data.user));
+                updateNavUI();
+            }
+            alert("Thanks! Your email is verified.");
+        } catch (err) {
+            alert(`Error: ${err.message}`);
+        }
+    }
+}
+
+const resendVerificationBtn = $('#resend-verification-btn');
+if (resendVerificationBtn) {
+    resendVerificationBtn.addEventListener('click', async () => {
+        try {
+            const res = await authFetch(`${API_URL}/auth/resend-verification`, { method: 'POST' });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) throw new Error(data.message || "Could not send the email.");
+            alert("Verification email sent. Check your inbox.");
+        } catch (err) {
+            alert(`Error: ${err.message}`);
+        }
+    });
+}
+
+const forgotPasswordBtn = $('#forgot-password-btn');
+if (forgotPasswordBtn) {
+    forgotPasswordBtn.addEventListener('click', () => {
+        hideModal(loginModal);
+        showModal(forgotModal);
+    });
+}
+
+const forgotForm = $('#forgot-form');
+if (forgotForm) {
+    forgotForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const messageDiv = $('#forgot-message');
+        if (messageDiv) messageDiv.textContent = '';
+        try {
+            const res = await fetch(`${API_URL}/auth/forgot-password`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ email: $('#forgot-email').value })
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.message || "Could not send reset link.");
+            alert(data.message);
+            hideModal(forgotModal);
+            forgotForm.reset();
+        } catch (err) {
+            if (messageDiv) messageDiv.textContent = err.message;
+        }
+    });
+}
+
+const resetForm = $('#reset-form');
+if (resetForm) {
+    resetForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const errorDiv = $('#reset-error');
+        if (errorDiv) errorDiv.textContent = '';
+        try {
+            const res = await fetch(`${API_URL}/auth/reset-password`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ token: resetToken, password: $('#reset-password').value })
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.message || "Could not reset password.");
+            // Every session was signed out by the reset
+            clearAuth();
+            updateNavUI();
+            resetToken = null;
+            resetForm.reset();
+            hideModal(resetModal);
+            alert(data.message);
+            showModal(loginModal);
+        } catch (err) {
+            if (errorDiv) errorDiv.textContent = err.message;
+        }
+    });
+}
+
+// --- SESSIONS (Devices) ---
+const sessionsModal = $('#sessions-modal');
+const sessionsContent = $('#sessions-content');
+
+async function refreshSessions() {
+    if (!sessionsContent) return;
+    sessionsContent.innerHTML = '<p>Loading...</p>';
+    try {
+        const res = await authFetch(`${API_URL}/auth/sessions`);
+        if (!res.ok) throw new Error(`Could not fetch sessions: ${res.statusText}`);
+        const sessions = await res.json();
+
+        sessionsContent.innerHTML = '';
+        sessions.forEach(session => {
+            const item = document.createElement('div');
+            item.className = 'my-listing-item';
+            const info = document.createElement('div');
+            const device = document.createElement('h4');
+            device.textContent = session.userAgent || 'Unknown device';
+            const details = document.createElement('p');
+            details.className = 'details';
+            details.textContent = `Last active ${new Date(session.lastUsedAt).toLocaleString()}${session.ip ? ` from ${session.ip}` : ''}`;
+            info.append(device, details);
+            item.appendChild(info);
+            if (session.current) {
+                const currentTag = document.createElement('p');
+                currentTag.className = 'boosted-tag';
+                currentTag.textContent = 'This device';
+                item.appendChild(currentTag);
+            } else {
+                const revokeBtn = document.createElement('button');
+                revokeBtn.className = 'btn-mark-sold btn-revoke-session';
+                revokeBtn.setAttribute('data-id', session.id);
+                revokeBtn.textContent = 'Sign out';
+                item.appendChild(revokeBtn);
+            }
+            sessionsContent.appendChild(item);
+        });
+    } catch (err) {
+        console.error("Sessions Error:", err);
+        sessionsContent.innerHTML = html`<p class="error-message">${err.message}</p>`;
+    }
+}
+
+const sessionsNavBtn = $('#sessions-nav-btn');
+if (sessionsNavBtn) {
+    sessionsNavBtn.addEventListener('click', async () => {
+        if (!authToken) return;
+        showModal(sessionsModal);
+        await refreshSessions();
+    });
+}
+
+if (sessionsContent) {
+    sessionsContent.addEventListener('click', async (e) => {
+        if (!e.target || !e.target.classList.contains('btn-revoke-session')) return;
+        const sessionId = e.target.getAttribute('data-id');
+        try {
+            const res = await authFetch(`${API_URL}/auth/sessions/${sessionId}`, { method: 'DELETE' });
+            if (!res.ok) {
+                const errData = await res.json().catch(() => ({}));
+                throw new Error(errData.message || "Could not sign out that device.");
+            }
+            await refreshSessions();
+        } catch (err) {
+            alert(`Error: ${err.message}`);
+        }
+    });
+}
+
+
+// --- ACCOUNT ---
+// Profile, phone numbers, password and account deletion. A phone number is
+// verified with a code texted to it; only verified numbers go on listings.
+const accountModal = $('#account-modal');
+const profileForm = $('#profile-form');
+const phoneNumbersContent = $('#phone-numbers-content');
+const addPhoneForm = $('#add-phone-form');
+const verifyPhoneForm = $('#verify-phone-form');
+const changePasswordForm = $('#change-password-form');
+const deleteAccountForm = $('#delete-account-form');
+const PROFILE_FIELD_INPUTS = {
+    displayName: '#profile-display-name',
+    email: '#profile-email',
+    currentPassword: '#profile-current-password'
+};
+const PHONE_FIELD_INPUTS = { phoneNumber: '#add-phone-number', code: '#verify-phone-code' };
+const CHANGE_PASSWORD_FIELD_INPUTS = { currentPassword: '#change-current-password', newPassword: '#change-new-password' };
+const DELETE_ACCOUNT_FIELD_INPUTS = { password: '#delete-account-password' };
+let verifyingPhoneNumber = null; // The number the code form is for
+
+// Keeps the stored user (and so the nav and the verify banner) in step with the account
+function saveAccountUser(account) {
+    const { id, email, emailVerified, role, displayName } = account;
+    localStorage.setItem('user', JSON.stringify({ id, email, emailVerified, role, displayName }));
+    updateNavUI();
+}
+
+function renderAccount(account) {
+    $('#profile-display-name').value = account.displayName || '';
+    $('#profile-email').value = account.email;
+    $('#profile-current-password').value = '';
+
+    // The last number can't be removed
+    const removable = account.phoneNumbers.length > 1;
+    phoneNumbersContent.innerHTML = '';
+    account.phoneNumbers.forEach(phone => {
+        const item = document.createElement('div');
+        item.className = 'my-listing-item';
+        item.innerHTML = html`
+            <div>
+                <h4>${phone.number}</h4>
+                <p class="details">${phone.verified ? 'Verified, can go on your listings' : 'Not verified'}</p>
+            </div>
+            <div class="my-listing-actions">
+                ${phone.verified ? '' : html`<button class="btn-listing-action btn-verify-phone" data-number="${phone.number}">Verify</button>`}
+                ${removable ? html`<button class="btn-listing-action btn-withdraw btn-remove-phone" data-number="${phone.number}">Remove</button>` : ''}
+            </div>`;
+        phoneNumbersContent.appendChild(item);
+    });
+}
+
+async function refreshAccount() {
+    if (!phoneNumbersContent) return;
+    phoneNumbersContent.innerHTML = '<p>Loading...</p>';
+    try {
+        const account = await authJSON(`${API_URL}/users/me`, {}, "Could not load your account.");
+        saveAccountUser(account);
+        renderAccount(account);
+    } catch (err) {
+        console.error("Account Error:", err);
+        phoneNumbersContent.innerHTML = html`<p class="error-message">${err.message}</p>`;
+    }
+}
+
+// Shows the code form for `phoneNumber`, or hides it with null
+function showVerifyPhoneForm(phoneNumber) {
+    if (!verifyPhoneForm) return;
+    verifyingPhoneNumber = phoneNumber;
+    verifyPhoneForm.classList.toggle('hidden', !phoneNumber);
+    $('#verify-phone-number').textContent = phoneNumber || '';
+    $('#verify-phone-code').value = '';
+}
+
+async function openAccount() {
+    if (!authToken || !accountModal) return;
+    showVerifyPhoneForm(null);
+    [profileForm, addPhoneForm, verifyPhoneForm, changePasswordForm, deleteAccountForm].forEach(clearFieldErrors);
+    $$('#account-modal .error-message').forEach(el => { el.textContent = ''; });
+    showModal(accountModal);
+    await refreshAccount();
+}
+
+const accountNavBtn = $('#account-nav-btn');
+if (accountNavBtn) accountNavBtn.addEventListener('click', openAccount);
+
+// authFetch with a JSON body, throwing formError() for `form` on failure
+async function submitAccountForm(form, fieldInputs, url, method, body, failureMessage) {
+    const res = await authFetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw formError(form, fieldInputs, data, failureMessage);
+    return data;
+}
+
+if (profileForm) {
+    profileForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const errorDiv = $('#profile-error');
+        if (errorDiv) errorDiv.textContent = '';
+        clearFieldErrors(profileForm);
+        const body = {
+            displayName: $('#profile-display-name').value.trim(),
+            email: $('#profile-email').value.trim()
+        };
+        const currentPassword = $('#profile-current-password').value;
+        if (currentPassword) body.currentPassword = currentPassword;
+        const previousEmail = currentUser()?.email;
+        try {
+            const account = await submitAccountForm(profileForm, PROFILE_FIELD_INPUTS, `${API_URL}/users/me`, 'PATCH', body, "Could not save your profile.");
+            saveAccountUser(account);
+            renderAccount(account);
+            alert(account.email !== previousEmail
+                ? `Profile saved. We sent a link to ${account.email} to verify the new address.`
+                : "Profile saved.");
+        } catch (err) {
+            if (errorDiv) errorDiv.textContent = err.message;
+        }
+    });
+}
+
+if (addPhoneForm) {
+    addPhoneForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const errorDiv = $('#phone-error');
+        if (errorDiv) errorDiv.textContent = '';
+        clearFieldErrors(addPhoneForm);
+        const phoneNumber = $('#add-phone-number').value.trim();
+        try {
+            const account = await submitAccountForm(addPhoneForm, PHONE_FIELD_INPUTS, `${API_URL}/users/me/phone-numbers`, 'POST', { phoneNumber }, "Could not add that number.");
+            addPhoneForm.reset();
+            renderAccount(account);
+            showVerifyPhoneForm(phoneNumber);
+        } catch (err) {
+            if (errorDiv) errorDiv.textContent = err.message;
+            await refreshAccount(); // The number is kept when only the text failed
+        }
+    });
+}
+
+if (verifyPhoneForm) {
+    verifyPhoneForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const errorDiv = $('#phone-error');
+        if (errorDiv) errorDiv.textContent = '';
+        clearFieldErrors(verifyPhoneForm);
+        try {
+            const account = await submitAccountForm(verifyPhoneForm, PHONE_FIELD_INPUTS, `${API_URL}/users/me/phone-numbers/verify`, 'POST', {
+                phoneNumber: verifyingPhoneNumber,
+                code: $('#verify-phone-code').value.trim()
+            }, "Could not verify that number.");
+            renderAccount(account);
+            showVerifyPhoneForm(null);
+            alert("Number verified. You can now put it on your listings.");
+        } catch (err) {
+            if (errorDiv) errorDiv.textContent = err.message;
+        }
+    });
+}
+
+if (phoneNumbersContent) {
+    phoneNumbersContent.addEventListener('click', async (e) => {
+        const btn = e.target;
+        if (!btn) return;
+        const phoneNumber = btn.getAttribute('data-number');
+        const errorDiv = $('#phone-error');
+        if (errorDiv) errorDiv.textContent = '';
+        try {
+            if (btn.classList.contains('btn-verify-phone')) {
+                await authJSON(`${API_URL}/users/me/phone-numbers/send-code`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ phoneNumber })
+                }, "Could not send a code to that number.");
+                showVerifyPhoneForm(phoneNumber);
+            } else if (btn.classList.contains('btn-remove-phone')) {
+                if (!confirm(`Remove ${phoneNumber} from your account?`)) return;
+                const account = await authJSON(`${API_URL}/users/me/phone-numbers/${encodeURIComponent(phoneNumber)}`, { method: 'DELETE' }, "Could not remove that number.");
+                if (verifyingPhoneNumber === phoneNumber) showVerifyPhoneForm(null);
+                renderAccount(account);
+            }
+        } catch (err) {
+            if (errorDiv) errorDiv.textContent = err.message;
+        }
+    });
+}
+
+if (changePasswordForm) {
+    changePasswordForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const errorDiv = $('#change-password-error');
+        if (errorDiv) errorDiv.textContent = '';
+        clearFieldErrors(changePasswordForm);
+        try {
+            const data = await submitAccountForm(changePasswordForm, CHANGE_PASSWORD_FIELD_INPUTS, `${API_URL}/auth/change-password`, 'POST', {
+                currentPassword: $('#change-current-password').value,
+                newPassword: $('#change-new-password').value
+            }, "Could not change your password.");
+            changePasswordForm.reset();
+            alert(data.message);
+        } catch (err) {
+            if (errorDiv) errorDiv.textContent = err.message;
+        }
+    });
+}
+
+if (deleteAccountForm) {
+    deleteAccountForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const errorDiv = $('#delete-account-error');
+        if (errorDiv) errorDiv.textContent = '';
+        clearFieldErrors(deleteAccountForm);
+        if (!confirm("Delete your account? Your listings come off sale and this can't be undone.")) return;
+        try {
+            const data = await submitAccountForm(deleteAccountForm, DELETE_ACCOUNT_FIELD_INPUTS, `${API_URL}/users/me`, 'DELETE', {
+                password: $('#delete-account-password').value
+            }, "Could not delete your account.");
+            deleteAccountForm.reset();
+            hideModal(accountModal);
+            clearAuth();
+            updateNavUI();
+            alert(data.message);
+            fetchListings();
+        } catch (err) {
+            if (errorDiv) errorDiv.textContent = err.message;
+        }
+    });
+}
+
+
+// --- WATCHLIST ---
+// A heart on each card and in the details modal adds the pass to the user's
+// watchlist. Watchers get an alert when the price drops, the pass goes on hold
+// or it sells.
+const watchlistModal = $('#watchlist-modal');
+const watchlistContent = $('#watchlist-content');
+
+// What a watched listing's status means to its watcher
+const WATCH_STATUS_LABELS = { available: 'on sale', reserved: 'on hold', sold: 'sold', unavailable: 'no longer available' };
+
+function watchButtonHTML(listingId) {
+    const watching = watchedListingIds.has(listingId);
+    return html`<button type="button" class="watch-btn${watching ? ' watching' : ''}" data-id="${listingId}" aria-pressed="${watching}" title="${watching ? 'Stop watching' : 'Watch this pass'}">${watching ? '♥' : '♡'}</button>`;
+}
+
+// Redraws every heart for a listing (a card and the details modal may both show it)
+function updateWatchButtons(listingId) {
+    const watching = watchedListingIds.has(listingId);
+    $$('.watch-btn').forEach(btn => {
+        if (btn.getAttribute('data-id') !== listingId) return;
+        btn.classList.toggle('watching', watching);
+        btn.setAttribute('aria-pressed', String(watching));
+        btn.title = watching ? 'Stop watching' : 'Watch this pass';
+        btn.textContent = watching ? '♥' : '♡';
+    });
+}
+
+async function fetchWatchlist() {
+    return authJSON(`${API_URL}/users/me/watchlist`, {}, "Could not fetch your watchlist.");
+}
+
+async function loadWatchedListingIds() {
+    if (!authToken) return;
+    try {
+        const listings = await fetchWatchlist();
+        watchedListingIds = new Set(listings.map(listing => listing._id));
+        watchedListingIds.forEach(updateWatchButtons);
+    } catch (err) {
+        console.error("Watchlist Error:", err);
+    }
+}
+
+async function toggleWatch(listingId) {
+    if (!authToken) {
+        alert("Please login to watch a pass.");
+        hideModal(detailsModal);
+        showModal(loginModal);
+        return;
+    }
+    const watching = watchedListingIds.has(listingId);
+    try {
+        if (watching) {
+            await authJSON(`${API_URL}/users/me/watchlist/${listingId}`, { method: 'DELETE' }, "Could not update your watchlist.");
+            watchedListingIds.delete(listingId);
+        } else {
+            await authJSON(`${API_URL}/users/me/watchlist`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ listingId })
+            }, "Could not update your watchlist.");
+            watchedListingIds.add(listingId);
+        }
+        updateWatchButtons(listingId);
+    } catch (err) {
+        alert(`Error: ${err.message}`);
+    }
+}
+
+document.addEventListener('click', (e) => {
+    const btn = e.target && e.target.closest('.watch-btn');
+    if (btn) toggleWatch(btn.getAttribute('data-id'));
+});
+
+let watchlist = [];
+
+async function refreshWatchlist() {
+    if (!watchlistContent) return;
+    watchlistContent.innerHTML = '<p>Loading...</p>';
+    try {
+        watchlist = await fetchWatchlist();
+        watchedListingIds = new Set(watchlist.map(listing => listing._id));
+        if (watchlist.length === 0) {
+            watchlistContent.innerHTML = '<p>You are not watching any passes. Tap the heart on a pass to follow it.</p>';
+            return;
+        }
+
+        watchlistContent.innerHTML = '';
+        watchlist.forEach(listing => {
+            const onSale = listing.status === 'available' || listing.status === 'reserved';
+            const item = document.createElement('div');
+            item.className = `my-listing-item ${onSale ? '' : 'withdrawn'}`;
+            item.innerHTML = html`
+                <div>
+                    <h4>${listing.eventName || 'N/A'}</h4>
+                    <p>${onSale ? html`Price: ${priceLabel(listing)} | ` : ''}Status: <span class="status status-${listing.status}">${WATCH_STATUS_LABELS[listing.status] || listing.status}</span></p>
+                    <p class="details">${listing.city || 'N/A'} | ${listing.passType || 'N/A'}</p>
+                </div>
+                <div class="my-listing-actions">
+                    ${onSale ? html`<button class="btn-listing-action btn-view-watched" data-id="${listing._id}">View</button>` : ''}
+                    <button class="btn-listing-action btn-withdraw btn-unwatch" data-id="${listing._id}">Remove</button>
+                </div>`;
+            watchlistContent.appendChild(item);
+        });
+    } catch (err) {
+        console.error("Watchlist Error:", err);
+        watchlistContent.innerHTML = html`<p class="error-message">${err.message}</p>`;
+    }
+}
+
+const watchlistNavBtn = $('#watchlist-nav-btn');
+if (watchlistNavBtn) {
+    watchlistNavBtn.addEventListener('click', async () => {
+        if (!authToken) return;
+        showModal(watchlistModal);
+        await refreshWatchlist();
+    });
+}
+
+if (watchlistContent) {
+    watchlistContent.addEventListener('click', async (e) => {
+        const btn = e.target;
+        if (!btn) return;
+        const listingId = btn.getAttribute('data-id');
+        if (btn.classList.contains('btn-view-watched')) {
+            hideModal(watchlistModal);
+            showListingDetails(watchlist.find(listing => listing._id === listingId));
+        } else if (btn.classList.contains('btn-unwatch')) {
+            await toggleWatch(listingId);
+            await refreshWatchlist();
+        }
+    });
+}
+
+
+// --- SAVED SEARCHES & ALERTS ---
+// A saved search keeps the filter bar's values. New passes matching it show up
+// in the Alerts feed, and by email or push for searches with alerts turned on.
+const saveSearchModal = $('#save-search-modal');
+const saveSearchForm = $('#save-search-form');
+const saveSearchBtn = $('#save-search-btn');
+const notificationsModal = $('#notifications-modal');
+const notificationsContent = $('#notifications-content');
+const savedSearchesContent = $('#saved-searches-content');
+const notificationBadge = $('#notification-badge');
+const NOTIFICATION_POLL_MS = 60000;
+let notificationTimer = null;
+
+function setNotificationBadge(count) {
+    if (!notificationBadge) return;
+    notificationBadge.textContent = count > 99 ? '99+' : String(count);
+    notificationBadge.classList.toggle('hidden', !count);
+}
+
+async function pollNotifications() {
+    try {
+        const { count } = await authJSON(`${API_URL}/notifications/unread-count`);
+        setNotificationBadge(count);
+    } catch (err) {
+        console.error("Notification Count Error:", err);
+    }
+}
+
+function startNotificationUpdates() {
+    stopNotificationUpdates();
+    if (!authToken) return;
+    pollNotifications();
+    notificationTimer = setInterval(pollNotifications, NOTIFICATION_POLL_MS);
+}
+
+function stopNotificationUpdates() {
+    clearInterval(notificationTimer);
+    notificationTimer = null;
+    setNotificationBadge(0);
+}
+
+// The filter bar as it would be saved; the sort order doesn't change what matches
+function searchToSave() {
+    const params = readFilterControls();
+    params.delete('sort');
+    return params;
+}
+
+// "Couple · Ahmedabad · Day 6 · up to ₹1500" for a filter query string
+function describeSearch(query) {
+    const params = new URLSearchParams(query);
+    const parts = [];
+    if (params.get('q')) parts.push(`"${params.get('q')}"`);
+    ['passType', 'city', 'date', 'tags'].forEach(name => {
+        if (params.get(name)) parts.push(params.get(name).split(',').join(', '));
+    });
+    if (params.get('minPrice')) parts.push(`from ₹${params.get('minPrice')}`);
+    if (params.get('maxPrice')) parts.push(`up to ₹${params.get('maxPrice')}`);
+    return parts.join(' · ');
+}
+
+if (saveSearchBtn) {
+    saveSearchBtn.addEventListener('click', () => {
+        if (!authToken) {
+            alert("Please login to save a search.");
+            showModal(loginModal);
+            return;
+        }
+        const params = searchToSave();
+        if (params.toString() === '') {
+            alert("Choose at least one filter to save this search.");
+            return;
+        }
+        saveSearchForm.reset();
+        $('#save-search-summary').textContent = `Matches: ${describeSearch(params)}`;
+        $('#save-search-error').textContent = '';
+        showModal(saveSearchModal);
+    });
+}
+
+if (saveSearchForm) {
+    saveSearchForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const errorDiv = $('#save-search-error');
+        errorDiv.textContent = '';
+        try {
+            await authJSON(`${API_URL}/saved-searches`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    ...Object.fromEntries(searchToSave()),
+                    name: $('#save-search-name').value.trim() || undefined,
+                    alerts: $('#save-search-alerts').checked
+                })
+            }, "Could not save the search.");
+            hideModal(saveSearchModal);
+            alert("Search saved. We'll let you know under Alerts when a matching pass is listed.");
+        } catch (err) {
+            errorDiv.textContent = err.message;
+        }
+    });
+}
+
+// Opens a listing by id (from an alert), if it is still on sale
+async function openListingById(listingId) {
+    try {
+        const res = await fetch(`${API_URL}/listings?ids=${encodeURIComponent(listingId)}`);
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(data.message || "Could not load the pass.");
+        if (data.listings.length === 0) throw new Error("This pass is no longer on sale.");
+        showListingDetails(data.listings[0]);
+    } catch (err) {
+        alert(err.message);
+    }
+}
+
+async function refreshNotifications() {
+    if (!notificationsContent) return;
+    notificationsContent.innerHTML = '<p>Loading...</p>';
+    try {
+        const { notifications, unreadCount } = await authJSON(`${API_URL}/notifications`, {}, "Could not fetch your alerts.");
+        setNotificationBadge(unreadCount);
+        if (notifications.length === 0) {
+            notificationsContent.innerHTML = '<p>No alerts yet. Save a search from the filter bar to hear about new passes.</p>';
+            return;
+        }
+
+        notificationsContent.innerHTML = '';
+        notifications.forEach(notification => {
+            const item = document.createElement('div');
+            item.className = `my-listing-item notification-item${notification.readAt ? '' : ' unread'}`;
+            item.setAttribute('data-id', notification._id);
+            if (notification.listingId) item.setAttribute('data-listing-id', notification.listingId);
+            item.innerHTML = html`
+                <div>
+                    <h4>${notification.title}</h4>
+                    <p>${notification.body || ''}</p>
+                    <p class="details">${new Date(notification.createdAt).toLocaleString()}</p>
+                </div>`;
+            notificationsContent.appendChild(item);
+        });
+    } catch (err) {
+        console.error("Notifications Error:", err);
+        notificationsContent.innerHTML = html`<p class="error-message">${err.message}</p>`;
+    }
+}
+
+async function refreshSavedSearches() {
+    if (!savedSearchesContent) return;
+    savedSearchesContent.innerHTML = '<p>Loading...</p>';
+    try {
+        const searches = await authJSON(`${API_URL}/saved-searches`, {}, "Could not fetch your saved searches.");
+        if (searches.length === 0) {
+            savedSearchesContent.innerHTML = '<p>No saved searches.</p>';
+            return;
+        }
+
+        savedSearchesContent.innerHTML = '';
+        searches.forEach(search => {
+            const item = document.createElement('div');
+            item.className = 'my-listing-item';
+            item.innerHTML = html`
+                <div>
+                    <h4>${search.name}</h4>
+                    <p class="details">${describeSearch(search.query)}</p>
+                    <p class="details">${search.lastMatchedAt ? `Last match ${new Date(search.lastMatchedAt).toLocaleString()}` : 'No matches yet'}</p>
+                </div>
+                <div class="my-listing-actions">
+                    <button class="btn-listing-action btn-show-search" data-query="${search.query}">Show</button>
+                    <button class="btn-listing-action btn-search-alerts" data-id="${search.id}" data-alerts="${search.alerts}">${search.alerts ? 'Email/push: on' : 'Email/push: off'}</button>
+                    <button class="btn-listing-action btn-withdraw btn-delete-search" data-id="${search.id}">Delete</button>
+                </div>`;
+            savedSearchesContent.appendChild(item);
+        });
+    } catch (err) {
+        console.error("Saved Searches Error:", err);
+        savedSearchesContent.innerHTML = html`<p class="error-message">${err.message}</p>`;
+    }
+}
+
+const notificationsNavBtn = $('#notifications-nav-btn');
+if (notificationsNavBtn) {
+    notificationsNavBtn.addEventListener('click', async () => {
+        if (!authToken) return;
+        showModal(notificationsModal);
+        await Promise.all([refreshNotifications(), refreshSavedSearches()]);
+    });
+}
+
+const readAllNotificationsBtn = $('#read-all-notifications-btn');
+if (readAllNotificationsBtn) {
+    readAllNotificationsBtn.addEventListener('click', async () => {
+        try {
+            await authJSON(`${API_URL}/notifications/read-all`, { method: 'POST' }, "Could not mark your alerts as read.");
+            await refreshNotifications();
+        } catch (err) {
+            alert(`Error: ${err.message}`);
+        }
+    });
+}
+
+// Opening an alert marks it read and shows the pass
+if (notificationsContent) {
+    notificationsContent.addEventListener('click', async (e) => {
+        const item = e.target && e.target.closest('.notification-item');
+        if (!item) return;
+        if (item.classList.contains('unread')) {
+            item.classList.remove('unread');
+            authJSON(`${API_URL}/notifications/${item.getAttribute('data-id')}/read`, { method: 'POST' })
+                .then(pollNotifications)
+                .catch(err => console.error("Read Notification Error:", err));
+        }
+        const listingId = item.getAttribute('data-listing-id');
+        if (listingId) {
+            hideModal(notificationsModal);
+            await openListingById(listingId);
+        }
+    });
+}
+
+if (savedSearchesContent) {
+    savedSearchesContent.addEventListener('click', async (e) => {
+        const btn = e.target;
+        if (!btn) return;
+        try {
+            if (btn.classList.contains('btn-show-search')) {
+                listingParams = new URLSearchParams(btn.getAttribute('data-query'));
+                writeFilterControls(listingParams);
+                syncFiltersToUrl(listingParams);
+                hideModal(notificationsModal);
+                handleBuyClick();
+                await fetchListings();
+            } else if (btn.classList.contains('btn-search-alerts')) {
+                await authJSON(`${API_URL}/saved-searches/${btn.getAttribute('data-id')}`, {
+                    method: 'PATCH',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ alerts: btn.getAttribute('data-alerts') !== 'true' })
+                }, "Could not update the saved search.");
+                await refreshSavedSearches();
+            } else if (btn.classList.contains('btn-delete-search')) {
+                if (!confirm("Delete this saved search?")) return;
+                await authJSON(`${API_URL}/saved-searches/${btn.getAttribute('data-id')}`, { method: 'DELETE' }, "Could not delete the saved search.");
+                await refreshSavedSearches();
+            }
+        } catch (err) {
+            alert(`Error: ${err.message}`);
+        }
+    });
+}
+
+
+// --- NAV & HERO BUTTONS ---
+const loginNavBtn = $('#login-nav-btn');
+const signupNavBtn = $('#signup-nav-btn');
+const sellPassNavBtn = $('#sell-pass-nav-btn');
+const logoutNavBtn = $('#logout-nav-btn');
+const buyTicketsNavBtn = $('#buy-tickets-nav-btn');
+
+if (loginNavBtn) loginNavBtn.addEventListener('click', () => showModal(loginModal));
+if (signupNavBtn) signupNavBtn.addEventListener('click', () => showModal(signupModal));
+if (logoutNavBtn) logoutNavBtn.addEventListener('click', async () => {
+    // Revoke the session on the server too; log out locally even if that fails
+    try {
+        await authFetch(`${API_URL}/auth/logout`, { method: 'POST' });
+    } catch (err) {
+        console.error("Logout Error:", err);
+    }
+    clearAuth();
+    updateNavUI();
+});
+
+function handleSellClick() {
+    if (!authToken) {
+        alert("Please login or sign up to sell a pass.");
+        showModal(loginModal);
+    } else {
+        if (editingListingId) {
+            setSellFormMode(null);
+        } else {
+            loadEventCatalog($('#sell-city')?.value);
+            loadSellPhoneOptions($('#sell-phone')?.value);
+        }
         showModal(sellModal);
     }
 }
@@ -532,5 +2796,13 @@ if (heroFindBtn) heroFindBtn.addEventListener('click', handleBuyClick);
 // --- INITIALIZATION ---
 document.addEventListener('DOMContentLoaded', () => {
     updateNavUI();
-    fetchAllListings();
+    fetchConfig();
+    handleEmailLinks();
+    // Filters shared through the URL apply straight away
+    listingParams = filterParamsFrom(window.location.search);
+    writeFilterControls(listingParams);
+    fetchListings();
+    startMessageUpdates();
+    startNotificationUpdates();
+    loadWatchedListingIds();
 });
\ No newline at end of file
@@ -0,0 +1,37 @@
+// --- SEED EVENT CATALOG ---
+// Adds (or updates) approved events in the `events` collection.
+// Usage: MONGODB_URI=... JWT_SECRET=... npm run seed:events
+//
+// Events are matched by city and normalized name, so running this twice is safe.
+// Edit the list below before running it against production.
+
+const mongoose = require('mongoose');
+require('../api/index'); // Connects to MongoDB and registers the models
+const { normalizeEventName } = require('../api/search');
+
+const Event = mongoose.model('Event');
+
+const ALL_NIGHTS = ['Day 1', 'Day 2', 'Day 3', 'Day 4', 'Day 5', 'Day 6', 'Day 7', 'Day 8', 'Day 9'];
+
+const EVENTS = [
+    { name: 'United Way of Baroda', aliases: ['UWB', 'UWB Garba'], city: 'Vadodara', dates: ALL_NIGHTS },
+    { name: 'Vadodara Navratri Festival', aliases: ['VNF'], city: 'Vadodara', dates: ALL_NIGHTS },
+    { name: 'GMDC Ground Navratri', aliases: [], city: 'Ahmedabad', dates: ALL_NIGHTS },
+];
+
+async function seed() {
+    for (const data of EVENTS) {
+        const existing = await Event.findOne({ city: data.city, normalizedNames: normalizeEventName(data.name) });
+        const event = existing || new Event();
+        event.set({ ...data, status: 'approved' });
+        await event.save();
+        console.log(`${existing ? 'Updated' : 'Added'}: ${event.name} (${event.city})`);
+    }
+}
+
+seed()
+    .catch(err => {
+        console.error('Seeding failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());